@@ -12,6 +12,13 @@ export default {
     description: 'A brief description of your tool or service (150-200 characters)',
     category: 'AI Tools', // Adjust based on directory categories
     tags: ['ai', 'automation', 'productivity'],
+    // How to answer checkboxes and radio groups
+    choices: {
+      consent: true, // Tick "I agree to the terms" / privacy boxes
+      newsletter: false, // Leave marketing opt-ins unticked
+      pricingTier: 'free', // Radio option to pick for pricing questions
+      platforms: ['web'], // Platforms to tick, e.g. ['web', 'ios']
+    },
   },
 
   // Bot configuration
@@ -20,15 +27,55 @@ export default {
     timeout: 30000, // 30 seconds timeout for page loads
     delayBetweenSubmissions: 5000, // 5 seconds delay between each submission
     screenshotOnError: true, // Take screenshots when errors occur
+    dryRun: false, // Fill forms and take screenshots without submitting
+    // Most to pay for a listing: paid-only directories above it are
+    // skipped, those within it are submitted and marked manual-required
+    // until you pay. null for no limit
+    budget: 0,
+    // Currency of the budget; prices in other currencies are skipped
+    budgetCurrency: 'USD',
+    concurrency: 1, // Browser pages working in parallel (one per host at a time)
+    // Files for upload fields; generated-assets/logo.* and the newest
+    // generated-assets/screenshot-*.png are used when not set here
+    assets: {
+      logo: null, // e.g. './assets/logo.png'
+      screenshot: null,
+      video: null,
+    },
+    // Table of category values to each directory's option labels; see README
+    optionMappingsFile: 'option-mappings.json',
+    // Logins for directories that need an account; never commit this file
+    credentialsFile: 'credentials.json',
+    // Values to submit to particular directories instead of the ones above
+    fieldOverridesFile: 'field-overrides.json',
+    sessionsDir: 'sessions', // Saved cookies and localStorage per directory
+    // Maildir directory or mbox file receiving verification emails, e.g.
+    // one kept in sync with your inbox by mbsync or offlineimap
+    mailbox: null,
+    verificationTimeout: 300000, // How long to wait for the email
+    captchaTimeout: 180000, // How long to wait for a CAPTCHA to be solved
+    retry: {
+      maxAttempts: 3, // Attempts per directory, including the first
+      baseDelay: 5000, // Delay before the first retry, doubled each time
+      maxDelay: 60000, // Upper bound for the retry delay
+      // Failure reasons worth retrying
+      retryOn: ['navigation-timeout', 'dns-ssl-error', 'unknown'],
+    },
   },
 
   // CSV file path
   csvPath: './directories.csv',
 
+  // Product profile to submit (see "Profiles" in the README); its values
+  // replace the ones in submission, and its statuses the CSV's Status column
+  profile: null,
+
   // Filter options
   filter: {
-    // Only process unsubmitted directories (status is empty)
+    // Only process unsubmitted directories (status is empty or "pending")
     onlyUnsubmitted: true,
+    // Or target specific statuses instead, e.g. ['pending', 'rejected']
+    statuses: null,
     // Limit number of directories to process (useful for testing)
     limit: null, // Set to a number like 5 for testing, null for all
   },
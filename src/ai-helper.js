@@ -1,5 +1,6 @@
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { describeConstraints } from './utils/field-constraints.js';
 
 // Load environment variables
 dotenv.config();
@@ -11,6 +12,8 @@ export class AIHelper {
   constructor() {
     this.openai = null;
     this.enabled = false;
+    // Rewrites by value and constraints; directories share the same limits
+    this.rewrites = new Map();
 
     if (process.env.OPENAI_API_KEY) {
       this.openai = new OpenAI({
@@ -161,6 +164,63 @@ Respond with ONLY the comma-separated tags, nothing else.`;
     }
   }
 
+  /**
+   * Rewrite a value so it fits a form field's length limits and pattern
+   * @param {string} value
+   * @param {Object} constraints - From getFieldConstraints
+   * @returns {Promise<string|null>} null when AI is disabled or fails
+   */
+  async rewriteToFit(value, constraints) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const key = `${JSON.stringify(constraints)}\n${value}`;
+    if (!this.rewrites.has(key)) {
+      this.rewrites.set(key, this.requestRewrite(value, constraints));
+    }
+    return this.rewrites.get(key);
+  }
+
+  /**
+   * Ask for a rewrite (see rewriteToFit)
+   */
+  async requestRewrite(value, constraints) {
+    try {
+      const prompt = `Rewrite this text for a directory submission form field that only accepts ${describeConstraints(constraints)}:
+
+${value}
+
+Keep the meaning and the most important details. Respond with ONLY the rewritten text, nothing else.`;
+
+      const completion = await this.openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        messages: [
+          {
+            role: 'system',
+            content:
+              'You are an expert copywriter who fits product copy into strict form field limits.',
+          },
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        max_tokens: Math.ceil((constraints.maxLength || 400) / 2) + 20,
+        temperature: 0.3,
+      });
+
+      return (
+        completion.choices[0]?.message?.content
+          ?.trim()
+          .replace(/^"(.*)"$/s, '$1') || null
+      );
+    } catch (error) {
+      console.warn(`⚠️  AI rewrite failed: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Generate all content at once (more efficient)
    */
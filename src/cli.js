@@ -4,15 +4,118 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
 import {
-  parseDirectoriesCSV,
+  filterByStatus,
   getUnsubmittedDirectories,
 } from './utils/csv-parser.js';
+import {
+  SUBMISSION_STATUSES,
+  COMPLETED_STATUSES,
+  normalizeStatus,
+  countByStatus,
+  canTransition,
+  loadStatusHistory,
+} from './utils/submission-status.js';
 import { SiteInspector } from './site-inspector.js';
 import { SmartSubmissionBot } from './smart-submission-bot.js';
 import { FieldAnalyzer } from './field-analyzer.js';
 import { ValueGenerator } from './value-generator.js';
 import { AIHelper } from './ai-helper.js';
+import {
+  startJournalRun,
+  journalResult,
+  readJournal,
+  getRunState,
+  clearJournal,
+} from './utils/run-journal.js';
+import {
+  findLocalAssets,
+  getAssetKey,
+  parseSizeLimit,
+} from './utils/assets.js';
+import { buildChoiceMappings } from './utils/choice-classifier.js';
+import { getComboboxKey } from './utils/combobox.js';
+import { loadOptionMappings } from './utils/option-matcher.js';
+import { getFormProvider, pickFormFrame } from './utils/form-frames.js';
+import { describeChallenge, detectChallenge } from './utils/captcha.js';
+import {
+  getCredentials,
+  isSessionUsable,
+  keepHandWrittenSteps,
+  keepOnlyHandWrittenSteps,
+  loadCredentials,
+  loadSession,
+  restoreSession,
+} from './utils/sessions.js';
+import { describeRecipeStep, validateRecipe } from './utils/recipes.js';
+import { buildRecipeFromEvents, startRecording } from './utils/recorder.js';
+import {
+  describeOverride,
+  getOverrideLayers,
+  loadFieldOverrides,
+  resolveSubmissionData,
+} from './utils/field-overrides.js';
+import {
+  DEFAULT_PROFILE,
+  cloneProfile,
+  createProfile,
+  createStatusRecorder,
+  getProfilePaths,
+  loadProfileDirectories,
+  loadProfiles,
+  readProfileValues,
+  recordProfileResults,
+  saveProfiles,
+  switchProfile,
+} from './utils/profiles.js';
+import { describePrice, describePricing } from './utils/pricing.js';
 import { mkdir, unlink, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Icons shown next to each submission status
+ */
+const STATUS_ICONS = {
+  pending: '⏳',
+  'in-progress': '🔄',
+  submitted: '📨',
+  'awaiting-email-confirmation': '📧',
+  approved: '👍',
+  live: '✅',
+  rejected: '🚫',
+  'manual-required': '✋',
+  'paid-only': '💰',
+  dead: '💀',
+};
+
+/**
+ * Read --concurrency=N from the command line
+ * @param {Array<string>} argv
+ * @returns {number} Number of browser pages to run in parallel (at least 1)
+ */
+function parseConcurrencyArg(argv) {
+  const arg = argv.find((value) => value.startsWith('--concurrency='));
+  const value = arg ? parseInt(arg.split('=')[1], 10) : 1;
+  return Number.isInteger(value) && value > 0 ? value : 1;
+}
+
+/**
+ * Read --budget=N from the command line
+ * @param {Array<string>} argv
+ * @returns {number|null} Most to pay for a listing (0 unless set), or null
+ *   for --budget=none
+ */
+function parseBudgetArg(argv) {
+  const arg = argv.find((value) => value.startsWith('--budget='));
+  if (!arg) {
+    return 0;
+  }
+  const value = arg.slice('--budget='.length);
+  if (value === 'none') {
+    return null;
+  }
+  const budget = Number(value);
+  return Number.isFinite(budget) && budget >= 0 ? budget : 0;
+}
 
 /**
  * Main CLI for directory submissions
@@ -23,6 +126,42 @@ class DirectoriesCLI {
     this.submissionData = null;
     this.generatedValues = null;
     this.fieldRequirements = null;
+    this.dryRun = process.argv.includes('--dry-run');
+    this.concurrency = parseConcurrencyArg(process.argv);
+    // Most to pay for a listing; paid directories above it are skipped
+    this.budget = parseBudgetArg(process.argv);
+    // Prices in other currencies cannot be checked against the budget
+    this.budgetCurrency = (
+      process.argv
+        .find((value) => value.startsWith('--budget-currency='))
+        ?.slice('--budget-currency='.length) || 'USD'
+    ).toUpperCase();
+    // Maildir or mbox file that receives directory verification emails
+    this.mailbox =
+      process.argv
+        .find((value) => value.startsWith('--mailbox='))
+        ?.slice('--mailbox='.length) || null;
+    // Product profile to use instead of the active one
+    this.profileArg =
+      process.argv
+        .find((value) => value.startsWith('--profile='))
+        ?.slice('--profile='.length) || null;
+    this.profile = DEFAULT_PROFILE;
+    this.paths = getProfilePaths();
+    // CAPTCHA questions still to be asked, one after the other
+    this.captchaPrompts = Promise.resolve();
+  }
+
+  /**
+   * Work with a profile's values, assets, credentials and statuses
+   * @param {string} name
+   */
+  async useProfile(name) {
+    this.profile = name;
+    this.paths = getProfilePaths(name);
+    this.submissionData = null;
+    this.generatedValues = null;
+    await mkdir(path.dirname(this.paths.values), { recursive: true });
   }
 
   /**
@@ -43,13 +182,15 @@ class DirectoriesCLI {
    */
   async resetState() {
     const filesToClean = [
-      'site-configs.json',
       'site-inspection-results.json',
       'field-analysis.json',
-      'generated-values.json',
-      'submission-results.json',
+      this.paths.values,
+      this.paths.results,
     ];
 
+    // Directories an interrupted run finished keep their statuses
+    await this.saveInterruptedRun();
+
     const spinner = ora('Cleaning up previous state...').start();
 
     for (const file of filesToClean) {
@@ -60,9 +201,13 @@ class DirectoriesCLI {
       }
     }
 
-    // Clean up generated-assets directory
+    // Logins, recipes and values written by hand are merged back into the
+    // site configs the next analysis generates
+    await keepOnlyHandWrittenSteps();
+
+    // Clean up the profile's generated-assets directory
     try {
-      await rm('generated-assets', { recursive: true, force: true });
+      await rm(this.paths.assets, { recursive: true, force: true });
     } catch (error) {
       // Directory doesn't exist, that's fine
     }
@@ -91,9 +236,16 @@ class DirectoriesCLI {
             name: '🔬 Analyze All Directories (Comprehensive)',
             value: 'analyze',
           },
-          { name: '🔍 Inspect Sites (Analyze forms)', value: 'inspect' },
+          {
+            name: '🎥 Record a Submission (teach the bot a directory)',
+            value: 'record',
+          },
           { name: '🚀 Submit to Directories', value: 'submit' },
           { name: '📊 View Statistics', value: 'stats' },
+          {
+            name: '👤 Profiles (create, switch, clone, list)',
+            value: 'profiles',
+          },
           { name: '❌ Exit', value: 'exit' },
         ],
       },
@@ -111,21 +263,28 @@ class DirectoriesCLI {
     const spinner = ora('Loading directories...').start();
 
     try {
-      // Parse CSV
-      const directories = await parseDirectoriesCSV(this.csvPath);
-      const submitted = directories.filter((d) => d.status === 'submitted');
+      // Parse CSV, with the profile's statuses
+      const directories = await loadProfileDirectories(
+        this.csvPath,
+        this.paths
+      );
       const unsubmitted = getUnsubmittedDirectories(directories);
+      const skipped = directories.filter(
+        (d) => normalizeStatus(d.status) !== 'pending'
+      );
 
       spinner.succeed(`Found ${directories.length} total directories`);
 
-      if (submitted.length > 0) {
+      if (skipped.length > 0) {
         console.log(
           chalk.gray(
-            `\n📋 Skipping ${submitted.length} already submitted directories:`
+            `\n📋 Skipping ${skipped.length} directories that are no longer pending:`
           )
         );
-        submitted.forEach((d) => {
-          console.log(chalk.gray(`   • ${d.name}`));
+        skipped.forEach((d) => {
+          console.log(
+            chalk.gray(`   • ${d.name} (${normalizeStatus(d.status)})`)
+          );
         });
       }
 
@@ -147,13 +306,18 @@ class DirectoriesCLI {
         )
       );
 
-      const analyzer = new FieldAnalyzer({ headless: false, timeout: 30000 });
+      const analyzer = new FieldAnalyzer({
+        headless: false,
+        timeout: 30000,
+        concurrency: this.concurrency,
+        budgetCurrency: this.budgetCurrency,
+      });
 
       spinner.start('Initializing browser...');
       await analyzer.initialize();
       spinner.succeed('Browser initialized');
 
-      await mkdir('generated-assets', { recursive: true });
+      await mkdir(this.paths.assets, { recursive: true });
 
       const analysisResults = await analyzer.analyzeAll(unsubmitted);
       const fieldAnalysis = await analyzer.saveResults(analysisResults);
@@ -168,6 +332,9 @@ class DirectoriesCLI {
 
       await analyzer.close();
 
+      this.displayChallenges(analysisResults);
+      this.displayPricing(analysisResults);
+
       // Display field requirements
       console.log(chalk.cyan('\n📊 Required Fields Found:\n'));
       this.fieldRequirements.slice(0, 10).forEach((field) => {
@@ -200,7 +367,11 @@ class DirectoriesCLI {
       ]);
 
       // Generate values from website
-      const generator = new ValueGenerator({ headless: false, timeout: 30000 });
+      const generator = new ValueGenerator({
+        headless: false,
+        timeout: 30000,
+        assetsDir: this.paths.assets,
+      });
 
       spinner.start('Analyzing your website...');
       await generator.initialize();
@@ -246,12 +417,15 @@ class DirectoriesCLI {
         );
       }
 
-      await generator.saveValues({
-        metadata: websiteData.metadata,
-        smartValues: this.generatedValues,
-        aiEnhanced: aiHelper.isEnabled(),
-        screenshot: websiteData.screenshot,
-      });
+      await generator.saveValues(
+        {
+          metadata: websiteData.metadata,
+          smartValues: this.generatedValues,
+          aiEnhanced: aiHelper.isEnabled(),
+          screenshot: websiteData.screenshot,
+        },
+        this.paths.values
+      );
 
       spinner.succeed('Website analyzed');
 
@@ -287,12 +461,19 @@ class DirectoriesCLI {
       this.submissionData = submissionData;
 
       // Save the complete submission data for later use
-      await writeFile('generated-values.json', JSON.stringify({
-        metadata: websiteData.metadata,
-        smartValues: this.submissionData,
-        aiEnhanced: aiHelper.isEnabled(),
-        screenshot: websiteData.screenshot,
-      }, null, 2));
+      await writeFile(
+        this.paths.values,
+        JSON.stringify(
+          {
+            metadata: websiteData.metadata,
+            smartValues: this.submissionData,
+            aiEnhanced: aiHelper.isEnabled(),
+            screenshot: websiteData.screenshot,
+          },
+          null,
+          2
+        )
+      );
 
       // Step 4: Show summary and confirm
       console.log(chalk.cyan('\n📋 Submission Summary:\n'));
@@ -327,6 +508,55 @@ class DirectoriesCLI {
     }
   }
 
+  /**
+   * List the directories that put up a bot challenge
+   * @param {Array<Object>} results - Field analysis or inspection results
+   */
+  displayChallenges(results) {
+    const challenged = results.filter((result) => result.challenge);
+    if (challenged.length === 0) {
+      return;
+    }
+
+    console.log(chalk.cyan('\n🔒 Bot Challenges Found:\n'));
+    challenged.forEach(({ name, challenge }) => {
+      const note = challenge.requiresHuman
+        ? chalk.yellow('solve by hand')
+        : chalk.gray('handled automatically');
+      console.log(
+        chalk.blue(`  • ${name}:`),
+        describeChallenge(challenge),
+        `(${note})`
+      );
+    });
+  }
+
+  /**
+   * List the directories that charge for a listing
+   * @param {Array<Object>} results - Field analysis or inspection results
+   */
+  displayPricing(results) {
+    const charging = results.filter((result) =>
+      ['paid', 'freemium'].includes(result.pricing?.model)
+    );
+    if (charging.length === 0) {
+      return;
+    }
+
+    const budget =
+      this.budget === null
+        ? 'no limit'
+        : describePrice({
+            amount: this.budget,
+            currency: this.budgetCurrency,
+            period: null,
+          });
+    console.log(chalk.cyan(`\n💰 Paid Listings Found (budget: ${budget}):\n`));
+    charging.forEach(({ name, pricing }) => {
+      console.log(chalk.blue(`  • ${name}:`), describePricing(pricing));
+    });
+  }
+
   /**
    * Generate site configs from field analysis
    */
@@ -346,9 +576,15 @@ class DirectoriesCLI {
       const config = {
         url: result.url,
         hasForm: result.fields && result.fields.length > 0,
-        requiresCaptcha: false,
+        requiresCaptcha: result.challenge?.requiresHuman ?? false,
         submissionMethod: 'form',
       };
+      if (result.challenge) {
+        config.challenge = result.challenge;
+      }
+      if (result.pricing) {
+        config.pricing = result.pricing;
+      }
 
       if (result.fields && result.fields.length > 0) {
         const fieldMapping = {};
@@ -356,25 +592,71 @@ class DirectoriesCLI {
         // Use only the FIRST occurrence of each field type for this specific site
         const usedKeys = new Set();
 
-        result.fields.forEach((field) => {
+        // Fill the document (or embedded form builder) holding most fields
+        const formFrame = pickFormFrame(result.fields);
+        const formFields = result.fields.filter(
+          (field) => (field.frame || null) === formFrame
+        );
+        const provider = getFormProvider(formFields[0].provider);
+
+        formFields.forEach((field) => {
+          // Checkboxes and radios are mapped as groups below
+          if (field.type === 'checkbox' || field.type === 'radio') return;
+
           const fieldKey = this.mapFieldToKey(field);
-          if (fieldKey && !usedKeys.has(fieldKey)) {
+          // Editors and custom dropdowns win over the hidden inputs that
+          // often back them
+          const isWidget = ['richtext', 'combobox'].includes(field.type);
+          if (fieldKey && (!usedKeys.has(fieldKey) || isWidget)) {
             fieldMapping[fieldKey] = {
               selector: this.getFieldSelector(field),
               type: field.type,
               name: field.name,
               id: field.id,
             };
+            if (isWidget) {
+              fieldMapping[fieldKey].index = field.index;
+            }
+            if (field.type === 'richtext') {
+              fieldMapping[fieldKey].editor = field.editor;
+            }
+            if (field.type === 'combobox') {
+              fieldMapping[fieldKey].widget = field.widget;
+              fieldMapping[fieldKey].multiple = field.multiple;
+              fieldMapping[fieldKey].options = field.options;
+            }
+            if (field.type === 'file') {
+              fieldMapping[fieldKey].accept = field.accept || '';
+              fieldMapping[fieldKey].maxSize = parseSizeLimit(field.sizeHint);
+            }
+            // Values are checked against these before they are typed
+            if (field.minLength > 0) {
+              fieldMapping[fieldKey].minLength = field.minLength;
+            }
+            if (field.maxLength > 0) {
+              fieldMapping[fieldKey].maxLength = field.maxLength;
+            }
+            if (field.pattern) {
+              fieldMapping[fieldKey].pattern = field.pattern;
+            }
             usedKeys.add(fieldKey);
           }
         });
 
+        Object.assign(fieldMapping, buildChoiceMappings(formFields));
+
         config.form = {
           fields: fieldMapping,
           submitButton: {
-            selector: 'button[type="submit"], input[type="submit"]',
+            selector:
+              provider?.submitSelector ||
+              'button[type="submit"], input[type="submit"]',
           },
         };
+        if (formFrame) {
+          config.form.frame = formFrame;
+          config.form.provider = provider?.name || null;
+        }
       }
 
       configs[result.name] = config;
@@ -390,6 +672,9 @@ class DirectoriesCLI {
     const name = (field.name || field.id || field.label).toLowerCase();
     const type = field.type.toLowerCase();
 
+    if (type === 'file') return getAssetKey(field);
+    if (type === 'richtext') return 'description';
+    if (type === 'combobox') return getComboboxKey(field);
     if (
       name.includes('name') &&
       !name.includes('first') &&
@@ -414,6 +699,7 @@ class DirectoriesCLI {
    * Get CSS selector for a field
    */
   getFieldSelector(field) {
+    if (field.selector) return field.selector;
     if (field.id) return `#${field.id}`;
     if (field.name) return `[name="${field.name}"]`;
     return `input[type="${field.type}"]`;
@@ -423,6 +709,7 @@ class DirectoriesCLI {
    * Save site configs to file
    */
   async saveSiteConfigs(configs) {
+    await keepHandWrittenSteps(configs);
     await writeFile('site-configs.json', JSON.stringify(configs, null, 2));
     console.log(chalk.gray('   💾 Saved site-configs.json'));
   }
@@ -501,23 +788,35 @@ class DirectoriesCLI {
   /**
    * Run submissions with pre-filled data
    */
-  async runSubmissionsWithData(directories) {
+  async runSubmissionsWithData(directories, options = {}) {
     console.log(chalk.cyan('\n🚀 Starting Submissions...\n'));
 
-    const { limit } = await inquirer.prompt([
-      {
-        type: 'number',
-        name: 'limit',
-        message: 'How many directories to submit to? (0 for all)',
-        default: 10,
-        validate: (input) =>
-          input >= 0 ? true : 'Please enter a non-negative number',
-      },
-    ]);
+    // A resumed run keeps its original directory list and never dry-runs
+    const { resume } = options;
+    const { limit, dryRun } = resume
+      ? { limit: 0, dryRun: false }
+      : await inquirer.prompt([
+          {
+            type: 'number',
+            name: 'limit',
+            message: 'How many directories to submit to? (0 for all)',
+            default: 10,
+            validate: (input) =>
+              input >= 0 ? true : 'Please enter a non-negative number',
+          },
+          {
+            type: 'confirm',
+            name: 'dryRun',
+            message: 'Dry run? (fill forms and take screenshots, never submit)',
+            default: this.dryRun,
+          },
+        ]);
 
     const toSubmit = limit > 0 ? directories.slice(0, limit) : directories;
 
+    const aiHelper = new AIHelper();
     const spinner = ora('Initializing browser...').start();
+    let onInterrupt = null;
 
     try {
       const bot = new SmartSubmissionBot({
@@ -525,35 +824,131 @@ class DirectoriesCLI {
         timeout: 30000,
         delayBetweenSubmissions: 5000,
         screenshotOnError: true,
+        dryRun,
+        concurrency: this.concurrency,
+        // Logo and the screenshot taken of your site, from generated-assets/
+        assets: await findLocalAssets({}, this.paths.assets),
+        // Your category-to-option table, from option-mappings.json
+        optionMappings: await loadOptionMappings(),
+        // Directory logins, from credentials.json
+        credentials: await loadCredentials(this.paths.credentials),
+        sessionsDir: this.paths.sessions,
+        // Per-directory values, from field-overrides.json
+        fieldOverrides: await loadFieldOverrides(this.paths.overrides),
+        // Values that do not fit a field are rewritten by AI when it is set up
+        rewriteValue: (value, constraints) =>
+          aiHelper.rewriteToFit(value, constraints),
+        budget: this.budget,
+        budgetCurrency: this.budgetCurrency,
+        mailbox: this.mailbox,
+        // Ask in the terminal whether a CAPTCHA was solved or should be skipped
+        onCaptcha: (prompt) => this.promptCaptcha(prompt),
+        retry: { maxAttempts: 3, baseDelay: 5000, maxDelay: 60000 },
       });
 
       await bot.initialize();
       await bot.loadSiteConfigs('./site-configs.json');
       spinner.succeed('Browser initialized');
 
+      this.showDirectoryValues(toSubmit, bot);
+
       await mkdir('screenshots', { recursive: true });
 
+      // Journal real runs so an interrupted run can be resumed
+      if (!dryRun && !resume) {
+        await this.saveInterruptedRun();
+        await startJournalRun(toSubmit, this.paths.journal);
+      }
+
+      onInterrupt = async () => {
+        console.log(
+          chalk.yellow(
+            `\n\n⏸️  Interrupted - finished directories are saved in ${this.paths.journal}.`
+          )
+        );
+        console.log(
+          chalk.yellow('   Run "Submit to Directories" to resume.\n')
+        );
+        await bot.close().catch(() => {});
+        process.exit(130);
+      };
+      if (!dryRun) {
+        process.once('SIGINT', onInterrupt);
+      }
+
       console.log(
         chalk.cyan(`\n📝 Submitting to ${toSubmit.length} directories...\n`)
       );
 
-      const results = await bot.processDirectoriesWithConfigs(
+      // Workers mark directories in-progress while the run goes on
+      const recordStatuses = createStatusRecorder(this.csvPath, this.paths);
+      const newResults = await bot.processDirectoriesWithConfigs(
         toSubmit,
-        this.submissionData
+        this.submissionData,
+        {
+          onStart: dryRun
+            ? null
+            : (directory) =>
+                recordStatuses([
+                  {
+                    name: directory.name,
+                    status: 'in-progress',
+                    note: 'Submission started',
+                  },
+                ]),
+          onResult: dryRun
+            ? null
+            : (entry) => journalResult(entry, this.paths.journal),
+        }
       );
 
+      if (dryRun) {
+        await bot.saveResults(newResults, 'dry-run-results.json');
+        this.showDryRunReport(newResults);
+        await bot.close();
+        return;
+      }
+
+      const results = [...(resume?.results || []), ...newResults];
+
       spinner.start('Saving results...');
-      await bot.saveResults(results);
+      await bot.saveResults(results, this.paths.results);
       spinner.succeed('Results saved');
 
+      spinner.start('Updating directory statuses...');
+      const updated = await recordStatuses(results);
+      spinner.succeed(
+        `Updated ${updated} row(s) in ${this.paths.statuses || this.csvPath}`
+      );
+
+      // Everything in the journal is now in the results file and the statuses
+      await clearJournal(this.paths.journal);
+
       const successful = results.filter((r) => r.result.success).length;
       const failed = results.filter((r) => !r.result.success).length;
       const manual = results.filter((r) => r.result.requiresManual).length;
+      const toPay = results.filter((r) => r.result.paymentRequired).length;
 
       console.log(chalk.cyan('\n📊 Submission Summary:\n'));
       console.log(chalk.green(`  ✅ Successful: ${successful}`));
       console.log(chalk.red(`  ❌ Failed: ${failed}`));
       console.log(chalk.yellow(`  ⚠️  Requires manual: ${manual}`));
+      if (toPay > 0) {
+        console.log(
+          chalk.yellow(`  💰 Submitted, waiting for payment: ${toPay}`)
+        );
+      }
+
+      const failureReasons = {};
+      results
+        .filter((r) => r.result.failureReason)
+        .forEach((r) => {
+          const reason = r.result.failureReason;
+          failureReasons[reason] = (failureReasons[reason] || 0) + 1;
+        });
+      Object.entries(failureReasons).forEach(([reason, count]) => {
+        console.log(chalk.gray(`      • ${reason}: ${count}`));
+      });
 
       console.log(chalk.green('\n✨ Submissions complete!\n'));
 
@@ -561,7 +956,225 @@ class DirectoriesCLI {
     } catch (error) {
       spinner.fail(`Submission failed: ${error.message}`);
       console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    } finally {
+      if (onInterrupt) {
+        process.off('SIGINT', onInterrupt);
+      }
+    }
+  }
+
+  /**
+   * Offer to resume a run that was interrupted before it finished
+   * @returns {Promise<Object|null>} The run state to resume, or null
+   */
+  async promptResumeRun() {
+    const { entries, skippedLines } = await readJournal(this.paths.journal);
+    const run = getRunState(entries);
+
+    if (!run) {
+      return null;
+    }
+
+    console.log(
+      chalk.yellow(
+        `\n⏸️  Found an interrupted run from ${run.startedAt}: ${run.results.length}/${run.directories.length} directories finished`
+      )
+    );
+    if (skippedLines > 0) {
+      console.log(
+        chalk.gray(`   (${skippedLines} damaged journal line(s) ignored)`)
+      );
+    }
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do?',
+        choices: [
+          {
+            name: `▶️  Resume (${run.remaining.length} remaining)`,
+            value: 'resume',
+          },
+          { name: '🗑️  Discard it and start a new run', value: 'discard' },
+        ],
+      },
+    ]);
+
+    if (action === 'discard') {
+      await this.saveInterruptedRun();
+      return null;
     }
+
+    return run;
+  }
+
+  /**
+   * Save the results of the directories an interrupted run finished, and
+   * their statuses, then delete its journal. Directories it left
+   * in-progress go back to pending.
+   */
+  async saveInterruptedRun() {
+    const { entries } = await readJournal(this.paths.journal);
+    const run = getRunState(entries);
+
+    if (run) {
+      await recordProfileResults(this.csvPath, this.paths, [
+        ...run.results,
+        ...run.remaining.map(({ name }) => ({ name })),
+      ]);
+    }
+    if (run?.results.length > 0) {
+      await writeFile(this.paths.results, JSON.stringify(run.results, null, 2));
+      console.log(
+        chalk.gray(
+          `   Saved ${run.results.length} finished directories of the interrupted run`
+        )
+      );
+    }
+
+    await clearJournal(this.paths.journal);
+  }
+
+  /**
+   * Ask whether a directory's CAPTCHA was solved while the bot watches for
+   * it. The question is withdrawn once the bot sees the CAPTCHA solved.
+   * Workers of a concurrent run ask one at a time, so their questions
+   * never share the terminal; one whose wait ends before its turn is not
+   * asked at all.
+   * @param {Object} prompt
+   * @param {Object} prompt.directory
+   * @param {string|null} prompt.provider - CAPTCHA type, if recognised
+   * @param {AbortSignal} prompt.signal - Aborted when the wait is over
+   * @returns {Promise<string|null>} 'solved' or 'skip', or null when the
+   *   question was withdrawn
+   */
+  promptCaptcha(prompt) {
+    const answer = this.captchaPrompts.then(() =>
+      prompt.signal.aborted ? null : this.askCaptcha(prompt)
+    );
+    this.captchaPrompts = answer.catch(() => {});
+    return answer;
+  }
+
+  /**
+   * Put one CAPTCHA question to the terminal, see promptCaptcha
+   * @returns {Promise<string|null>}
+   */
+  askCaptcha({ directory, provider, signal }) {
+    const question = inquirer.prompt([
+      {
+        type: 'list',
+        name: 'answer',
+        message: `Solve the ${provider || 'CAPTCHA'} for ${directory.name} in the browser, then:`,
+        choices: [
+          { name: '✅ Solved - submit the form', value: 'solved' },
+          { name: '⏭️  Skip this directory', value: 'skip' },
+        ],
+      },
+    ]);
+    return new Promise((resolve, reject) => {
+      let answered = false;
+      signal.addEventListener(
+        'abort',
+        () => {
+          if (!answered) {
+            question.ui.close();
+            console.log('');
+            resolve(null);
+          }
+        },
+        { once: true }
+      );
+      question.then(({ answer }) => {
+        answered = true;
+        resolve(answer);
+      }, reject);
+    });
+  }
+
+  /**
+   * Show the directories that get their own values instead of the
+   * profile's, before anything is submitted
+   * @param {Array<Object>} directories
+   * @param {SmartSubmissionBot} bot - With site configs loaded
+   */
+  showDirectoryValues(directories, bot) {
+    const custom = directories
+      .map((directory) => ({
+        directory,
+        overridden: bot.getSubmissionData(directory, this.submissionData)
+          .overridden,
+      }))
+      .filter(({ overridden }) => overridden.length > 0);
+    if (custom.length === 0) {
+      return;
+    }
+
+    console.log(chalk.cyan('\n✏️  Directory-specific values:\n'));
+    custom.forEach(({ directory, overridden }) => {
+      console.log(chalk.blue(`  ${directory.name}`));
+      overridden.forEach((override) => {
+        console.log(
+          `      ${describeOverride(override)}`,
+          chalk.gray(`(${override.source})`)
+        );
+        if (override.missing.length > 0) {
+          console.log(
+            chalk.yellow(
+              `      ⚠️  No value for {{${override.missing.join('}}, {{')}}}`
+            )
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Show what a dry run would have sent to each directory
+   */
+  showDryRunReport(results) {
+    console.log(chalk.cyan('\n🧪 Dry Run Report:\n'));
+
+    results.forEach(({ name, result }) => {
+      if (!result.dryRun) {
+        console.log(chalk.red(`  ❌ ${name}: ${result.message}`));
+        return;
+      }
+
+      const filled = result.fillReport.filter((f) => f.status === 'filled');
+      console.log(
+        chalk.green(
+          `  ✅ ${name}: ${filled.length}/${result.fillReport.length} fields filled`
+        )
+      );
+      result.fillReport
+        .filter((f) => f.status !== 'filled')
+        .forEach((f) => {
+          console.log(
+            chalk.yellow(`      ⚠️  ${f.field}: ${f.status}`),
+            chalk.gray(f.message || f.selector)
+          );
+        });
+      result.fillReport
+        .filter((f) => f.adaptation)
+        .forEach(({ field, adaptation }) => {
+          console.log(
+            chalk.gray(
+              `      ✂️  ${field}: ${adaptation.problems.join(', ')} (${adaptation.method})`
+            )
+          );
+        });
+      if (result.screenshot) {
+        console.log(chalk.gray(`      📸 ${result.screenshot}`));
+      }
+    });
+
+    console.log(
+      chalk.green(
+        '\n✨ Dry run complete - nothing was submitted. Details in dry-run-results.json\n'
+      )
+    );
   }
 
   /**
@@ -574,22 +1187,30 @@ class DirectoriesCLI {
     try {
       const { access } = await import('fs/promises');
       await access('./site-configs.json');
-      await access('./generated-values.json');
+      await access(this.paths.values);
     } catch (error) {
       console.log(chalk.red('\n❌ Required files not found!\n'));
       console.log(chalk.yellow('Run "Analyze" first to generate:'));
       console.log(chalk.yellow('  - site-configs.json'));
-      console.log(chalk.yellow('  - generated-values.json\n'));
+      console.log(chalk.yellow(`  - ${this.paths.values}\n`));
       return;
     }
 
     // Load generated values
     const { readFile } = await import('fs/promises');
-    const valuesContent = await readFile('./generated-values.json', 'utf-8');
+    const valuesContent = await readFile(this.paths.values, 'utf-8');
     const savedData = JSON.parse(valuesContent);
     this.submissionData = savedData.smartValues;
 
     console.log(chalk.green('✅ Loaded previous submission data\n'));
+
+    const interruptedRun = await this.promptResumeRun();
+    if (interruptedRun) {
+      await this.runSubmissionsWithData(interruptedRun.remaining, {
+        resume: interruptedRun,
+      });
+      return;
+    }
     
     // Check for missing required fields
     const requiredFields = ['name', 'url', 'email', 'description', 'category', 'tags'];
@@ -610,9 +1231,10 @@ class DirectoriesCLI {
       }
       
       // Save updated data
-      await writeFile('generated-values.json', JSON.stringify({
-        smartValues: this.submissionData,
-      }, null, 2));
+      await writeFile(
+        this.paths.values,
+        JSON.stringify({ smartValues: this.submissionData }, null, 2)
+      );
     }
     
     // Prompt for optional fields if missing
@@ -661,9 +1283,14 @@ class DirectoriesCLI {
 
     // Load directories
     const spinner = ora('Loading directories...').start();
-    const directories = await parseDirectoriesCSV(this.csvPath);
-    const unsubmitted = getUnsubmittedDirectories(directories);
-    spinner.succeed(`Found ${unsubmitted.length} unsubmitted directories`);
+    const directories = await loadProfileDirectories(this.csvPath, this.paths);
+    spinner.succeed(`Found ${directories.length} directories`);
+
+    const statuses = await this.promptForStatuses(directories);
+    const unsubmitted = filterByStatus(directories, statuses);
+    console.log(
+      chalk.green(`\n✅ ${unsubmitted.length} directories match the filter\n`)
+    );
 
     // Prompt for limit
     const { limit } = await inquirer.prompt([
@@ -683,6 +1310,30 @@ class DirectoriesCLI {
     await this.runSubmissionsWithData(toSubmit);
   }
 
+  /**
+   * Prompt for which submission statuses to target
+   */
+  async promptForStatuses(directories, defaults = ['pending']) {
+    const counts = countByStatus(directories);
+
+    const { statuses } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'statuses',
+        message: 'Which statuses should be included?',
+        choices: SUBMISSION_STATUSES.map((status) => ({
+          name: `${STATUS_ICONS[status]} ${status} (${counts[status]})`,
+          value: status,
+          checked: defaults.includes(status),
+        })),
+        validate: (input) =>
+          input.length > 0 ? true : 'Select at least one status',
+      },
+    ]);
+
+    return statuses;
+  }
+
   /**
    * Show statistics
    */
@@ -690,33 +1341,430 @@ class DirectoriesCLI {
     const spinner = ora('Loading statistics...').start();
 
     try {
-      const directories = await parseDirectoriesCSV(this.csvPath);
-      const unsubmitted = getUnsubmittedDirectories(directories);
-      const submitted = directories.filter((d) => d.status === 'submitted');
+      const directories = await loadProfileDirectories(
+        this.csvPath,
+        this.paths
+      );
+      const counts = countByStatus(directories);
+      const completed = COMPLETED_STATUSES.reduce(
+        (sum, status) => sum + counts[status],
+        0
+      );
 
       spinner.succeed('Statistics loaded');
 
-      console.log(chalk.cyan('\n📊 Directory Statistics:\n'));
+      console.log(
+        chalk.cyan(`\n📊 Directory Statistics (profile: ${this.profile}):\n`)
+      );
       console.log(chalk.blue(`  📁 Total directories: ${directories.length}`));
-      console.log(chalk.green(`  ✅ Submitted: ${submitted.length}`));
-      console.log(chalk.yellow(`  ⏳ Pending: ${unsubmitted.length}`));
+      Object.entries(counts).forEach(([status, count]) => {
+        const icon = STATUS_ICONS[status] || '❔';
+        const line = `  ${icon} ${status}: ${count}`;
+        console.log(count > 0 ? chalk.white(line) : chalk.gray(line));
+      });
       console.log(
         chalk.gray(
-          `  📈 Progress: ${Math.round((submitted.length / directories.length) * 100)}%\n`
+          `\n  📈 Progress: ${Math.round((completed / directories.length) * 100)}%\n`
         )
       );
+
+      const { status } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'status',
+          message: 'Show directories with status:',
+          choices: [
+            ...Object.entries(counts)
+              .filter(([, count]) => count > 0)
+              .map(([name, count]) => ({
+                name: `${STATUS_ICONS[name] || '❔'} ${name} (${count})`,
+                value: name,
+              })),
+            { name: '↩️  Back', value: null },
+          ],
+        },
+      ]);
+
+      if (status) {
+        const history = await loadStatusHistory(this.paths.history);
+        console.log(
+          chalk.cyan(`\n${STATUS_ICONS[status] || '❔'} ${status}:\n`)
+        );
+
+        filterByStatus(directories, status).forEach((dir) => {
+          const last = history[dir.name]?.at(-1);
+          const since = dir.updated_at
+            ? chalk.gray(` since ${dir.updated_at}`)
+            : '';
+          console.log(`${chalk.blue(`  • ${dir.name}`)}${since}`);
+          if (last?.note) {
+            console.log(
+              chalk.gray(`      ${last.from} → ${last.to}: ${last.note}`)
+            );
+          }
+        });
+        console.log();
+
+        await this.promptStatusChange(filterByStatus(directories, status));
+      }
     } catch (error) {
       spinner.fail('Failed to load statistics');
       console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
     }
   }
 
+  /**
+   * Let the user move one of the listed directories to another status,
+   * e.g. approved or live once the directory has published the listing
+   * @param {Array<Object>} directories - Directories sharing a status
+   */
+  async promptStatusChange(directories) {
+    const { name } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'name',
+        message: 'Change the status of:',
+        choices: [
+          ...directories.map((dir) => ({ name: dir.name, value: dir.name })),
+          { name: '↩️  Back', value: null },
+        ],
+      },
+    ]);
+    if (!name) {
+      return;
+    }
+
+    const current = normalizeStatus(
+      directories.find((dir) => dir.name === name).status
+    );
+    const { status, note } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'status',
+        message: `Move ${name} from ${current} to:`,
+        choices: SUBMISSION_STATUSES.filter(
+          (next) => next !== current && canTransition(current, next)
+        ).map((next) => ({
+          name: `${STATUS_ICONS[next] || '❔'} ${next}`,
+          value: next,
+        })),
+      },
+      {
+        type: 'input',
+        name: 'note',
+        message: 'Note (optional):',
+      },
+    ]);
+
+    await recordProfileResults(this.csvPath, this.paths, [
+      { name, status, note: note.trim() || 'Changed by hand' },
+    ]);
+    console.log(chalk.green(`\n✅ ${name}: ${current} → ${status}\n`));
+  }
+
+  /**
+   * Record a submission made by hand in the browser and save it as the
+   * directory's recipe in site-configs.json
+   */
+  async runRecorder() {
+    console.log(chalk.cyan('\n🎥 Record a Submission\n'));
+
+    const pending = getUnsubmittedDirectories(
+      await loadProfileDirectories(this.csvPath, this.paths)
+    );
+    if (pending.length === 0) {
+      console.log(chalk.green('\n✅ No directories left to record!\n'));
+      return;
+    }
+
+    const { name } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'name',
+        message: 'Which directory?',
+        choices: pending.map((directory) => directory.name),
+        pageSize: 15,
+      },
+    ]);
+    const directory = pending.find((candidate) => candidate.name === name);
+
+    // Typed values that match these are saved as references to them
+    let submissionData = {};
+    try {
+      const { readFile } = await import('fs/promises');
+      const siteConfigs = JSON.parse(
+        await readFile('./site-configs.json', 'utf-8').catch(() => '{}')
+      );
+      // This directory's own values, as the bot would submit them
+      ({ data: submissionData } = resolveSubmissionData(
+        JSON.parse(await readFile(this.paths.values, 'utf-8')).smartValues,
+        getOverrideLayers(
+          await loadFieldOverrides(this.paths.overrides),
+          directory,
+          siteConfigs[directory.name]
+        )
+      ));
+      console.log(
+        chalk.gray('Type these values so the recipe can reuse them:\n')
+      );
+      Object.entries(submissionData).forEach(([key, value]) => {
+        if (typeof value === 'string' && value) {
+          console.log(chalk.blue(`  ${key}:`), chalk.gray(value));
+        }
+      });
+    } catch {
+      console.log(
+        chalk.yellow(
+          `⚠️  No ${this.paths.values} - typed values are saved as they are`
+        )
+      );
+    }
+
+    const spinner = ora('Opening browser...').start();
+    const bot = new SmartSubmissionBot({ headless: false, timeout: 30000 });
+
+    try {
+      await bot.initialize();
+      const session = await loadSession(directory.name, this.paths.sessions);
+      if (isSessionUsable(session)) {
+        await restoreSession(bot.page, session);
+      }
+
+      const recording = await startRecording(bot.page);
+      await bot.page.goto(directory.submit_url?.trim() || directory.url, {
+        waitUntil: 'networkidle2',
+        timeout: 30000,
+      });
+      const challenge = await detectChallenge(bot.page).catch(() => null);
+      spinner.succeed(`Recording ${directory.name}`);
+
+      const { done } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'done',
+          message: 'Fill in and submit the form in the browser, then:',
+          choices: [
+            { name: '✅ Done - build the recipe', value: true },
+            { name: '❌ Cancel', value: false },
+          ],
+        },
+      ]);
+      await recording.stop();
+      if (!done) {
+        return;
+      }
+
+      const recipe = buildRecipeFromEvents(recording.events, submissionData, {
+        assets: await findLocalAssets({}, this.paths.assets),
+        // Logins typed while recording are saved as references, not values
+        credentials: getCredentials(
+          await loadCredentials(this.paths.credentials).catch(() => ({})),
+          directory
+        ),
+      });
+      if (recipe.length === 0) {
+        console.log(chalk.yellow('\n⚠️  Nothing was recorded.\n'));
+        return;
+      }
+
+      console.log(chalk.cyan('\n📜 Recorded recipe:\n'));
+      recipe.forEach((step, index) => {
+        console.log(
+          chalk.blue(`  ${index + 1}.`),
+          describeRecipeStep(step),
+          step.submit ? chalk.green('(submit)') : ''
+        );
+      });
+      validateRecipe(recipe).forEach((problem) => {
+        console.log(chalk.yellow(`  ⚠️  ${problem}`));
+      });
+
+      const { save, submitted } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'save',
+          message: `Save this recipe for ${directory.name} in site-configs.json?`,
+          default: true,
+        },
+        {
+          type: 'confirm',
+          name: 'submitted',
+          message: 'Did your submission go through? (mark it submitted)',
+          default: true,
+        },
+      ]);
+
+      if (save) {
+        let configs = {};
+        try {
+          const { readFile } = await import('fs/promises');
+          configs = JSON.parse(await readFile('./site-configs.json', 'utf-8'));
+        } catch {
+          // First config for this CSV
+        }
+        configs[directory.name] = {
+          url: directory.url,
+          hasForm: true,
+          requiresCaptcha: challenge?.requiresHuman ?? false,
+          ...(challenge && { challenge }),
+          submissionMethod: 'recipe',
+          recipe,
+        };
+        await this.saveSiteConfigs(configs);
+      }
+
+      if (submitted) {
+        await recordProfileResults(this.csvPath, this.paths, [
+          {
+            name: directory.name,
+            result: {
+              success: true,
+              submitted: true,
+              message: 'Submitted by hand while recording',
+            },
+          },
+        ]);
+        console.log(
+          chalk.green(`\n✅ Marked ${directory.name} as submitted\n`)
+        );
+      }
+    } catch (error) {
+      spinner.fail(`Recording failed: ${error.message}`);
+    } finally {
+      await bot.close();
+    }
+  }
+
+  /**
+   * Create, switch, clone and list product profiles. Each profile has its
+   * own values, assets, credentials and directory statuses.
+   */
+  async manageProfiles() {
+    const store = await loadProfiles();
+    const names = Object.keys(store.profiles);
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `Profiles (using ${this.profile}):`,
+        choices: [
+          { name: '📋 List profiles', value: 'list' },
+          { name: '➕ Create a profile', value: 'create' },
+          { name: '🔀 Switch profile', value: 'switch' },
+          { name: '📑 Clone a profile', value: 'clone' },
+          { name: '↩️  Back', value: 'back' },
+        ],
+      },
+    ]);
+
+    const askName = (message) =>
+      inquirer.prompt([
+        {
+          type: 'input',
+          name: 'name',
+          message,
+          validate: (input) => {
+            try {
+              createProfile({ profiles: { ...store.profiles } }, input.trim());
+              return true;
+            } catch (error) {
+              return error.message;
+            }
+          },
+          filter: (input) => input.trim(),
+        },
+      ]);
+    const askProfile = (message) =>
+      inquirer.prompt([
+        {
+          type: 'list',
+          name: 'name',
+          message,
+          choices: names,
+          default: this.profile,
+        },
+      ]);
+
+    try {
+      if (action === 'list') {
+        console.log(chalk.cyan('\n👤 Profiles:\n'));
+        for (const name of names) {
+          const values = await readProfileValues(getProfilePaths(name));
+          const { createdAt, clonedFrom } = store.profiles[name];
+          const details = [
+            values?.name || 'no values yet',
+            clonedFrom && `cloned from ${clonedFrom}`,
+            createdAt && `created ${createdAt}`,
+          ].filter(Boolean);
+          const marker = name === this.profile ? chalk.green('▶') : ' ';
+          console.log(
+            `  ${marker} ${chalk.blue(name)}`,
+            chalk.gray(`(${details.join(', ')})`)
+          );
+        }
+        console.log();
+        return;
+      }
+
+      let target = null;
+      if (action === 'create') {
+        ({ name: target } = await askName('New profile name:'));
+        createProfile(store, target);
+        await mkdir(path.dirname(getProfilePaths(target).values), {
+          recursive: true,
+        });
+        console.log(chalk.green(`\n✅ Created profile ${target}`));
+        const { use } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'use',
+            message: `Switch to ${target}?`,
+            default: true,
+          },
+        ]);
+        if (!use) {
+          target = null;
+        }
+      } else if (action === 'switch') {
+        ({ name: target } = await askProfile('Switch to:'));
+      } else if (action === 'clone') {
+        const { name: from } = await askProfile('Clone which profile?');
+        ({ name: target } = await askName('New profile name:'));
+        await cloneProfile(store, from, target);
+        console.log(
+          chalk.green(
+            `\n✅ Cloned ${from} to ${target} (values, assets, credentials and overrides)`
+          )
+        );
+      }
+
+      if (target) {
+        switchProfile(store, target);
+        await this.useProfile(target);
+        console.log(chalk.green(`\n👤 Now using profile ${target}\n`));
+      }
+      if (action !== 'back') {
+        await saveProfiles(store);
+      }
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error: ${error.message}\n`));
+    }
+  }
+
   /**
    * Run the CLI
    */
   async run() {
     this.displayBanner();
 
+    const store = await loadProfiles();
+    if (this.profileArg && !store.profiles[this.profileArg]) {
+      throw new Error(`Unknown profile: ${this.profileArg}`);
+    }
+    await this.useProfile(this.profileArg || store.active);
+    console.log(chalk.gray(`👤 Profile: ${this.profile}\n`));
+
     let running = true;
 
     while (running) {
@@ -727,12 +1775,8 @@ class DirectoriesCLI {
           await this.resetState();
           await this.runAnalysis();
           break;
-        case 'inspect':
-          console.log(
-            chalk.yellow(
-              '\n⚠️  Inspect feature coming soon. Use Analyze for now.\n'
-            )
-          );
+        case 'record':
+          await this.runRecorder();
           break;
         case 'submit':
           await this.runSubmissionsOnly();
@@ -740,6 +1784,9 @@ class DirectoriesCLI {
         case 'stats':
           await this.showStatistics();
           break;
+        case 'profiles':
+          await this.manageProfiles();
+          break;
         case 'exit':
           console.log(chalk.cyan('\n👋 Goodbye!\n'));
           running = false;
@@ -1,5 +1,26 @@
 import puppeteer from 'puppeteer';
 import { writeFile } from 'fs/promises';
+import {
+  PagePool,
+  hostKey,
+  logPoolProgress,
+  scopeToPage,
+} from './utils/page-pool.js';
+import { getAssetKey } from './utils/assets.js';
+import { RICH_TEXT_EDITORS, findRichTextEditors } from './utils/rich-text.js';
+import {
+  COMBOBOX_WIDGETS,
+  findComboboxes,
+  getComboboxKey,
+} from './utils/combobox.js';
+import { CHOICE_KEYS, classifyChoice } from './utils/choice-classifier.js';
+import { getFormFrames } from './utils/form-frames.js';
+import {
+  describeChallenge,
+  detectChallenge,
+  pickChallenge,
+} from './utils/captcha.js';
+import { describePricing, detectPricing } from './utils/pricing.js';
 
 /**
  * Field Analyzer - Analyzes all directories to find required fields
@@ -9,6 +30,7 @@ export class FieldAnalyzer {
     this.config = {
       headless: config.headless ?? false,
       timeout: config.timeout ?? 30000,
+      concurrency: config.concurrency ?? 1,
       ...config,
     };
     this.browser = null;
@@ -64,8 +86,8 @@ export class FieldAnalyzer {
         }
       }
 
-      // Extract form fields and metadata
-      const analysis = await this.page.evaluate(() => {
+      // Extract form fields and metadata from one document
+      const analyzeFrame = (provider) => {
         const fields = [];
         const metadata = {
           title: document.title,
@@ -94,7 +116,8 @@ export class FieldAnalyzer {
         });
 
         // Analyze all forms
-        document.querySelectorAll('form').forEach((form) => {
+        const formSelector = provider?.formSelector || 'form';
+        document.querySelectorAll(formSelector).forEach((form) => {
           form.querySelectorAll('input, textarea, select').forEach((field) => {
             if (
               field.type === 'hidden' ||
@@ -112,8 +135,11 @@ export class FieldAnalyzer {
               required: field.required || false,
               label: '',
               pattern: field.pattern || '',
-              minLength: field.minLength || 0,
-              maxLength: field.maxLength || 0,
+              // Browsers report a missing limit as -1
+              minLength: Math.max(field.minLength, 0) || 0,
+              maxLength: Math.max(field.maxLength, 0) || 0,
+              accept: field.accept || '',
+              sizeHint: '',
             };
 
             // Try to find label
@@ -132,12 +158,141 @@ export class FieldAnalyzer {
               }
             }
 
+            // Form builders label inputs with ARIA or their question markup
+            const labelledBy = field.getAttribute('aria-labelledby');
+            const ariaLabel = field.getAttribute('aria-label');
+            if (!fieldInfo.label) {
+              const question = provider
+                ? field.closest(provider.questionSelector)
+                : null;
+              fieldInfo.label = (
+                (labelledBy &&
+                  document.getElementById(labelledBy.split(' ')[0])
+                    ?.textContent) ||
+                ariaLabel ||
+                question?.querySelector(provider.labelSelector)?.textContent ||
+                ''
+              ).trim();
+            }
+
+            // Builders rarely give inputs an id or name to select them by
+            if (!field.id && !field.name) {
+              const tag = field.tagName.toLowerCase();
+              if (labelledBy) {
+                fieldInfo.selector = `${tag}[aria-labelledby="${labelledBy}"]`;
+              } else if (ariaLabel) {
+                fieldInfo.selector = `${tag}[aria-label="${ariaLabel}"]`;
+              } else if (field.placeholder) {
+                fieldInfo.selector = `${tag}[placeholder="${field.placeholder}"]`;
+              }
+            }
+
+            // Checkboxes and radios need their value and the question they
+            // belong to (usually a fieldset legend)
+            if (fieldInfo.type === 'checkbox' || fieldInfo.type === 'radio') {
+              fieldInfo.value = field.value || '';
+              fieldInfo.groupLabel =
+                field
+                  .closest('fieldset')
+                  ?.querySelector('legend')
+                  ?.textContent.trim() || '';
+            }
+
+            // Upload widgets state their size limit in a data attribute or
+            // in help text next to the input
+            if (fieldInfo.type === 'file') {
+              const container = field.closest('label, .form-group, div');
+              const sizeMatch = (container?.textContent || '').match(
+                /\d+(?:\.\d+)?\s*[kmg]i?b\b/i
+              );
+              fieldInfo.sizeHint =
+                field.dataset.maxSize ||
+                field.dataset.maxFileSize ||
+                (sizeMatch ? sizeMatch[0] : '');
+            }
+
             fields.push(fieldInfo);
           });
         });
 
+        // Drag-and-drop upload widgets (e.g. Dropzone) often sit outside forms
+        document
+          .querySelectorAll('.dropzone[id], [data-dropzone][id]')
+          .forEach((zone) => {
+            fields.push({
+              type: 'file',
+              name: '',
+              id: zone.id,
+              placeholder: '',
+              required: false,
+              label: zone.textContent.trim().slice(0, 100),
+              pattern: '',
+              minLength: 0,
+              maxLength: 0,
+              accept: zone.dataset.acceptedFiles || '',
+              sizeHint: zone.dataset.maxFilesize
+                ? `${zone.dataset.maxFilesize}MB`
+                : '',
+            });
+          });
+
         return { fields, metadata };
-      });
+      };
+
+      // Forms from hosted builders (Tally, Typeform...) live in iframes
+      const analysis = { fields: [], metadata: null, challenge: null };
+      for (const { frame, frameUrl, provider } of getFormFrames(this.page)) {
+        const frameAnalysis = await Promise.all([
+          frame.evaluate(analyzeFrame, provider),
+          // Rich-text editors and custom dropdowns are not form inputs
+          frame.evaluate(findRichTextEditors, RICH_TEXT_EDITORS),
+          frame.evaluate(findComboboxes, COMBOBOX_WIDGETS),
+        ])
+          .then(([frameFields, editors, comboboxes]) => ({
+            ...frameFields,
+            fields: [
+              ...frameFields.fields,
+              ...[...editors, ...comboboxes].map(({ fieldInfo }) => fieldInfo),
+            ],
+          }))
+          .catch((error) => {
+            // Embeds can navigate or detach mid-analysis; skip them
+            if (!frameUrl) {
+              throw error;
+            }
+            return null;
+          });
+        if (!frameAnalysis) {
+          continue;
+        }
+
+        analysis.metadata ??= frameAnalysis.metadata;
+        analysis.challenge = pickChallenge([
+          analysis.challenge,
+          await detectChallenge(frame).catch(() => null),
+        ]);
+        frameAnalysis.fields.forEach((field) =>
+          analysis.fields.push(
+            frameUrl
+              ? { ...field, frame: frameUrl, provider: provider?.name || null }
+              : field
+          )
+        );
+        if (frameUrl && frameAnalysis.fields.length > 0) {
+          console.log(
+            `   🪟 ${frameAnalysis.fields.length} field(s) in ${provider?.name || 'embedded'} form: ${frameUrl}`
+          );
+        }
+      }
+
+      // Checkout links are often in the CSV's submit button, not the page
+      analysis.pricing = await detectPricing(
+        getFormFrames(this.page).map(({ frame }) => frame),
+        {
+          submitButton: directory.submit_button,
+          currency: this.config.budgetCurrency,
+        }
+      );
 
       // Track unique fields
       analysis.fields.forEach((field) => {
@@ -156,6 +311,12 @@ export class FieldAnalyzer {
       });
 
       console.log(`   ✅ Found ${analysis.fields.length} fields`);
+      if (analysis.challenge) {
+        console.log(`   🔒 ${describeChallenge(analysis.challenge)}`);
+      }
+      if (analysis.pricing) {
+        console.log(`   💰 ${describePricing(analysis.pricing)}`);
+      }
 
       return {
         name: directory.name,
@@ -182,6 +343,15 @@ export class FieldAnalyzer {
     const name = (field.name || field.id || field.label).toLowerCase();
     const type = field.type.toLowerCase();
 
+    if (type === 'file') return getAssetKey(field);
+    if (type === 'richtext') return 'description';
+    if (type === 'combobox' && getComboboxKey(field)) {
+      return getComboboxKey(field);
+    }
+    if (type === 'checkbox' || type === 'radio') {
+      return CHOICE_KEYS[classifyChoice(field)];
+    }
+
     // Common field patterns
     if (
       name.includes('name') &&
@@ -269,16 +439,35 @@ export class FieldAnalyzer {
 
     throw new Error('Could not find button');
   }
+
+  /**
+   * Analyze directories on a pool of pages, one site at a time per host
+   */
   async analyzeAll(directories) {
-    const results = [];
+    const pool = new PagePool(this.browser, {
+      size: this.config.concurrency,
+      timeout: this.config.timeout,
+    });
+    await pool.open(this.page);
 
-    for (const directory of directories) {
-      const result = await this.analyzeDirectory(directory);
-      results.push(result);
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Small delay between requests
+    try {
+      return await pool.run(
+        directories,
+        async (directory, page) => {
+          const result = await scopeToPage(this, page).analyzeDirectory(
+            directory
+          );
+          await new Promise((resolve) => setTimeout(resolve, 1000)); // Small delay between requests
+          return result;
+        },
+        {
+          keyOf: (directory) => hostKey(directory.submit_url || directory.url),
+          onProgress: logPoolProgress,
+        }
+      );
+    } finally {
+      await pool.close();
     }
-
-    return results;
   }
 
   /**
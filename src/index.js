@@ -1,9 +1,29 @@
 #!/usr/bin/env node
 
 import {
-  parseDirectoriesCSV,
+  filterByStatus,
   getUnsubmittedDirectories,
 } from './utils/csv-parser.js';
+import {
+  startJournalRun,
+  journalResult,
+  readJournal,
+  getRunState,
+  clearJournal,
+} from './utils/run-journal.js';
+import { findLocalAssets } from './utils/assets.js';
+import { loadOptionMappings } from './utils/option-matcher.js';
+import { loadCredentials } from './utils/sessions.js';
+import { loadFieldOverrides } from './utils/field-overrides.js';
+import {
+  DEFAULT_PROFILE,
+  createStatusRecorder,
+  getProfilePaths,
+  loadProfileDirectories,
+  loadProfiles,
+  readProfileValues,
+} from './utils/profiles.js';
+import { AIHelper } from './ai-helper.js';
 import { SmartSubmissionBot } from './smart-submission-bot.js';
 import { mkdir } from 'fs/promises';
 
@@ -33,11 +53,26 @@ async function main() {
     console.warn('Could not create screenshots directory:', error.message);
   }
 
+  // A named profile keeps its own values, files and statuses; the default
+  // one uses the files set in config.bot and the CSV's Status column
+  const profile = config.profile || DEFAULT_PROFILE;
+  const paths = getProfilePaths(profile);
+  const named = profile !== DEFAULT_PROFILE;
+  let { submission } = config;
+  if (named) {
+    if (!(await loadProfiles()).profiles[profile]) {
+      console.error(`❌ Unknown profile: ${profile}`);
+      process.exit(1);
+    }
+    console.log(`👤 Profile: ${profile}`);
+    submission = { ...submission, ...(await readProfileValues(paths)) };
+  }
+
   // Parse CSV file
   console.log(`📄 Reading directories from: ${config.csvPath}`);
   let directories;
   try {
-    directories = await parseDirectoriesCSV(config.csvPath);
+    directories = await loadProfileDirectories(config.csvPath, paths);
     console.log(`✅ Found ${directories.length} total directories\n`);
   } catch (error) {
     console.error(`❌ Error reading CSV file: ${error.message}`);
@@ -47,7 +82,12 @@ async function main() {
   // Filter directories based on configuration
   let directoriesToProcess = directories;
 
-  if (config.filter?.onlyUnsubmitted) {
+  if (config.filter?.statuses?.length > 0) {
+    directoriesToProcess = filterByStatus(directories, config.filter.statuses);
+    console.log(
+      `🔍 Filtered to ${directoriesToProcess.length} directories with status: ${config.filter.statuses.join(', ')}`
+    );
+  } else if (config.filter?.onlyUnsubmitted) {
     directoriesToProcess = getUnsubmittedDirectories(directories);
     console.log(
       `🔍 Filtered to ${directoriesToProcess.length} unsubmitted directories`
@@ -61,13 +101,40 @@ async function main() {
     );
   }
 
-  if (directoriesToProcess.length === 0) {
+  // Resume an interrupted run exactly where it stopped
+  const dryRun = config.bot?.dryRun ?? false;
+  const { entries } = await readJournal(paths.journal);
+  const interruptedRun = dryRun ? null : getRunState(entries);
+  if (interruptedRun) {
+    directoriesToProcess = interruptedRun.remaining;
+    console.log(
+      `⏸️  Resuming run from ${interruptedRun.startedAt}: ${interruptedRun.results.length} finished, ${directoriesToProcess.length} remaining`
+    );
+  }
+
+  if (directoriesToProcess.length === 0 && !interruptedRun) {
     console.log('✅ No directories to process. All done!');
     return;
   }
 
+  // Rewrites values that do not fit a field, when OPENAI_API_KEY is set
+  const aiHelper = new AIHelper();
+
   // Initialize the smart bot
-  const bot = new SmartSubmissionBot(config.bot);
+  const bot = new SmartSubmissionBot({
+    ...config.bot,
+    ...(named && { sessionsDir: paths.sessions }),
+    assets: await findLocalAssets(config.bot?.assets, paths.assets),
+    optionMappings: await loadOptionMappings(config.bot?.optionMappingsFile),
+    credentials: await loadCredentials(
+      named ? paths.credentials : config.bot?.credentialsFile
+    ),
+    fieldOverrides: await loadFieldOverrides(
+      named ? paths.overrides : config.bot?.fieldOverridesFile
+    ),
+    rewriteValue: (value, constraints) =>
+      aiHelper.rewriteToFit(value, constraints),
+  });
 
   try {
     await bot.initialize();
@@ -81,10 +148,32 @@ async function main() {
     );
     console.log('='.repeat(60));
 
-    const results = await bot.processDirectoriesWithConfigs(
+    if (!dryRun && !interruptedRun) {
+      await startJournalRun(directoriesToProcess, paths.journal);
+    }
+
+    // Workers mark directories in-progress while the run goes on
+    const recordStatuses = createStatusRecorder(config.csvPath, paths);
+    const newResults = await bot.processDirectoriesWithConfigs(
       directoriesToProcess,
-      config.submission
+      submission,
+      {
+        onStart: dryRun
+          ? null
+          : (directory) =>
+              recordStatuses([
+                {
+                  name: directory.name,
+                  status: 'in-progress',
+                  note: 'Submission started',
+                },
+              ]),
+        onResult: dryRun
+          ? null
+          : (entry) => journalResult(entry, paths.journal),
+      }
     );
+    const results = [...(interruptedRun?.results || []), ...newResults];
 
     // Display summary
     console.log('\n' + '='.repeat(60));
@@ -98,7 +187,20 @@ async function main() {
     console.log(`📝 Total: ${results.length}\n`);
 
     // Save results
-    await bot.saveResults(results);
+    if (bot.config.dryRun) {
+      await bot.saveResults(results, 'dry-run-results.json');
+      console.log('\n🧪 Dry run - nothing was submitted, CSV left unchanged');
+      return;
+    }
+    await bot.saveResults(results, paths.results);
+
+    // Record outcomes in the CSV (or the profile's statuses) so the next run
+    // skips finished directories
+    const updated = await recordStatuses(results);
+    console.log(
+      `📄 Updated ${updated} row(s) in ${paths.statuses || config.csvPath}`
+    );
+    await clearJournal(paths.journal);
 
     // Display failed submissions
     if (failed > 0) {
@@ -106,7 +208,10 @@ async function main() {
       results
         .filter((r) => !r.result.success)
         .forEach((r) => {
-          console.log(`  - ${r.name}: ${r.result.message}`);
+          const reason = r.result.failureReason || 'unknown';
+          console.log(
+            `  - ${r.name} [${reason}, ${r.attemptCount || 1} attempt(s)]: ${r.result.message}`
+          );
         });
     }
 
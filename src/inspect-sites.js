@@ -5,6 +5,7 @@ import {
   getUnsubmittedDirectories,
 } from './utils/csv-parser.js';
 import { SiteInspector } from './site-inspector.js';
+import { describeChallenge } from './utils/captcha.js';
 
 /**
  * CLI tool to inspect production sites and generate configurations
@@ -17,6 +18,7 @@ async function main() {
   const args = process.argv.slice(2);
   const csvPath = args[0] || './directories.csv';
   const limit = args[1] ? parseInt(args[1], 10) : null;
+  const concurrency = args[2] ? parseInt(args[2], 10) : 1;
 
   console.log(`\n📄 Reading directories from: ${csvPath}`);
 
@@ -50,6 +52,7 @@ async function main() {
   const inspector = new SiteInspector({
     headless: false, // Show browser for inspection
     timeout: 30000,
+    concurrency,
   });
 
   try {
@@ -73,7 +76,7 @@ async function main() {
       (r) => r.forms && r.forms.length > 0
     ).length;
     const withCaptcha = results.filter(
-      (r) => r.hasRecaptcha || r.hasHcaptcha
+      (r) => r.challenge?.requiresHuman
     ).length;
 
     console.log(`✅ Successfully inspected: ${successful}`);
@@ -84,6 +87,11 @@ async function main() {
     if (withCaptcha > 0) {
       console.log('\n⚠️  Sites with CAPTCHA will require manual submission');
     }
+    results
+      .filter((r) => r.challenge)
+      .forEach((r) => {
+        console.log(`   • ${r.name}: ${describeChallenge(r.challenge)}`);
+      });
 
     console.log('\n✨ Inspection complete!');
     console.log('\n📁 Generated files:');
@@ -1,5 +1,35 @@
 import puppeteer from 'puppeteer';
 import { writeFile } from 'fs/promises';
+import {
+  PagePool,
+  hostKey,
+  logPoolProgress,
+  scopeToPage,
+} from './utils/page-pool.js';
+import { getAssetKey, parseSizeLimit } from './utils/assets.js';
+import { buildChoiceMappings } from './utils/choice-classifier.js';
+import { RICH_TEXT_EDITORS, findRichTextEditors } from './utils/rich-text.js';
+import {
+  COMBOBOX_WIDGETS,
+  findComboboxes,
+  getComboboxKey,
+  readComboboxOptions,
+} from './utils/combobox.js';
+import { frameAsPage, getFormFrames } from './utils/form-frames.js';
+import {
+  describeChallenge,
+  detectChallenge,
+  pickChallenge,
+} from './utils/captcha.js';
+import { describePricing, detectPricing } from './utils/pricing.js';
+import {
+  SESSIONS_DIR,
+  buildLoginConfig,
+  isSessionUsable,
+  keepHandWrittenSteps,
+  loadSession,
+  restoreSession,
+} from './utils/sessions.js';
 
 /**
  * Site Inspector - Analyzes production sites and generates submission configurations
@@ -9,6 +39,8 @@ export class SiteInspector {
     this.config = {
       headless: config.headless ?? false,
       timeout: config.timeout ?? 30000,
+      concurrency: config.concurrency ?? 1,
+      sessionsDir: config.sessionsDir ?? SESSIONS_DIR,
       ...config,
     };
     this.browser = null;
@@ -30,25 +62,40 @@ export class SiteInspector {
 
   /**
    * Inspect a single site and extract form configuration
+   * @param {string} url
+   * @param {string} name
+   * @param {string} [submitButton] - The CSV's submit_button HTML
    */
-  async inspectSite(url, name) {
+  async inspectSite(url, name, submitButton) {
     console.log(`\n🔍 Inspecting: ${name}`);
     console.log(`   URL: ${url}`);
 
     try {
-      await this.page.goto(url, {
-        waitUntil: 'networkidle2',
-        timeout: this.config.timeout,
-      });
+      // Inspect as a logged-in user when the bot has saved a session
+      const session = await loadSession(name, this.config.sessionsDir);
+      const stopRestore = isSessionUsable(session)
+        ? await restoreSession(this.page, session)
+        : null;
+
+      try {
+        await this.page.goto(url, {
+          waitUntil: 'networkidle2',
+          timeout: this.config.timeout,
+        });
+      } finally {
+        // The pooled page goes on to other sites either way
+        await stopRestore?.();
+      }
 
       await this.page.waitForTimeout(2000);
 
-      // Extract detailed form information
-      const siteConfig = await this.page.evaluate(() => {
+      // Extract detailed form information from one document
+      const inspectFrame = (provider) => {
         const forms = [];
 
         // Analyze all forms on the page
-        document.querySelectorAll('form').forEach((form, formIndex) => {
+        const formSelector = provider?.formSelector || 'form';
+        document.querySelectorAll(formSelector).forEach((form, formIndex) => {
           const formData = {
             index: formIndex,
             action: form.action || window.location.href,
@@ -66,6 +113,8 @@ export class SiteInspector {
               required: field.required || false,
               label: '',
               options: [],
+              accept: field.accept || '',
+              sizeHint: '',
             };
 
             // Try to find associated label
@@ -75,6 +124,63 @@ export class SiteInspector {
                 fieldInfo.label = label.textContent.trim();
               }
             }
+            if (!fieldInfo.label) {
+              fieldInfo.label =
+                field.closest('label')?.textContent.trim() || '';
+            }
+
+            // Form builders label inputs with ARIA or their question markup
+            const labelledBy = field.getAttribute('aria-labelledby');
+            const ariaLabel = field.getAttribute('aria-label');
+            if (!fieldInfo.label) {
+              const question = provider
+                ? field.closest(provider.questionSelector)
+                : null;
+              fieldInfo.label = (
+                (labelledBy &&
+                  document.getElementById(labelledBy.split(' ')[0])
+                    ?.textContent) ||
+                ariaLabel ||
+                question?.querySelector(provider.labelSelector)?.textContent ||
+                ''
+              ).trim();
+            }
+
+            // Builders rarely give inputs an id or name to select them by
+            if (!field.id && !field.name) {
+              const tag = field.tagName.toLowerCase();
+              if (labelledBy) {
+                fieldInfo.selector = `${tag}[aria-labelledby="${labelledBy}"]`;
+              } else if (ariaLabel) {
+                fieldInfo.selector = `${tag}[aria-label="${ariaLabel}"]`;
+              } else if (field.placeholder) {
+                fieldInfo.selector = `${tag}[placeholder="${field.placeholder}"]`;
+              }
+            }
+
+            // Checkboxes and radios need their value and the question they
+            // belong to (usually a fieldset legend)
+            if (fieldInfo.type === 'checkbox' || fieldInfo.type === 'radio') {
+              fieldInfo.value = field.value || '';
+              fieldInfo.groupLabel =
+                field
+                  .closest('fieldset')
+                  ?.querySelector('legend')
+                  ?.textContent.trim() || '';
+            }
+
+            // Upload widgets state their size limit in a data attribute or
+            // in help text next to the input
+            if (fieldInfo.type === 'file') {
+              const container = field.closest('label, .form-group, div');
+              const sizeMatch = (container?.textContent || '').match(
+                /\d+(?:\.\d+)?\s*[kmg]i?b\b/i
+              );
+              fieldInfo.sizeHint =
+                field.dataset.maxSize ||
+                field.dataset.maxFileSize ||
+                (sizeMatch ? sizeMatch[0] : '');
+            }
 
             // For select elements, get options
             if (field.tagName.toLowerCase() === 'select') {
@@ -96,7 +202,18 @@ export class SiteInspector {
             }
           });
 
-          // Find submit button
+          // Find submit button (builders use their own buttons)
+          const providerSubmit = provider
+            ? form.querySelector(provider.submitSelector)
+            : null;
+          if (providerSubmit) {
+            formData.submitButton = {
+              text: providerSubmit.textContent.trim() || 'Submit',
+              selector: provider.submitSelector,
+            };
+            forms.push(formData);
+            return;
+          }
           const submitBtn =
             form.querySelector('button[type="submit"]') ||
             form.querySelector('input[type="submit"]') ||
@@ -139,7 +256,87 @@ export class SiteInspector {
           ),
           hasHcaptcha: !!document.querySelector('.h-captcha'),
         };
-      });
+      };
+
+      // Forms from hosted builders (Tally, Typeform...) live in iframes
+      const siteConfig = {
+        forms: [],
+        submissionLinks: [],
+        title: '',
+        hasRecaptcha: false,
+        hasHcaptcha: false,
+        challenge: null,
+      };
+      for (const { frame, frameUrl, provider } of getFormFrames(this.page)) {
+        const frameConfig = await Promise.all([
+          frame.evaluate(inspectFrame, provider),
+          // Rich-text editors and custom dropdowns are not form inputs
+          frame.evaluate(findRichTextEditors, RICH_TEXT_EDITORS),
+          frame.evaluate(findComboboxes, COMBOBOX_WIDGETS),
+        ])
+          .then(([config, editors, comboboxes]) => {
+            // Attach them to the form around them, or the first form
+            [...editors, ...comboboxes].forEach(({ fieldInfo, formIndex }) => {
+              config.forms[Math.max(formIndex, 0)]?.fields.push(fieldInfo);
+            });
+            return config;
+          })
+          .catch((error) => {
+            // Embeds can navigate or detach mid-inspection; skip them
+            if (!frameUrl) {
+              throw error;
+            }
+            return null;
+          });
+        if (!frameConfig) {
+          continue;
+        }
+
+        // Dropdown options are only rendered once the widget is opened
+        const framePage = frameAsPage(this.page, frame);
+        for (const form of frameConfig.forms) {
+          for (const field of form.fields) {
+            if (field.type === 'combobox' && field.options.length === 0) {
+              field.options = await readComboboxOptions(framePage, field);
+            }
+          }
+        }
+
+        if (frameUrl) {
+          frameConfig.forms.forEach((form) => {
+            form.frame = frameUrl;
+            form.provider = provider?.name || null;
+            form.fields.forEach((field) => {
+              field.frame = frameUrl;
+            });
+          });
+          if (frameConfig.forms.length > 0) {
+            console.log(
+              `   🪟 Found ${provider?.name || 'embedded'} form in frame: ${frameUrl}`
+            );
+          }
+        } else {
+          siteConfig.title = frameConfig.title;
+          siteConfig.submissionLinks = frameConfig.submissionLinks;
+        }
+        siteConfig.forms.push(...frameConfig.forms);
+        siteConfig.hasRecaptcha ||= frameConfig.hasRecaptcha;
+        siteConfig.hasHcaptcha ||= frameConfig.hasHcaptcha;
+        siteConfig.challenge = pickChallenge([
+          siteConfig.challenge,
+          await detectChallenge(frame).catch(() => null),
+        ]);
+      }
+
+      siteConfig.pricing = await detectPricing(
+        getFormFrames(this.page).map(({ frame }) => frame),
+        { submitButton }
+      );
+
+      // A hosted form builder is almost always the submission form
+      siteConfig.forms.sort(
+        (a, b) => Boolean(b.provider) - Boolean(a.provider)
+      );
 
       // Generate field mapping suggestions
       const fieldMapping = this.generateFieldMapping(siteConfig);
@@ -150,8 +347,17 @@ export class SiteInspector {
           `   🔗 Found ${siteConfig.submissionLinks.length} submission link(s)`
         );
       }
-      if (siteConfig.hasRecaptcha || siteConfig.hasHcaptcha) {
-        console.log(`   ⚠️  CAPTCHA detected - manual intervention required`);
+      if (siteConfig.challenge?.requiresHuman) {
+        console.log(
+          `   ⚠️  ${describeChallenge(siteConfig.challenge)} detected - manual intervention required`
+        );
+      } else if (siteConfig.challenge) {
+        console.log(
+          `   🤖 ${describeChallenge(siteConfig.challenge)} detected`
+        );
+      }
+      if (siteConfig.pricing) {
+        console.log(`   💰 ${describePricing(siteConfig.pricing)}`);
       }
 
       return {
@@ -186,6 +392,23 @@ export class SiteInspector {
     const form = siteConfig.forms[0];
 
     form.fields.forEach((field) => {
+      // Checkboxes, radios, editors and dropdowns are mapped separately below
+      if (['checkbox', 'radio', 'richtext', 'combobox'].includes(field.type)) {
+        return;
+      }
+
+      // File inputs take local assets (logo, screenshot, video)
+      if (field.type === 'file') {
+        const assetKey = getAssetKey(field);
+        mapping[assetKey] ??= {
+          selector: this.getFieldSelector(field),
+          type: 'file',
+          accept: field.accept,
+          maxSize: parseSizeLimit(field.sizeHint),
+        };
+        return;
+      }
+
       const fieldKey = field.name || field.id;
       const lowerKey = fieldKey.toLowerCase();
       const lowerLabel = field.label.toLowerCase();
@@ -276,13 +499,45 @@ export class SiteInspector {
       }
     });
 
-    return mapping;
+    // A rich-text editor is where the description goes, even when the form
+    // also has a (usually hidden) textarea backing it
+    const editor = form.fields.find((field) => field.type === 'richtext');
+    if (editor) {
+      mapping.description = {
+        selector: editor.selector,
+        index: editor.index,
+        type: 'richtext',
+        editor: editor.editor,
+      };
+    }
+
+    // Custom dropdowns replace any hidden input that stores their value
+    form.fields
+      .filter((field) => field.type === 'combobox')
+      .forEach((field) => {
+        const key = getComboboxKey(field);
+        if (key) {
+          mapping[key] = {
+            selector: field.selector,
+            index: field.index,
+            type: 'combobox',
+            widget: field.widget,
+            multiple: field.multiple,
+            options: field.options,
+          };
+        }
+      });
+
+    return { ...mapping, ...buildChoiceMappings(form.fields) };
   }
 
   /**
    * Get the best CSS selector for a field
    */
   getFieldSelector(field) {
+    if (field.selector) {
+      return field.selector;
+    }
     if (field.id) {
       return `#${field.id}`;
     }
@@ -296,17 +551,34 @@ export class SiteInspector {
    * Inspect multiple sites and generate configurations
    */
   async inspectSites(directories) {
-    const results = [];
-
-    for (const directory of directories) {
-      const result = await this.inspectSite(directory.url, directory.name);
-      results.push(result);
+    const pool = new PagePool(this.browser, {
+      size: this.config.concurrency,
+      timeout: this.config.timeout,
+    });
+    await pool.open(this.page);
 
-      // Small delay between inspections
-      await this.page.waitForTimeout(2000);
+    try {
+      return await pool.run(
+        directories,
+        async (directory, page) => {
+          const result = await scopeToPage(this, page).inspectSite(
+            directory.url,
+            directory.name,
+            directory.submit_button
+          );
+
+          // Small delay between inspections
+          await new Promise((resolve) => setTimeout(resolve, 2000));
+          return result;
+        },
+        {
+          keyOf: (directory) => hostKey(directory.url),
+          onProgress: logPoolProgress,
+        }
+      );
+    } finally {
+      await pool.close();
     }
-
-    return results;
   }
 
   /**
@@ -328,11 +600,24 @@ export class SiteInspector {
       const config = {
         url: result.url,
         hasForm: result.forms.length > 0,
-        requiresCaptcha: result.hasRecaptcha || result.hasHcaptcha,
+        requiresCaptcha:
+          result.challenge?.requiresHuman ??
+          (result.hasRecaptcha || result.hasHcaptcha),
         submissionMethod: 'form',
       };
+      if (result.challenge) {
+        config.challenge = result.challenge;
+      }
+      if (result.pricing) {
+        config.pricing = result.pricing;
+      }
 
-      if (result.forms.length > 0) {
+      // A login form means the submit form is behind an account
+      const login = buildLoginConfig(result.forms[0], result.url);
+      if (login) {
+        config.hasForm = false;
+        config.login = login;
+      } else if (result.forms.length > 0) {
         config.form = {
           index: 0,
           action: result.forms[0].action,
@@ -340,6 +625,10 @@ export class SiteInspector {
           fields: result.fieldMapping,
           submitButton: result.forms[0].submitButton,
         };
+        if (result.forms[0].frame) {
+          config.form.frame = result.forms[0].frame;
+          config.form.provider = result.forms[0].provider;
+        }
       }
 
       if (result.submissionLinks.length > 0) {
@@ -366,8 +655,11 @@ export class SiteInspector {
     await writeFile(filename, JSON.stringify(inspectionResults, null, 2));
     console.log(`\n💾 Inspection results saved to ${filename}`);
 
-    const configs = this.generateSiteConfigs(inspectionResults);
     const configFilename = 'site-configs.json';
+    const configs = await keepHandWrittenSteps(
+      this.generateSiteConfigs(inspectionResults),
+      configFilename
+    );
     await writeFile(configFilename, JSON.stringify(configs, null, 2));
     console.log(`💾 Site configurations saved to ${configFilename}`);
 
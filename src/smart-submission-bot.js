@@ -1,5 +1,94 @@
 import { SubmissionBot } from './submission-bot.js';
 import { readFile } from 'fs/promises';
+import {
+  SUCCESS_PATTERNS,
+  asksForEmailConfirmation,
+  classifySubmissionOutcome,
+  matchNewPatterns,
+} from './utils/outcome-classifier.js';
+import {
+  DEFAULT_RETRY_OPTIONS,
+  classifyFailure,
+  computeBackoffDelay,
+  shouldRetry,
+} from './utils/retry.js';
+import { getFormSteps, validateFormSteps } from './utils/form-steps.js';
+import {
+  describeRecipeStep,
+  toRecipeSelector,
+  validateRecipe,
+} from './utils/recipes.js';
+import { checkAsset, parseSizeLimit } from './utils/assets.js';
+import {
+  editorContentMatches,
+  markdownToHtml,
+  markdownToPlainText,
+} from './utils/rich-text.js';
+import { OPTION_SELECTOR, readVisibleOptions } from './utils/combobox.js';
+import { matchOption } from './utils/option-matcher.js';
+import {
+  detectLoginRequired,
+  getCredentials,
+  isSessionUsable,
+  loadSession,
+  restoreSession,
+  saveSession,
+} from './utils/sessions.js';
+import { waitForVerificationLink } from './utils/mailbox.js';
+import { waitForCaptcha } from './utils/captcha.js';
+import { checkBudget, classifyPricing } from './utils/pricing.js';
+import {
+  adaptValue,
+  describeConstraints,
+  findVariants,
+  getFieldConstraints,
+  hasConstraints,
+} from './utils/field-constraints.js';
+import {
+  describeOverride,
+  getOverrideLayers,
+  resolveSubmissionData,
+} from './utils/field-overrides.js';
+import {
+  findFormFrame,
+  frameAsPage,
+  getFormProvider,
+} from './utils/form-frames.js';
+import {
+  CHOICE_TYPES,
+  getChoicePolicy,
+  resolveChoice,
+} from './utils/choice-classifier.js';
+import {
+  PagePool,
+  hostKey,
+  logPoolProgress,
+  scopeToPage,
+} from './utils/page-pool.js';
+
+/**
+ * Fill report summary of an option picked by matchOption
+ * @param {Object} match
+ * @returns {{option: string, reason: string, term: string, score: number}}
+ */
+function describeMatch(match) {
+  return {
+    option: match.text,
+    reason: match.reason,
+    term: match.term,
+    score: Math.round(match.score * 100) / 100,
+  };
+}
+
+/**
+ * Result fields for an attempt that failed after its submit button was
+ * clicked. The listing may have gone through, so someone checks it by hand
+ * rather than a retry sending it twice.
+ * @returns {{submitClicked: boolean, requiresManual: boolean}}
+ */
+function afterSubmitClick() {
+  return { submitClicked: true, requiresManual: true };
+}
 
 /**
  * Smart Submission Bot - Uses site-specific configurations for targeted submissions
@@ -7,6 +96,7 @@ import { readFile } from 'fs/promises';
 export class SmartSubmissionBot extends SubmissionBot {
   constructor(config = {}) {
     super(config);
+    this.config.retry = { ...DEFAULT_RETRY_OPTIONS, ...config.retry };
     this.siteConfigs = null;
   }
 
@@ -20,6 +110,14 @@ export class SmartSubmissionBot extends SubmissionBot {
       console.log(
         `✅ Loaded configurations for ${Object.keys(this.siteConfigs).length} sites`
       );
+      Object.entries(this.siteConfigs).forEach(([name, siteConfig]) => {
+        [
+          ...validateFormSteps(siteConfig.form),
+          ...validateRecipe(siteConfig.recipe),
+        ].forEach((problem) => {
+          console.warn(`⚠️  ${name}: ${problem}`);
+        });
+      });
       return true;
     } catch (error) {
       console.warn(`⚠️  Could not load site configs: ${error.message}`);
@@ -38,15 +136,72 @@ export class SmartSubmissionBot extends SubmissionBot {
     return this.siteConfigs?.[siteName] || null;
   }
 
+  /**
+   * The submission data for a directory: the global profile with the
+   * directory's values from its site config and the field overrides file
+   * @param {{name: string, url: string, submit_url?: string}} directory
+   * @param {Object} submissionData - The global profile
+   * @returns {{data: Object, overridden: Array<Object>}} See
+   *   resolveSubmissionData
+   */
+  getSubmissionData(directory, submissionData) {
+    return resolveSubmissionData(
+      submissionData,
+      getOverrideLayers(
+        this.config.fieldOverrides,
+        directory,
+        this.getSiteConfig(directory.name)
+      )
+    );
+  }
+
+  /**
+   * How a directory charges for a listing: as recorded in its site config,
+   * or else as told by a checkout link in the CSV's submit button
+   * @param {Object} directory
+   * @returns {Object|null} See classifyPricing
+   */
+  getPricing(directory) {
+    return (
+      this.getSiteConfig(directory.name)?.pricing ??
+      classifyPricing(
+        { checkouts: [directory.submit_button || ''] },
+        this.config.budgetCurrency
+      )
+    );
+  }
+
   /**
    * Submit to a directory using site-specific configuration
    */
   async submitToDirectory(directory, submissionData) {
     const siteConfig = this.getSiteConfig(directory.name);
 
+    // Paid listings over the budget are not worth filling in
+    const pricing = this.getPricing(directory);
+    const payment = checkBudget(
+      pricing,
+      this.config.budget,
+      this.config.budgetCurrency
+    );
+    if (payment.action === 'skip') {
+      console.log(`\n💰 Skipping ${directory.name}: ${payment.reason}`);
+      return {
+        success: false,
+        message: payment.reason,
+        failureReason: 'paid-only',
+        pricing,
+      };
+    }
+
     if (!siteConfig) {
       console.log(`⚠️  No configuration found for ${directory.name}`);
-      return await this.visitDirectory(directory.url, directory.name);
+      return {
+        success: false,
+        message: 'No site configuration - analyze the directory first',
+        failureReason: 'selector-missing',
+        requiresManual: true,
+      };
     }
 
     // Use submit_url if available, otherwise use main url
@@ -57,6 +212,29 @@ export class SmartSubmissionBot extends SubmissionBot {
 
     console.log(`\n📝 Submitting to: ${directory.name}`);
     console.log(`   URL: ${targetUrl}`);
+    // Set once the submit button is clicked: from then on a retry could
+    // send the listing twice
+    const progress = { submitClicked: false };
+    if (payment.action === 'flag') {
+      console.log(`   💰 ${payment.reason} - pay for it by hand afterwards`);
+    }
+
+    const { data, overridden } = this.getSubmissionData(
+      directory,
+      submissionData
+    );
+    if (overridden.length > 0) {
+      console.log('   ✏️  Values for this directory:');
+      overridden.forEach((override) => {
+        console.log(`      ${describeOverride(override)}`);
+        if (override.missing.length > 0) {
+          console.log(
+            `      ⚠️  No value for {{${override.missing.join('}}, {{')}}}`
+          );
+        }
+      });
+    }
+    submissionData = data;
 
     // Check for manual submission requirements
     if (siteConfig.manualSubmissionRequired || siteConfig.error) {
@@ -70,21 +248,64 @@ export class SmartSubmissionBot extends SubmissionBot {
       };
     }
 
-    // Check for CAPTCHA
-    if (siteConfig.requiresCaptcha) {
-      console.log('   🔒 CAPTCHA detected - pausing for manual intervention');
-      console.log('   Please solve the CAPTCHA in the browser...');
-    }
-
     try {
+      // Reuse the session saved the last time we logged in here
+      const session = await loadSession(
+        directory.name,
+        this.config.sessionsDir
+      );
+      const stopRestore = isSessionUsable(session)
+        ? await restoreSession(this.page, session)
+        : null;
+
       // Navigate to the submission page
-      await this.page.goto(targetUrl, {
-        waitUntil: 'networkidle2',
-        timeout: this.config.timeout,
-      });
+      let response;
+      try {
+        response = await this.page.goto(targetUrl, {
+          waitUntil: 'networkidle2',
+          timeout: this.config.timeout,
+        });
+      } finally {
+        // The pooled page goes on to other directories either way
+        await stopRestore?.();
+      }
+
+      if ([403, 429].includes(response?.status())) {
+        throw new Error(`Blocked: HTTP ${response.status()}`);
+      }
 
       await new Promise((resolve) => setTimeout(resolve, 2000));
 
+      if (siteConfig.login) {
+        const login = await this.ensureLoggedIn(directory, siteConfig, {
+          targetUrl,
+          restored: !!stopRestore,
+          hasSession: session !== null,
+          submissionData,
+        });
+        if (login.dryRun) {
+          return { success: false, dryRun: true, message: login.message };
+        }
+        if (!login.ok) {
+          return {
+            success: false,
+            message: login.message,
+            failureReason: 'login-required',
+            requiresManual: true,
+          };
+        }
+      }
+
+      // Hand-written recipes replace the generated form handling
+      if (siteConfig.recipe) {
+        return await this.submitWithRecipe(
+          directory,
+          siteConfig,
+          submissionData,
+          progress
+        );
+      }
+
       // If submit_button is specified, click it to open modal
       if (
         directory.submit_button &&
@@ -103,35 +324,133 @@ export class SmartSubmissionBot extends SubmissionBot {
       // Fill the form using site-specific field mapping
       if (siteConfig.hasForm && siteConfig.form) {
         console.log('   📝 Filling form fields...');
-        await this.fillFormWithMapping(siteConfig.form.fields, submissionData);
+        const steps = getFormSteps(siteConfig.form);
+        // Embedded forms (Tally, Typeform...) are filled inside their frame
+        const formBot = await this.scopeToFormFrame(siteConfig.form);
+        const { fillReport, failedStep } = await formBot.fillFormSteps(
+          steps,
+          submissionData
+        );
+
+        if (failedStep) {
+          if (this.config.screenshotOnError) {
+            await this.takeScreenshot(
+              `step-${failedStep.step}-${directory.name}`
+            );
+          }
+          return {
+            success: false,
+            message: `Stuck on step ${failedStep.step} (${failedStep.name}): ${failedStep.message}`,
+            failureReason: failedStep.failureReason,
+            failedStep,
+            fillReport,
+          };
+        }
 
-        // Wait for CAPTCHA if needed
+        // Dry run: stop before anything is sent
+        if (this.config.dryRun) {
+          const screenshot = await this.takeScreenshot(
+            `dry-run-${directory.name}`
+          );
+          console.log('   🧪 Dry run - form filled but not submitted');
+          return {
+            success: true,
+            dryRun: true,
+            message: 'Dry run - form filled, not submitted',
+            fillReport,
+            screenshot,
+          };
+        }
+
+        // Wait for the CAPTCHA to be solved in the browser
+        let captcha;
         if (siteConfig.requiresCaptcha) {
-          console.log('   ⏸️  Waiting 30 seconds for CAPTCHA completion...');
-          await new Promise((resolve) => setTimeout(resolve, 30000));
+          captcha = await formBot.waitForCaptchaSolved(
+            directory,
+            siteConfig.challenge
+          );
+          if (!['solved', 'confirmed', 'not-found'].includes(captcha.outcome)) {
+            return {
+              success: false,
+              message:
+                captcha.outcome === 'skipped'
+                  ? 'CAPTCHA skipped'
+                  : `CAPTCHA not solved within ${this.config.captchaTimeout}ms`,
+              failureReason: 'captcha',
+              requiresManual: true,
+              fillReport,
+              captcha,
+            };
+          }
         }
 
-        // Submit the form
-        if (siteConfig.form.submitButton) {
+        // Submit the form from its last step
+        const { submitButton } = steps.at(-1);
+        if (submitButton) {
           console.log(`   ✅ Submitting form...`);
-          const submitted = await this.submitFormWithSelector(
-            siteConfig.form.submitButton.selector
-          );
+          const { selector } = submitButton;
+          const urlBefore = formBot.page.url();
+          const textBefore = await formBot.readPageText();
+          // Mail clocks are rarely in step with ours
+          const sentAt = new Date(Date.now() - 60000);
+          const capture = this.captureFormResponses();
+          const submitted = await formBot.submitFormWithSelector(selector);
+          const responses = capture.stop();
 
           if (submitted) {
+            progress.submitClicked = true;
             await new Promise((resolve) => setTimeout(resolve, 3000));
-            return {
-              success: true,
-              message: 'Form submitted successfully',
+            const verification = await formBot.verifySubmission({
+              urlBefore,
+              textBefore,
+              responses,
+              submitSelector: selector,
+            });
+            const success = ['confirmed', 'probable'].includes(
+              verification.outcome
+            );
+            console.log(
+              `   🔎 Outcome: ${verification.outcome} (${verification.reasons.join('; ')})`
+            );
+
+            const result = {
+              success,
+              submitted: success,
+              message: success
+                ? 'Form submitted successfully'
+                : `Submission not confirmed: ${verification.outcome}`,
+              // Nobody can tell whether an unknown outcome went through
+              requiresManual: verification.outcome === 'unknown',
               siteConfig: siteConfig.form,
+              fillReport,
+              verification,
+              captcha,
             };
+            if (verification.outcome === 'rejected-by-validation') {
+              result.failureReason = siteConfig.requiresCaptcha
+                ? 'captcha'
+                : 'validation-error';
+            }
+            return await this.confirmSubmissionByEmail(
+              directory,
+              result,
+              sentAt
+            );
           }
+
+          return {
+            success: false,
+            message: `Submit button not found: ${selector}`,
+            failureReason: 'selector-missing',
+            fillReport,
+          };
         }
       }
 
       return {
         success: false,
         message: 'Could not complete submission',
+        failureReason: 'selector-missing',
       };
     } catch (error) {
       if (this.config.screenshotOnError) {
@@ -141,8 +460,719 @@ export class SmartSubmissionBot extends SubmissionBot {
       return {
         success: false,
         message: `Submission failed: ${error.message}`,
+        failureReason: classifyFailure(error),
+        ...(progress.submitClicked && afterSubmitClick()),
+      };
+    }
+  }
+
+  /**
+   * Make sure we are logged in on a directory that needs an account, logging
+   * in with the stored credentials when there is no valid session, and save
+   * the new session for later runs. Directories with a register section get
+   * an account first when we have never had a session there.
+   * @param {Object} directory
+   * @param {Object} siteConfig - Site config with a login section
+   * @param {Object} context
+   * @param {string} context.targetUrl - Submit page to return to afterwards
+   * @param {boolean} context.restored - A saved session was put back
+   * @param {boolean} context.hasSession - A session was saved before, even
+   *   if it has expired
+   * @param {Object} context.submissionData - For registration forms
+   * @returns {Promise<{ok: boolean, message?: string, dryRun?: boolean}>}
+   *   dryRun is set when a dry run stopped before signing up or logging in
+   */
+  async ensureLoggedIn(
+    directory,
+    siteConfig,
+    { targetUrl, restored, hasSession, submissionData }
+  ) {
+    const reason = await this.checkLoginRequired(siteConfig);
+    if (!reason) {
+      if (restored) {
+        console.log('   🔓 Reusing saved session');
+      }
+      return { ok: true };
+    }
+
+    console.log(
+      restored
+        ? `   🔑 Saved session expired (${reason}) - logging in again`
+        : `   🔑 Login required (${reason})`
+    );
+    const credentials = getCredentials(this.config.credentials, directory);
+    if (!credentials) {
+      return {
+        ok: false,
+        message: `Login required - no credentials for ${directory.name}`,
+      };
+    }
+
+    const returnToTarget = () =>
+      this.page.goto(targetUrl, {
+        waitUntil: 'networkidle2',
+        timeout: this.config.timeout,
+      });
+
+    const registers =
+      !!siteConfig.register && !hasSession && !credentials.registered;
+    // Signing up and logging in send forms too
+    if (this.config.dryRun) {
+      console.log('   🧪 Dry run - not logging in');
+      return {
+        ok: false,
+        dryRun: true,
+        message: `Dry run - login required, not ${registers ? 'registered or ' : ''}logged in`,
       };
     }
+
+    let stillLoggedOut = reason;
+    if (registers) {
+      const registration = await this.registerAccount(
+        directory,
+        siteConfig.register,
+        credentials,
+        submissionData
+      );
+      if (!registration.ok) {
+        return registration;
+      }
+      // Many sites log new accounts straight in
+      await returnToTarget();
+      stillLoggedOut = await this.checkLoginRequired(siteConfig);
+    }
+
+    if (stillLoggedOut) {
+      await this.logIn(siteConfig.login, credentials);
+      await returnToTarget();
+      stillLoggedOut = await this.checkLoginRequired(siteConfig);
+    }
+    if (stillLoggedOut) {
+      return { ok: false, message: `Login failed (${stillLoggedOut})` };
+    }
+
+    const sessionPath = await saveSession(
+      this.page,
+      directory.name,
+      this.config.sessionsDir,
+      [siteConfig.login.url, targetUrl]
+    );
+    console.log(`   💾 Logged in - session saved to ${sessionPath}`);
+    return { ok: true };
+  }
+
+  /**
+   * Create an account on a directory and, when the site asks for it, open
+   * the verification link it emails us
+   * @param {Object} directory
+   * @param {Object} register - Site config register section (url, fields,
+   *   submitButton, verifyEmail)
+   * @param {Object} credentials - Login to create (username, password and
+   *   optional email)
+   * @param {Object} submissionData
+   * @returns {Promise<{ok: boolean, message?: string}>}
+   */
+  async registerAccount(directory, register, credentials, submissionData) {
+    console.log('   🆕 Registering an account...');
+    // Mail clocks are rarely in step with ours
+    const since = new Date(Date.now() - 60000);
+
+    await this.page.goto(register.url, {
+      waitUntil: 'networkidle2',
+      timeout: this.config.timeout,
+    });
+    await this.fillFormWithMapping(register.fields || {}, {
+      ...submissionData,
+      email: credentials.email || credentials.username,
+      username: credentials.username,
+      password: credentials.password,
+      confirmPassword: credentials.password,
+    });
+
+    const submitSelector =
+      register.submitButton?.selector || 'button[type="submit"]';
+    if (!(await this.submitFormWithSelector(submitSelector))) {
+      return {
+        ok: false,
+        message: `Registration submit button not found: ${submitSelector}`,
+      };
+    }
+    if (!register.verifyEmail) {
+      return { ok: true };
+    }
+
+    if (!this.config.mailbox) {
+      return {
+        ok: false,
+        message: 'Registration needs email verification but no mailbox is set',
+      };
+    }
+    if (!(await this.openVerificationEmail(directory, since))) {
+      return { ok: false, message: 'No verification email arrived' };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Wait for a directory's verification email in the mailbox and open its
+   * link in the browser
+   * @param {Object} directory
+   * @param {Date} since - Ignore emails older than this
+   * @returns {Promise<boolean>} Whether a link was found and opened
+   */
+  async openVerificationEmail(directory, since) {
+    console.log(
+      `   📬 Waiting for verification email in ${this.config.mailbox}`
+    );
+    const found = await waitForVerificationLink(
+      this.config.mailbox,
+      { host: hostKey(directory.url), name: directory.name, since },
+      { timeout: this.config.verificationTimeout }
+    );
+    if (!found) {
+      return false;
+    }
+
+    console.log(
+      `   ✉️  Opening verification link from "${found.message.subject}"`
+    );
+    await this.page.goto(found.link, {
+      waitUntil: 'networkidle2',
+      timeout: this.config.timeout,
+    });
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    return true;
+  }
+
+  /**
+   * Finish a submission the directory asks us to confirm by email: open the
+   * emailed link when a mailbox is set, otherwise (or when no email comes)
+   * flag the result awaitingEmailConfirmation
+   * @param {Object} directory
+   * @param {Object} result - Submission result (mutated)
+   * @param {Date} since - When the form was sent
+   * @returns {Promise<Object>} result
+   */
+  async confirmSubmissionByEmail(directory, result, since) {
+    if (
+      !result.success ||
+      !asksForEmailConfirmation(result.verification?.evidence)
+    ) {
+      return result;
+    }
+
+    const confirmed =
+      !!this.config.mailbox &&
+      (await this.openVerificationEmail(directory, since));
+    if (!confirmed) {
+      console.log('   📧 Open the confirmation link emailed to you by hand');
+      result.awaitingEmailConfirmation = true;
+      result.message = `${result.message} - awaiting email confirmation`;
+    }
+    return result;
+  }
+
+  /**
+   * Check the current page for signs that we are logged out
+   * @param {Object} siteConfig - Site config with a login section
+   * @returns {Promise<string|null>} Why we look logged out, or null
+   */
+  async checkLoginRequired(siteConfig) {
+    const { login } = siteConfig;
+    const [firstStep] = getFormSteps(siteConfig.form);
+    const fieldSelectors = Object.values(firstStep?.fields || {})
+      .map((field) => field.selector)
+      .filter(Boolean);
+
+    const observed = await this.page.evaluate(
+      (selectors, successSelector) => {
+        const exists = (selector) => {
+          try {
+            return !!document.querySelector(selector);
+          } catch {
+            return false;
+          }
+        };
+        const result = {
+          hasPasswordField: Array.from(
+            document.querySelectorAll('input[type="password"]')
+          ).some((input) => input.offsetParent !== null),
+          hasFormFields: selectors.some(exists),
+        };
+        if (successSelector) {
+          result.loggedInMarker = exists(successSelector);
+        }
+        return result;
+      },
+      fieldSelectors,
+      login.successSelector || null
+    );
+
+    return detectLoginRequired({
+      currentUrl: this.page.url(),
+      loginUrl: login.url,
+      ...observed,
+    });
+  }
+
+  /**
+   * Log in through a directory's login form
+   * @param {Object} login - Site config login section (url, usernameSelector,
+   *   passwordSelector, submitSelector)
+   * @param {{username: string, password: string}} credentials
+   */
+  async logIn(login, credentials) {
+    await this.page.goto(login.url, {
+      waitUntil: 'networkidle2',
+      timeout: this.config.timeout,
+    });
+
+    const inputs = [
+      [login.usernameSelector, credentials.username],
+      [login.passwordSelector, credentials.password],
+    ];
+    for (const [selector, value] of inputs) {
+      if (!selector) {
+        continue;
+      }
+      const element = await this.page.waitForSelector(selector, {
+        visible: true,
+        timeout: this.config.timeout,
+      });
+      await element.click({ clickCount: 3 });
+      await element.type(value, { delay: 30 });
+    }
+
+    await Promise.all([
+      this.page
+        .waitForNavigation({
+          waitUntil: 'networkidle2',
+          timeout: this.config.timeout,
+        })
+        .catch(() => {}),
+      this.page.click(login.submitSelector || 'button[type="submit"]'),
+    ]);
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+  }
+
+  /**
+   * Wait for someone to solve the form's CAPTCHA, up to captchaTimeout.
+   * The config's onCaptcha callback, when set, lets them say they solved
+   * it or skip the directory.
+   * @param {Object} directory
+   * @param {Object} [challenge] - The site config's challenge, if detected
+   * @returns {Promise<{outcome: string, provider: string|null, waitedMs: number}>}
+   *   See waitForCaptcha
+   */
+  async waitForCaptchaSolved(directory, challenge) {
+    console.log(
+      `   ⏸️  Waiting up to ${Math.round(this.config.captchaTimeout / 1000)}s for the CAPTCHA to be solved...`
+    );
+    const captcha = await waitForCaptcha(this.page, {
+      timeout: this.config.captchaTimeout,
+      // A challenge question has no widget to watch: wait for the answer
+      graceTime:
+        challenge?.type === 'question' ? this.config.captchaTimeout : undefined,
+      onPrompt:
+        this.config.onCaptcha &&
+        ((prompt) => this.config.onCaptcha({ ...prompt, directory })),
+    });
+
+    const seconds = (captcha.waitedMs / 1000).toFixed(1);
+    const messages = {
+      solved: `   🔓 CAPTCHA solved after ${seconds}s`,
+      confirmed: `   🔓 CAPTCHA marked solved after ${seconds}s`,
+      skipped: `   ⏭️  CAPTCHA skipped after ${seconds}s`,
+      timeout: `   ⌛ CAPTCHA still unsolved after ${seconds}s`,
+      'not-found': `   ⚠️  No CAPTCHA widget found after ${seconds}s - submitting anyway`,
+    };
+    console.log(messages[captcha.outcome]);
+    return captcha;
+  }
+
+  /**
+   * Submit to a directory, retrying transient failures with exponential backoff
+   * @returns {Promise<{result: Object, attempts: Array<Object>}>} Final result
+   *   plus a record of every attempt
+   */
+  async submitWithRetry(directory, submissionData) {
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      let result;
+      try {
+        result = await this.submitToDirectory(directory, submissionData);
+      } catch (error) {
+        result = {
+          success: false,
+          message: error.message,
+          failureReason: classifyFailure(error),
+        };
+      }
+
+      // Manual and dry-run outcomes are final, not failures to retry
+      if (result.success || result.requiresManual || result.dryRun) {
+        attempts.push({
+          attempt,
+          at: new Date().toISOString(),
+          success: result.success,
+        });
+        return { result, attempts };
+      }
+
+      const reason = classifyFailure(result);
+      result.failureReason = reason;
+      attempts.push({
+        attempt,
+        at: new Date().toISOString(),
+        success: false,
+        reason,
+        message: result.message,
+      });
+
+      if (!shouldRetry(reason, attempt, this.config.retry)) {
+        return { result, attempts };
+      }
+
+      const delay = computeBackoffDelay(attempt, this.config.retry);
+      console.log(
+        `   🔁 ${reason} - retrying in ${delay}ms (attempt ${attempt + 1}/${this.config.retry.maxAttempts})`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Submit by working through the site config's recipe. The click marked
+   * submit is preceded by the CAPTCHA wait (and is where dry runs stop) and
+   * followed by the usual verification; assert-text steps after it count as
+   * confirmation. Steps with field username or password type the
+   * directory's credentials.
+   * @param {Object} directory
+   * @param {Object} siteConfig - Site config with a recipe
+   * @param {Object} submissionData
+   * @param {{submitClicked: boolean}} [progress] - submitClicked is set
+   *   once the submit step has found its button
+   * @returns {Promise<Object>} Submission result
+   */
+  async submitWithRecipe(
+    directory,
+    siteConfig,
+    submissionData,
+    progress = { submitClicked: false }
+  ) {
+    const credentials = getCredentials(this.config.credentials, directory);
+    const recipeData = credentials
+      ? {
+          ...submissionData,
+          username: credentials.username,
+          password: credentials.password,
+        }
+      : submissionData;
+    const { recipe } = siteConfig;
+    const fillReport = [];
+    let context = this;
+    let verification = null;
+    let confirmedByText = false;
+    let captcha;
+    let sentAt;
+
+    for (const [index, step] of recipe.entries()) {
+      const number = index + 1;
+      const name = describeRecipeStep(step);
+      console.log(`   📜 Step ${number}/${recipe.length}: ${name}`);
+
+      if (step.submit) {
+        if (this.config.dryRun) {
+          const screenshot = await this.takeScreenshot(
+            `dry-run-${directory.name}`
+          );
+          console.log('   🧪 Dry run - recipe run up to submit');
+          return {
+            success: true,
+            dryRun: true,
+            message: 'Dry run - recipe run up to submit, not submitted',
+            fillReport,
+            screenshot,
+          };
+        }
+        if (siteConfig.requiresCaptcha) {
+          captcha = await context.waitForCaptchaSolved(
+            directory,
+            siteConfig.challenge
+          );
+          if (!['solved', 'confirmed', 'not-found'].includes(captcha.outcome)) {
+            return {
+              success: false,
+              message:
+                captcha.outcome === 'skipped'
+                  ? 'CAPTCHA skipped'
+                  : `CAPTCHA not solved within ${this.config.captchaTimeout}ms`,
+              failureReason: 'captcha',
+              requiresManual: true,
+              fillReport,
+              captcha,
+            };
+          }
+        }
+      }
+
+      try {
+        if (step.action === 'switch-frame') {
+          context = await this.switchRecipeFrame(step, context);
+          continue;
+        }
+        if (!step.submit) {
+          const report = await context.runRecipeStep(step, recipeData);
+          fillReport.push(
+            ...report.map((entry) => ({ ...entry, step: number }))
+          );
+          confirmedByText ||= !!verification && step.action === 'assert-text';
+          continue;
+        }
+
+        // Only a missing button can fail the step before it is clicked
+        await context.page.waitForSelector(toRecipeSelector(step), {
+          visible: true,
+          timeout: step.timeout ?? this.config.timeout,
+        });
+        progress.submitClicked = true;
+
+        const urlBefore = context.page.url();
+        const textBefore = await context.readPageText();
+        sentAt = new Date(Date.now() - 60000);
+        const capture = this.captureFormResponses();
+        let responses;
+        try {
+          await context.runRecipeStep(step, recipeData);
+        } finally {
+          responses = capture.stop();
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, 3000));
+        verification = await context.verifySubmission({
+          urlBefore,
+          textBefore,
+          responses,
+          submitSelector: toRecipeSelector(step),
+        });
+        console.log(
+          `   🔎 Outcome: ${verification.outcome} (${verification.reasons.join('; ')})`
+        );
+      } catch (error) {
+        if (step.optional) {
+          console.log(`   ↪️  Skipped optional step: ${error.message}`);
+          continue;
+        }
+        console.log(`   ❌ Step ${number} failed: ${error.message}`);
+        if (this.config.screenshotOnError) {
+          await this.takeScreenshot(`step-${number}-${directory.name}`);
+        }
+        const failedStep = {
+          step: number,
+          name,
+          message: error.message,
+          failureReason: classifyFailure(error),
+        };
+        return {
+          success: false,
+          message: `Stuck on recipe step ${number} (${name}): ${error.message}`,
+          failureReason: failedStep.failureReason,
+          failedStep,
+          fillReport,
+          verification,
+          ...(progress.submitClicked && afterSubmitClick()),
+        };
+      }
+    }
+
+    if (!verification) {
+      return {
+        success: false,
+        message: 'Recipe has no step marked submit',
+        failureReason: 'selector-missing',
+        fillReport,
+      };
+    }
+
+    const success =
+      confirmedByText ||
+      ['confirmed', 'probable'].includes(verification.outcome);
+    const result = {
+      success,
+      submitted: success,
+      message: success
+        ? 'Recipe submitted successfully'
+        : `Submission not confirmed: ${verification.outcome}`,
+      requiresManual: !success && verification.outcome === 'unknown',
+      fillReport,
+      verification,
+      captcha,
+    };
+    if (!success && verification.outcome === 'rejected-by-validation') {
+      result.failureReason = siteConfig.requiresCaptcha
+        ? 'captcha'
+        : 'validation-error';
+    }
+    return await this.confirmSubmissionByEmail(directory, result, sentAt);
+  }
+
+  /**
+   * Carry out one recipe action (other than switch-frame) on this bot's page
+   * @param {Object} step - Recipe step, see RECIPE_ACTIONS
+   * @param {Object} submissionData
+   * @returns {Promise<Array<Object>>} Fill report entries, for fill, select
+   *   and upload steps
+   */
+  async runRecipeStep(step, submissionData) {
+    const { action, ...fieldConfig } = step;
+    const selector = toRecipeSelector(step);
+    const timeout = step.timeout ?? this.config.timeout;
+    const find = () =>
+      this.page.waitForSelector(selector, { visible: true, timeout });
+
+    switch (action) {
+      case 'goto':
+        await this.page.goto(new URL(step.url, this.page.url()).href, {
+          waitUntil: 'networkidle2',
+          timeout,
+        });
+        return [];
+
+      case 'click': {
+        const element = await find();
+        if (step.navigation) {
+          await Promise.all([
+            this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+            element.click(),
+          ]);
+        } else {
+          await element.click();
+        }
+        await new Promise((resolve) => setTimeout(resolve, step.delay ?? 1000));
+        return [];
+      }
+
+      case 'upload': {
+        await this.page.waitForSelector(selector, { timeout });
+        const entry = await this.uploadAssetField(step.asset, {
+          ...fieldConfig,
+          selector,
+        });
+        if (['not-found', 'error'].includes(entry.status)) {
+          throw new Error(entry.message || `Field not found: ${selector}`);
+        }
+        return [entry];
+      }
+
+      case 'fill':
+      case 'select': {
+        // Typing nothing would leave the form short of a value it was
+        // recorded with
+        const value = step.field ? submissionData[step.field] : step.value;
+        if (step.field && (value === undefined || value === '')) {
+          const error = new Error(`No value for ${step.field}`);
+          error.failureReason = ['username', 'password'].includes(step.field)
+            ? 'login-required'
+            : 'validation-error';
+          throw error;
+        }
+        await this.page.waitForSelector(selector, { timeout });
+        const field = step.field || selector;
+        const type = step.type || (action === 'select' ? 'select' : 'text');
+        const report = await this.fillFormWithMapping(
+          { [field]: { ...fieldConfig, selector, type } },
+          {
+            ...submissionData,
+            [field]: value,
+          }
+        );
+        if (['not-found', 'error'].includes(report[0].status)) {
+          throw new Error(report[0].message || `Field not found: ${selector}`);
+        }
+        return report;
+      }
+
+      case 'check':
+        await this.setChecked(await find(), step.checked ?? true);
+        return [];
+
+      case 'wait-for':
+        if (step.navigation) {
+          await this.page.waitForNavigation({
+            waitUntil: 'networkidle2',
+            timeout,
+          });
+        }
+        if (selector) {
+          await find();
+        }
+        if (step.delay !== undefined) {
+          await new Promise((resolve) => setTimeout(resolve, step.delay));
+        }
+        return [];
+
+      case 'scroll':
+        if (selector) {
+          await (
+            await find()
+          ).evaluate((el) => el.scrollIntoView({ block: 'center' }));
+        } else {
+          await this.page.evaluate(
+            (y) => window.scrollTo(0, y ?? document.body.scrollHeight),
+            step.y
+          );
+        }
+        await new Promise((resolve) => setTimeout(resolve, 500));
+        return [];
+
+      case 'assert-text':
+        await this.page
+          .waitForFunction(
+            (within, text) =>
+              (document.querySelector(within)?.innerText || '')
+                .toLowerCase()
+                .includes(text.toLowerCase()),
+            { timeout: step.timeout ?? 5000 },
+            step.selector || 'body',
+            step.text
+          )
+          .catch(() => {
+            throw new Error(`Text not found: "${step.text}"`);
+          });
+        return [];
+
+      default:
+        throw new Error(`Unknown recipe action: ${action}`);
+    }
+  }
+
+  /**
+   * Work out which document later recipe steps act on
+   * @param {Object} step - switch-frame step with frame (URL without query
+   *   string), selector (of the iframe element) or top
+   * @param {SmartSubmissionBot} context - Bot for the current document
+   * @returns {Promise<SmartSubmissionBot>} This bot for the top document,
+   *   otherwise a copy working in the frame
+   */
+  async switchRecipeFrame(step, context) {
+    if (step.top) {
+      return this;
+    }
+
+    let frame;
+    if (step.frame) {
+      frame = await findFormFrame(this.page, step.frame, this.config.timeout);
+    } else {
+      const element = await context.page.waitForSelector(step.selector, {
+        timeout: step.timeout ?? this.config.timeout,
+      });
+      frame = await element.contentFrame();
+    }
+    if (!frame) {
+      throw new Error(`Frame not found: ${step.frame || step.selector}`);
+    }
+    return scopeToPage(this, frameAsPage(this.page, frame));
   }
 
   /**
@@ -192,31 +1222,232 @@ export class SmartSubmissionBot extends SubmissionBot {
     throw new Error('Could not find button');
   }
 
+  /**
+   * Fill a form step by step, clicking each step's advance button.
+   * Single-page forms are one step with no advance button.
+   * @param {Array<Object>} steps - Steps from getFormSteps
+   * @param {Object} submissionData
+   * @returns {Promise<{fillReport: Array<Object>, failedStep: Object|null}>}
+   *   Fill report for every step reached (entries carry their step number)
+   *   and the step that could not be advanced, if any
+   */
+  async fillFormSteps(steps, submissionData) {
+    const fillReport = [];
+
+    for (const [index, step] of steps.entries()) {
+      const number = index + 1;
+      if (steps.length > 1) {
+        console.log(`   🪜 ${step.name} (${number}/${steps.length})`);
+      }
+
+      const report = await this.fillFormWithMapping(
+        step.fields,
+        submissionData
+      );
+      fillReport.push(...report.map((entry) => ({ ...entry, step: number })));
+
+      if (!step.advanceButton) {
+        continue;
+      }
+
+      try {
+        await this.advanceFormStep(step);
+      } catch (error) {
+        // Fields flagged invalid mean the step rejected our input
+        const invalidCount = await this.page
+          .$$eval(
+            '[aria-invalid="true"], form :invalid',
+            (elements) =>
+              elements.filter((element) => element.offsetParent !== null).length
+          )
+          .catch(() => 0);
+        console.log(`   ❌ Could not leave ${step.name}: ${error.message}`);
+
+        return {
+          fillReport,
+          failedStep: {
+            step: number,
+            name: step.name,
+            message: error.message,
+            failureReason:
+              invalidCount > 0 ? 'validation-error' : classifyFailure(error),
+          },
+        };
+      }
+    }
+
+    return { fillReport, failedStep: null };
+  }
+
+  /**
+   * Scope the bot to the frame an embedded form lives in, so filling,
+   * submitting and verifying happen inside it
+   * @param {Object} form - The `form` section of a site config
+   * @returns {Promise<SmartSubmissionBot>} This bot for top-level forms,
+   *   otherwise a copy working in the form's frame
+   */
+  async scopeToFormFrame(form) {
+    if (!form?.frame) {
+      return this;
+    }
+
+    const frame = await findFormFrame(
+      this.page,
+      form.frame,
+      this.config.timeout
+    );
+    const scoped = scopeToPage(this, frameAsPage(this.page, frame));
+    scoped.formProvider = getFormProvider(form.provider);
+    console.log(`   🪟 Using ${form.provider || 'embedded'} form in frame`);
+    return scoped;
+  }
+
+  /**
+   * Click a step's advance button and wait for the next step to appear
+   * @param {Object} step - Step with advanceButton and optional waitFor
+   *   ({selector}, {navigation: true} and/or {delay}, plus {timeout})
+   */
+  async advanceFormStep(step) {
+    const { selector } = step.advanceButton;
+    const waitFor = step.waitFor || {};
+    const timeout = waitFor.timeout ?? this.config.timeout;
+
+    const button = await this.page.$(selector);
+    if (!button) {
+      throw new Error(`Advance button not found: ${selector}`);
+    }
+
+    if (waitFor.navigation) {
+      await Promise.all([
+        this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+        button.click(),
+      ]);
+    } else {
+      await button.click();
+    }
+
+    if (waitFor.selector) {
+      await this.page.waitForSelector(waitFor.selector, {
+        visible: true,
+        timeout,
+      });
+    }
+
+    // Without an explicit condition, give client-side wizards time to render
+    const settle =
+      waitFor.delay ?? (waitFor.selector || waitFor.navigation ? 500 : 2000);
+    await new Promise((resolve) => setTimeout(resolve, settle));
+  }
+
   /**
    * Fill form using field mapping
+   * @returns {Promise<Array<{field: string, selector: string, status: string, value?: string, message?: string}>>}
+   *   Per-field report of what was filled
    */
   async fillFormWithMapping(fieldMapping, submissionData) {
+    const report = [];
+    const choicePolicy = getChoicePolicy(submissionData);
+
     for (const [fieldName, fieldConfig] of Object.entries(fieldMapping)) {
-      const value = submissionData[fieldName];
+      if (fieldConfig.type === 'file') {
+        report.push(await this.uploadAssetField(fieldName, fieldConfig));
+        continue;
+      }
+      if (CHOICE_TYPES.includes(fieldConfig.type)) {
+        report.push(
+          await this.setChoiceField(fieldName, fieldConfig, choicePolicy)
+        );
+        continue;
+      }
+
+      let value = submissionData[fieldName];
+      const entry = { field: fieldName, selector: fieldConfig.selector };
+      report.push(entry);
 
       if (!value) {
         console.log(`   ⚠️  No value provided for ${fieldName}`);
+        entry.status = 'skipped';
+        entry.message = 'No value provided';
         continue;
       }
 
       try {
-        const element = await this.page.$(fieldConfig.selector);
+        // Editors and dropdowns without a stable id are found by position
+        const element = fieldConfig.index
+          ? (await this.page.$$(fieldConfig.selector))[fieldConfig.index]
+          : await this.page.$(fieldConfig.selector);
 
         if (!element) {
           console.log(
             `   ⚠️  Field not found: ${fieldName} (${fieldConfig.selector})`
           );
+          entry.status = 'not-found';
           continue;
         }
 
-        if (fieldConfig.type === 'select') {
-          await element.select(value);
-          console.log(`   ✓ Selected ${fieldName}: ${value}`);
+        if (
+          typeof value === 'string' &&
+          !['select', 'combobox', 'password'].includes(fieldConfig.type)
+        ) {
+          const fitted = await this.fitValueToField(
+            element,
+            fieldName,
+            fieldConfig,
+            value,
+            submissionData
+          );
+          ({ value } = fitted);
+          if (fitted.adaptation) {
+            entry.adaptation = fitted.adaptation;
+          }
+        }
+        // Passwords stay out of logs and results
+        const printable = fieldConfig.type === 'password' ? '********' : value;
+
+        if (fieldConfig.type === 'richtext') {
+          const { method, verified } = await this.fillRichText(element, value);
+          entry.method = method;
+          if (!verified) {
+            console.warn(`   ⚠️  ${fieldName} editor content does not match`);
+            entry.status = 'error';
+            entry.value = value;
+            entry.message = 'Editor content does not match the value entered';
+            continue;
+          }
+          console.log(`   ✓ Filled ${fieldName} (rich text, ${method})`);
+        } else if (fieldConfig.type === 'combobox') {
+          const { chosen, missed } = await this.selectComboboxOptions(
+            element,
+            fieldConfig,
+            value
+          );
+          if (chosen.length === 0) {
+            console.warn(`   ⚠️  No option in ${fieldName} matches: ${value}`);
+            entry.status = 'error';
+            entry.message = `No matching option for: ${missed.join(', ')}`;
+            continue;
+          }
+          entry.chosen = chosen;
+          if (missed.length > 0) {
+            entry.message = `No matching option for: ${missed.join(', ')}`;
+          }
+          console.log(
+            `   ✓ Selected ${fieldName}: ${chosen
+              .map(({ option, reason }) => `${option} (${reason})`)
+              .join(', ')}`
+          );
+        } else if (fieldConfig.type === 'select') {
+          const match = await this.selectBestOption(element, value);
+          if (!match) {
+            console.warn(`   ⚠️  No option in ${fieldName} matches: ${value}`);
+            entry.status = 'error';
+            entry.message = `No matching option for: ${value}`;
+            continue;
+          }
+          entry.chosen = [describeMatch(match)];
+          console.log(
+            `   ✓ Selected ${fieldName}: ${match.text} (${match.reason})`
+          );
         } else if (fieldConfig.type === 'textarea') {
           await element.click({ clickCount: 3 });
           await element.type(value, { delay: 30 });
@@ -224,12 +1455,374 @@ export class SmartSubmissionBot extends SubmissionBot {
         } else {
           await element.click({ clickCount: 3 });
           await element.type(value, { delay: 50 });
-          console.log(`   ✓ Filled ${fieldName}: ${value}`);
+          console.log(`   ✓ Filled ${fieldName}: ${printable}`);
+        }
+        entry.status = 'filled';
+        entry.value = printable;
+
+        // One-question-at-a-time builders move on when Enter is pressed
+        if (this.formProvider?.advanceOnEnter) {
+          await this.page.keyboard.press('Enter');
+          await new Promise((resolve) => setTimeout(resolve, 800));
         }
       } catch (error) {
         console.warn(`   ⚠️  Error filling ${fieldName}: ${error.message}`);
+        entry.status = 'error';
+        entry.message = error.message;
       }
     }
+
+    return report;
+  }
+
+  /**
+   * Make a value fit the length limits and pattern of the field it goes
+   * into (see adaptValue), and log what was changed
+   * @param {import('puppeteer').ElementHandle} element
+   * @param {string} fieldName
+   * @param {Object} fieldConfig - Mapping entry
+   * @param {string} value
+   * @param {Object} submissionData - Holds the value's variants
+   * @returns {Promise<{value: string, adaptation: Object|null}>}
+   */
+  async fitValueToField(
+    element,
+    fieldName,
+    fieldConfig,
+    value,
+    submissionData
+  ) {
+    const attributes = await element
+      .evaluate((el) => ({
+        minLength: el.minLength,
+        maxLength: el.maxLength,
+        pattern: el.getAttribute('pattern') || '',
+      }))
+      .catch(() => ({}));
+    const constraints = getFieldConstraints(fieldConfig, attributes);
+    if (!hasConstraints(constraints)) {
+      return { value, adaptation: null };
+    }
+
+    const fitted = await adaptValue(value, constraints, {
+      variants: findVariants(fieldName, submissionData, fieldConfig.variants),
+      rewrite: this.config.rewriteValue,
+    });
+    const { adaptation } = fitted;
+    const problems = adaptation?.problems.join(', ');
+
+    if (adaptation?.method === 'none') {
+      console.warn(
+        `   ⚠️  ${fieldName} does not fit (${describeConstraints(constraints)}): ${problems}`
+      );
+    } else if (adaptation) {
+      const how = {
+        variant: `used ${adaptation.variant}`,
+        rewrite: 'rewritten by AI',
+        truncate: `cut to ${adaptation.to.length} characters`,
+      };
+      console.log(
+        `   ✂️  ${fieldName} ${problems} - ${how[adaptation.method]}`
+      );
+    }
+    return fitted;
+  }
+
+  /**
+   * Fill a rich-text editor (Quill, TipTap, Draft.js or plain contenteditable)
+   * with markdown converted to HTML, then check what the editor shows.
+   * Tries a paste first, which editors turn into their own document model,
+   * then insertHTML, then typing.
+   * @param {import('puppeteer').ElementHandle} element - The editable element
+   * @param {string} markdown
+   * @returns {Promise<{method: string, verified: boolean}>}
+   */
+  async fillRichText(element, markdown) {
+    const html = markdownToHtml(markdown);
+    const text = markdownToPlainText(markdown);
+
+    const clear = async () => {
+      await element.click();
+      await element.evaluate((el) => {
+        el.focus();
+        window.getSelection().selectAllChildren(el);
+      });
+      await this.page.keyboard.press('Backspace');
+    };
+    const matches = async () =>
+      editorContentMatches(
+        markdown,
+        await element.evaluate((el) => el.innerText)
+      );
+
+    await clear();
+    await element.evaluate(
+      (el, pastedHtml, pastedText) => {
+        const data = new DataTransfer();
+        data.setData('text/html', pastedHtml);
+        data.setData('text/plain', pastedText);
+        el.dispatchEvent(
+          new ClipboardEvent('paste', {
+            clipboardData: data,
+            bubbles: true,
+            cancelable: true,
+          })
+        );
+      },
+      html,
+      text
+    );
+    if (await matches()) {
+      return { method: 'paste', verified: true };
+    }
+
+    // Plain contenteditable ignores synthetic paste events
+    await clear();
+    await element.evaluate((el, insertedHtml) => {
+      el.focus();
+      document.execCommand('insertHTML', false, insertedHtml);
+    }, html);
+    if (await matches()) {
+      return { method: 'insert-html', verified: true };
+    }
+
+    // Last resort: type the text, pressing Enter for each line break
+    await clear();
+    await this.page.keyboard.type(text, { delay: 20 });
+    return { method: 'typed', verified: await matches() };
+  }
+
+  /**
+   * Pick options in a custom dropdown (React Select, Headless UI or an ARIA
+   * combobox): open it, type to search where it takes input, then click the
+   * visible option that best matches each wanted value
+   * @param {import('puppeteer').ElementHandle} element - The widget to click
+   * @param {{multiple?: boolean}} fieldConfig - Mapping entry
+   * @param {string} value - Wanted option; comma-separated for multi-selects
+   * @returns {Promise<{chosen: Array<Object>, missed: Array<string>}>} chosen
+   *   holds the option, reason and score of each pick, from describeMatch
+   */
+  async selectComboboxOptions(element, fieldConfig, value) {
+    const wanted = fieldConfig.multiple
+      ? value
+          .split(',')
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : [value];
+    const searchable = await element.evaluate((el) => el.tagName === 'INPUT');
+    const matchSettings = this.getOptionMatchSettings();
+    const chosen = [];
+    const missed = [];
+
+    const openOptions = async (search) => {
+      await element.click();
+      if (searchable) {
+        await this.page.keyboard.down('Control');
+        await this.page.keyboard.press('KeyA');
+        await this.page.keyboard.up('Control');
+        await this.page.keyboard.press('Backspace');
+        if (search) {
+          await element.type(search, { delay: 30 });
+        }
+      }
+      await this.page
+        .waitForSelector(OPTION_SELECTOR, { visible: true, timeout: 3000 })
+        .catch(() => {});
+      return readVisibleOptions(this.page);
+    };
+
+    for (const want of wanted) {
+      let match = matchOption(await openOptions(want), want, matchSettings);
+      // The search filters out synonyms, mapped labels and "Other"
+      if ((!match || match.reason !== 'exact') && searchable) {
+        const unfiltered = matchOption(
+          await openOptions(''),
+          want,
+          matchSettings
+        );
+        // An index only points into the list it was read from, so search
+        // again before going back to the searched match
+        match =
+          unfiltered ||
+          (match && matchOption(await openOptions(want), want, matchSettings));
+      }
+      if (!match) {
+        missed.push(want);
+        await this.page.keyboard.press('Escape');
+        continue;
+      }
+
+      const visibleOptions = [];
+      for (const handle of await this.page.$$(OPTION_SELECTOR)) {
+        if (await handle.evaluate((el) => el.offsetParent !== null)) {
+          visibleOptions.push(handle);
+        }
+      }
+      // The list can change between reading it and clicking
+      const option = visibleOptions[match.index];
+      const optionText = await option
+        ?.evaluate((el) => el.textContent.trim())
+        .catch(() => null);
+      if (optionText !== match.text) {
+        missed.push(want);
+        await this.page.keyboard.press('Escape');
+        continue;
+      }
+      await option.click();
+      chosen.push(describeMatch(match));
+    }
+
+    // Multi-selects stay open after a pick
+    await this.page.keyboard.press('Escape');
+    return { chosen, missed };
+  }
+
+  /**
+   * Tick or untick a checkbox, radio group or checkbox group according to
+   * the submission profile's choice policy
+   * @param {string} fieldName - Mapping key, e.g. consent or pricingTier
+   * @param {Object} fieldConfig - Mapping entry from buildChoiceMappings
+   * @param {Object} policy - From getChoicePolicy
+   * @returns {Promise<Object>} Fill report entry for the field
+   */
+  async setChoiceField(fieldName, fieldConfig, policy) {
+    const { kind, check, uncheck, chosen } = resolveChoice(
+      fieldConfig,
+      policy,
+      fieldName
+    );
+    const entry = {
+      field: fieldName,
+      selector: fieldConfig.selector || fieldConfig.name,
+      kind,
+    };
+
+    if (check.length === 0 && uncheck.length === 0) {
+      console.log(`   ⚠️  No choice policy matches ${fieldName} (${kind})`);
+      return { ...entry, status: 'skipped', message: 'No matching choice' };
+    }
+
+    try {
+      for (const [selector, checked] of [
+        ...check.map((selector) => [selector, true]),
+        ...uncheck.map((selector) => [selector, false]),
+      ]) {
+        const element = await this.page.$(selector);
+        if (!element) {
+          console.log(`   ⚠️  Field not found: ${fieldName} (${selector})`);
+          return { ...entry, status: 'not-found', selector };
+        }
+        await this.setChecked(element, checked);
+      }
+
+      console.log(
+        `   ✓ Set ${fieldName} (${kind}): ${chosen.join(', ') || 'unchecked'}`
+      );
+      return { ...entry, status: 'filled', value: chosen.join(', ') };
+    } catch (error) {
+      console.warn(`   ⚠️  Error setting ${fieldName}: ${error.message}`);
+      return { ...entry, status: 'error', message: error.message };
+    }
+  }
+
+  /**
+   * Bring a checkbox or radio to the wanted state. Styled inputs are often
+   * hidden, so fall back to clicking their label.
+   * @param {import('puppeteer').ElementHandle} element
+   * @param {boolean} checked
+   */
+  async setChecked(element, checked) {
+    const isChecked = () => element.evaluate((el) => el.checked);
+
+    if ((await isChecked()) === checked) {
+      return;
+    }
+
+    await element.click().catch(() => {});
+    if ((await isChecked()) !== checked) {
+      await element.evaluate((el) => (el.labels?.[0] || el).click());
+    }
+    if ((await isChecked()) !== checked) {
+      throw new Error(`Could not ${checked ? 'check' : 'uncheck'} input`);
+    }
+  }
+
+  /**
+   * Upload a local asset (from config.assets, keyed by field) into a file
+   * input or a drag-and-drop upload widget
+   * @param {string} fieldName - Asset key, e.g. logo or screenshot
+   * @param {Object} fieldConfig - Field mapping with selector and optional
+   *   accept and maxSize
+   * @returns {Promise<Object>} Fill report entry for the field
+   */
+  async uploadAssetField(fieldName, fieldConfig) {
+    const entry = { field: fieldName, selector: fieldConfig.selector };
+    const filePath = this.config.assets?.[fieldName];
+
+    if (!filePath) {
+      console.log(`   ⚠️  No asset provided for ${fieldName}`);
+      return { ...entry, status: 'skipped', message: 'No asset provided' };
+    }
+
+    try {
+      const element = await this.page.$(fieldConfig.selector);
+
+      if (!element) {
+        console.log(
+          `   ⚠️  Field not found: ${fieldName} (${fieldConfig.selector})`
+        );
+        return { ...entry, status: 'not-found' };
+      }
+
+      // Drop zones usually wrap a hidden file input we can use directly
+      const isFileInput = await element.evaluate((el) =>
+        el.matches('input[type="file"]')
+      );
+      const input = isFileInput
+        ? element
+        : await element.$('input[type="file"]');
+
+      // The live accept attribute is more reliable than the analyzed one
+      const liveAccept = input
+        ? await input.evaluate((el) => el.getAttribute('accept'))
+        : null;
+      const check = await checkAsset(filePath, {
+        accept: liveAccept || fieldConfig.accept,
+        maxSize: parseSizeLimit(fieldConfig.maxSize),
+      });
+
+      if (!check.ok) {
+        console.log(`   ⚠️  Cannot upload ${fieldName}: ${check.problem}`);
+        return {
+          ...entry,
+          status: 'error',
+          value: filePath,
+          message: check.problem,
+        };
+      }
+
+      if (input) {
+        await input.uploadFile(filePath);
+      } else {
+        // Widgets without an input open a file chooser when clicked
+        const [chooser] = await Promise.all([
+          this.page.waitForFileChooser({ timeout: 5000 }),
+          element.click(),
+        ]);
+        await chooser.accept([filePath]);
+      }
+
+      console.log(`   ✓ Uploaded ${fieldName}: ${filePath}`);
+      return { ...entry, status: 'filled', value: filePath };
+    } catch (error) {
+      console.warn(`   ⚠️  Error uploading ${fieldName}: ${error.message}`);
+      return {
+        ...entry,
+        status: 'error',
+        value: filePath,
+        message: error.message,
+      };
+    }
   }
 
   /**
@@ -261,44 +1854,238 @@ export class SmartSubmissionBot extends SubmissionBot {
   }
 
   /**
-   * Process multiple directories with smart submission
+   * Record responses to non-GET requests (form POSTs, XHR/fetch submits)
+   * until stop() is called
+   * @returns {{stop: () => Array<{url: string, method: string, status: number}>}}
    */
-  async processDirectoriesWithConfigs(directories, submissionData) {
-    const results = [];
+  captureFormResponses() {
+    const responses = [];
+    const onResponse = (response) => {
+      const request = response.request();
+      if (request.method() !== 'GET') {
+        responses.push({
+          url: response.url(),
+          method: request.method(),
+          status: response.status(),
+        });
+      }
+    };
 
-    for (const directory of directories) {
-      try {
-        const result = await this.submitToDirectory(directory, submissionData);
+    this.page.on('response', onResponse);
 
-        results.push({
-          name: directory.name,
-          url: directory.url,
-          result,
-          timestamp: new Date().toISOString(),
-        });
+    return {
+      stop: () => {
+        this.page.off('response', onResponse);
+        return responses;
+      },
+    };
+  }
 
-        // Delay between submissions
-        if (this.config.delayBetweenSubmissions > 0) {
-          console.log(
-            `   ⏳ Waiting ${this.config.delayBetweenSubmissions}ms...`
-          );
-          await new Promise((resolve) =>
-            setTimeout(resolve, this.config.delayBetweenSubmissions)
+  /**
+   * Read the page's text, to compare what it says before and after
+   * submitting
+   * @returns {Promise<string>}
+   */
+  async readPageText() {
+    return this.page
+      .evaluate(() => document.body?.innerText.slice(0, 20000) || '')
+      .catch(() => '');
+  }
+
+  /**
+   * Inspect the page after submitting and classify the outcome
+   * @param {Object} context
+   * @param {string} context.urlBefore - Page URL before submitting
+   * @param {string} [context.textBefore] - Page text before submitting,
+   *   from readPageText; success phrases already in it do not count
+   * @param {Array<{status: number}>} context.responses - Captured form responses
+   * @param {string} context.submitSelector - Selector of the submit button
+   * @returns {Promise<{outcome: string, reasons: Array<string>, evidence: Object}>}
+   */
+  async verifySubmission({ urlBefore, textBefore, responses, submitSelector }) {
+    const observed = await this.page
+      .evaluate((selector) => {
+        const isVisible = (el) => {
+          const rect = el.getBoundingClientRect();
+          const style = window.getComputedStyle(el);
+          return (
+            rect.width > 0 &&
+            rect.height > 0 &&
+            style.visibility !== 'hidden' &&
+            style.display !== 'none'
           );
+        };
+        const textOf = (el) =>
+          el.textContent.trim().replace(/\s+/g, ' ').slice(0, 200);
+        const visibleTexts = (query) =>
+          Array.from(document.querySelectorAll(query))
+            .filter(isVisible)
+            .map(textOf)
+            .filter(Boolean);
+
+        let submitButton = null;
+        try {
+          submitButton = document.querySelector(selector);
+        } catch {
+          // Selector lists from older configs may not parse
         }
-      } catch (error) {
-        results.push({
-          name: directory.name,
-          url: directory.url,
-          result: {
-            success: false,
-            message: error.message,
-          },
-          timestamp: new Date().toISOString(),
-        });
+        const form = submitButton?.closest('form');
+
+        // Native :invalid only counts inside the submitted form so that
+        // unrelated forms (newsletter footers) don't look like errors
+        const invalidFields = [
+          ...document.querySelectorAll('[aria-invalid="true"]'),
+          ...(form
+            ? form.querySelectorAll(
+                'input:invalid, textarea:invalid, select:invalid'
+              )
+            : []),
+        ]
+          .filter(isVisible)
+          .map((el) => el.name || el.id || el.type || el.tagName.toLowerCase());
+
+        return {
+          urlAfter: window.location.href,
+          bodyText: document.body?.innerText.slice(0, 20000) || '',
+          toasts: visibleTexts(
+            '[role="alert"], [role="status"], [aria-live], .toast, .notification, [class*="toast"], [class*="snackbar"]'
+          ),
+          invalidFields: [...new Set(invalidFields)],
+          errorMessages: visibleTexts(
+            '.error, .errors, .invalid-feedback, .field-error, .form-error, [class*="error-message"], [class*="errorMessage"]'
+          ),
+          formStillPresent: !!submitButton && isVisible(submitButton),
+        };
+      }, submitSelector)
+      .catch((error) => ({ evaluateError: error.message }));
+
+    const lastResponse = responses.at(-1);
+    const evidence = {
+      urlBefore,
+      urlAfter: observed.urlAfter || this.page.url(),
+      successText: matchNewPatterns(
+        textBefore,
+        observed.bodyText,
+        SUCCESS_PATTERNS
+      ),
+      toasts: observed.toasts || [],
+      invalidFields: observed.invalidFields || [],
+      errorMessages: observed.errorMessages || [],
+      responseStatus: lastResponse?.status ?? null,
+      responses,
+      formStillPresent: observed.formStillPresent,
+    };
+    if (observed.evaluateError) {
+      evidence.evaluateError = observed.evaluateError;
+    }
+
+    return { ...classifySubmissionOutcome(evidence), evidence };
+  }
+
+  /**
+   * Process multiple directories with smart submission
+   * @param {Array<Object>} directories
+   * @param {Object} submissionData
+   * @param {Object} [options]
+   * @param {Function} [options.onStart] - Called with each directory as a
+   *   worker starts on it (e.g. to mark it in-progress)
+   * @param {Function} [options.onResult] - Called with each directory's
+   *   result entry as soon as it is final (e.g. to write the run journal)
+   * @param {Function} [options.onProgress] - Called as each directory
+   *   finishes with {completed, total, active, item, result}
+   * @returns {Promise<Array<Object>>} Result entries in directory order
+   */
+  async processDirectoriesWithConfigs(
+    directories,
+    submissionData,
+    options = {}
+  ) {
+    const pool = new PagePool(this.browser, {
+      size: this.config.concurrency,
+      timeout: this.config.timeout,
+    });
+    await pool.open(this.page);
+
+    try {
+      return await pool.run(
+        directories,
+        (directory, page) =>
+          scopeToPage(this, page).processDirectoryWithConfig(
+            directory,
+            submissionData,
+            options
+          ),
+        {
+          keyOf: (directory) => hostKey(directory.submit_url || directory.url),
+          onProgress: options.onProgress ?? logPoolProgress,
+        }
+      );
+    } finally {
+      await pool.close();
+    }
+  }
+
+  /**
+   * Submit to one directory with retries and build its result entry
+   * @param {Object} directory
+   * @param {Object} submissionData
+   * @param {Object} [options] - See processDirectoriesWithConfigs
+   * @returns {Promise<Object>} Result entry
+   */
+  async processDirectoryWithConfig(directory, submissionData, options = {}) {
+    let entry;
+
+    try {
+      await options.onStart?.(directory);
+      const { result, attempts } = await this.submitWithRetry(
+        directory,
+        submissionData
+      );
+
+      // A paid listing within the budget is only done once someone pays
+      const pricing = this.getPricing(directory);
+      const payment = checkBudget(
+        pricing,
+        this.config.budget,
+        this.config.budgetCurrency
+      );
+      if (payment.action === 'flag' && result.success && !result.dryRun) {
+        result.paymentRequired = true;
+        result.pricing = pricing;
+        result.message = `${result.message} - ${payment.reason}, pay to finish the listing`;
       }
+
+      entry = {
+        name: directory.name,
+        url: directory.url,
+        result,
+        attemptCount: attempts.length,
+        attempts,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      entry = {
+        name: directory.name,
+        url: directory.url,
+        result: {
+          success: false,
+          message: error.message,
+          failureReason: classifyFailure(error),
+        },
+        timestamp: new Date().toISOString(),
+      };
+    }
+
+    await options.onResult?.(entry);
+
+    // Delay between submissions
+    if (this.config.delayBetweenSubmissions > 0) {
+      console.log(`   ⏳ Waiting ${this.config.delayBetweenSubmissions}ms...`);
+      await new Promise((resolve) =>
+        setTimeout(resolve, this.config.delayBetweenSubmissions)
+      );
     }
 
-    return results;
+    return entry;
   }
 }
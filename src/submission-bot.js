@@ -1,5 +1,8 @@
 import puppeteer from 'puppeteer';
 import { writeFile } from 'fs/promises';
+import { matchOption } from './utils/option-matcher.js';
+import { hostKey } from './utils/page-pool.js';
+import { SESSIONS_DIR } from './utils/sessions.js';
 
 /**
  * Configuration for the submission bot
@@ -11,6 +14,20 @@ export class SubmissionBot {
       timeout: config.timeout ?? 30000,
       delayBetweenSubmissions: config.delayBetweenSubmissions ?? 5000,
       screenshotOnError: config.screenshotOnError ?? true,
+      dryRun: config.dryRun ?? false,
+      concurrency: config.concurrency ?? 1,
+      assets: config.assets ?? {},
+      optionMappings: config.optionMappings ?? {},
+      credentials: config.credentials ?? {},
+      fieldOverrides: config.fieldOverrides ?? {},
+      sessionsDir: config.sessionsDir ?? SESSIONS_DIR,
+      mailbox: config.mailbox ?? null,
+      verificationTimeout: config.verificationTimeout ?? 300000,
+      captchaTimeout: config.captchaTimeout ?? 180000,
+      onCaptcha: config.onCaptcha ?? null,
+      rewriteValue: config.rewriteValue ?? null,
+      budget: config.budget ?? 0,
+      budgetCurrency: config.budgetCurrency ?? 'USD',
       ...config,
     };
     this.browser = null;
@@ -204,14 +221,54 @@ export class SubmissionBot {
     try {
       const element = await this.page.$(selector);
       if (element) {
-        await element.select(value);
-        console.log(`Selected ${value} in ${selector}`);
+        const match = await this.selectBestOption(element, value);
+        if (match) {
+          console.log(
+            `Selected ${match.text} in ${selector} (${match.reason})`
+          );
+        } else {
+          console.warn(`No option in ${selector} matches ${value}`);
+        }
       }
     } catch (error) {
       console.warn(`Could not select in ${selector}: ${error.message}`);
     }
   }
 
+  /**
+   * Select the option of a native <select> that best matches a value,
+   * using the option mapping table, similarity and synonyms
+   * @param {import('puppeteer').ElementHandle} element - The select element
+   * @param {string} value - Wanted value, e.g. a category
+   * @returns {Promise<Object|null>} The match from matchOption, or null if
+   *   nothing was close enough and there is no "Other" option
+   */
+  async selectBestOption(element, value) {
+    const options = await element.evaluate((select) =>
+      Array.from(select.options).map((option) => ({
+        value: option.value,
+        text: option.textContent.trim(),
+      }))
+    );
+    const match = matchOption(options, value, this.getOptionMatchSettings());
+
+    if (match) {
+      await element.select(match.value);
+    }
+    return match;
+  }
+
+  /**
+   * Settings for matchOption on the current page
+   * @returns {{mappings: Object, host: string|null}}
+   */
+  getOptionMatchSettings() {
+    return {
+      mappings: this.config.optionMappings,
+      host: hostKey(this.page.url()),
+    };
+  }
+
   /**
    * Submit the form
    * @returns {Promise<{success: boolean, message: string}>}
@@ -252,14 +309,17 @@ export class SubmissionBot {
   /**
    * Take a screenshot of the current page
    * @param {string} name - Name for the screenshot file
+   * @returns {Promise<string|null>} Path of the saved screenshot
    */
   async takeScreenshot(name) {
     try {
       const filename = `screenshots/${name}-${Date.now()}.png`;
       await this.page.screenshot({ path: filename, fullPage: true });
       console.log(`Screenshot saved: ${filename}`);
+      return filename;
     } catch (error) {
       console.error(`Failed to take screenshot: ${error.message}`);
+      return null;
     }
   }
 
@@ -0,0 +1,192 @@
+import { readdir, stat } from 'fs/promises';
+import { extname, join } from 'path';
+
+/**
+ * Field keys that take a file upload instead of text
+ */
+export const ASSET_FIELDS = ['logo', 'screenshot', 'video'];
+
+/**
+ * Default folder for generated screenshots and other local assets
+ */
+export const ASSETS_DIR = 'generated-assets';
+
+/**
+ * MIME types for the file extensions we upload
+ */
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.pdf': 'application/pdf',
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Work out which asset a file input wants
+ * @param {{name?: string, id?: string, label?: string}} field
+ * @returns {string} One of ASSET_FIELDS (logo when nothing more specific matches)
+ */
+export function getAssetKey(field) {
+  const text =
+    `${field.name || ''} ${field.id || ''} ${field.label || ''}`.toLowerCase();
+
+  if (text.includes('screenshot') || text.includes('preview')) {
+    return 'screenshot';
+  }
+  if (text.includes('video') || text.includes('demo')) {
+    return 'video';
+  }
+  return 'logo';
+}
+
+/**
+ * Look up the MIME type for a file from its extension
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+export function getMimeType(filePath) {
+  return MIME_TYPES[extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Check a file against an input's accept attribute
+ * (e.g. "image/*", ".png,.jpg" or "image/png, image/jpeg")
+ * @param {string} filePath
+ * @param {string} [accept]
+ * @returns {boolean} True when the input accepts the file
+ */
+export function matchesAccept(filePath, accept) {
+  const tokens = (accept || '')
+    .split(',')
+    .map((token) => token.trim().toLowerCase())
+    .filter(Boolean);
+  if (tokens.length === 0) {
+    return true;
+  }
+
+  const extension = extname(filePath).toLowerCase();
+  const mimeType = getMimeType(filePath);
+
+  return tokens.some((token) => {
+    if (token.startsWith('.')) {
+      return token === extension || (token === '.jpg' && extension === '.jpeg');
+    }
+    if (!mimeType) {
+      return false;
+    }
+    if (token.endsWith('/*')) {
+      return mimeType.startsWith(token.slice(0, -1));
+    }
+    return token === mimeType;
+  });
+}
+
+/**
+ * Read a size limit such as "2MB", "500 KB" or "Max file size: 5 MB"
+ * @param {string|number} hint - Byte count or text containing a size
+ * @returns {number|null} Limit in bytes, or null if none was found
+ */
+export function parseSizeLimit(hint) {
+  if (typeof hint === 'number') {
+    return hint > 0 ? hint : null;
+  }
+  if (/^\s*\d+\s*$/.test(hint || '')) {
+    return parseInt(hint, 10) || null;
+  }
+
+  const match = (hint || '').match(/(\d+(?:\.\d+)?)\s*([kmg]?)i?b\b/i);
+  if (!match) {
+    return null;
+  }
+
+  const unit = `${match[2].toLowerCase()}b`;
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[unit]);
+}
+
+/**
+ * Check that an asset exists and fits an input's type and size limits
+ * @param {string} filePath
+ * @param {Object} [limits]
+ * @param {string} [limits.accept] - The input's accept attribute
+ * @param {number} [limits.maxSize] - Largest allowed file in bytes
+ * @returns {Promise<{ok: boolean, size?: number, mimeType?: string|null, problem?: string}>}
+ */
+export async function checkAsset(filePath, limits = {}) {
+  let info;
+  try {
+    info = await stat(filePath);
+  } catch {
+    return { ok: false, problem: `File not found: ${filePath}` };
+  }
+
+  const mimeType = getMimeType(filePath);
+  if (!matchesAccept(filePath, limits.accept)) {
+    return {
+      ok: false,
+      size: info.size,
+      mimeType,
+      problem: `${mimeType || extname(filePath) || 'File'} not accepted (accept="${limits.accept}")`,
+    };
+  }
+
+  if (limits.maxSize && info.size > limits.maxSize) {
+    return {
+      ok: false,
+      size: info.size,
+      mimeType,
+      problem: `File is ${info.size} bytes, limit is ${limits.maxSize}`,
+    };
+  }
+
+  return { ok: true, size: info.size, mimeType };
+}
+
+/**
+ * Find local assets to upload, keyed by field.
+ * Picks up generated-assets/logo.* and the newest screenshot-*.png;
+ * explicit paths in overrides win.
+ * @param {Object<string, string>} [overrides] - e.g. { logo: './brand/logo.png' }
+ * @param {string} [dir]
+ * @returns {Promise<Object<string, string>>}
+ */
+export async function findLocalAssets(overrides = {}, dir = ASSETS_DIR) {
+  const assets = {};
+  let files = [];
+
+  try {
+    files = await readdir(dir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  ASSET_FIELDS.forEach((key) => {
+    const matches = files
+      .filter(
+        (file) => file.startsWith(`${key}.`) || file.startsWith(`${key}-`)
+      )
+      .sort();
+    if (matches.length > 0) {
+      // Screenshots are named with a timestamp, so the last one is the newest
+      assets[key] = join(dir, matches.at(-1));
+    }
+  });
+
+  Object.entries(overrides || {}).forEach(([key, filePath]) => {
+    if (filePath) {
+      assets[key] = filePath;
+    }
+  });
+
+  return assets;
+}
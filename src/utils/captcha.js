@@ -0,0 +1,354 @@
+/**
+ * CAPTCHA widgets we can watch, with the element each one fills with its
+ * response token once solved
+ */
+export const CAPTCHA_WIDGETS = [
+  {
+    name: 'recaptcha',
+    widgetSelector: '.g-recaptcha, iframe[src*="/recaptcha/"]',
+    responseSelector: 'textarea[name="g-recaptcha-response"]',
+  },
+  {
+    name: 'hcaptcha',
+    widgetSelector: '.h-captcha, iframe[src*="hcaptcha.com"]',
+    responseSelector: 'textarea[name="h-captcha-response"]',
+  },
+  {
+    name: 'turnstile',
+    widgetSelector: '.cf-turnstile, iframe[src*="challenges.cloudflare.com"]',
+    responseSelector: 'input[name="cf-turnstile-response"]',
+  },
+];
+
+/**
+ * Read the state of every CAPTCHA widget on a page
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Array<{name: string, solved: boolean}>>} One entry per
+ *   widget type present on the page
+ */
+export async function readCaptchaState(page) {
+  return page.evaluate(
+    (widgets) =>
+      widgets
+        .filter(
+          ({ widgetSelector, responseSelector }) =>
+            document.querySelector(widgetSelector) ||
+            document.querySelector(responseSelector)
+        )
+        .map(({ name, responseSelector }) => ({
+          name,
+          // A widget can be rendered more than once; any token will do
+          solved: [...document.querySelectorAll(responseSelector)].some(
+            (element) => element.value.trim() !== ''
+          ),
+        })),
+    CAPTCHA_WIDGETS
+  );
+}
+
+/**
+ * Sum up widget states from readCaptchaState
+ * @param {Array<{name: string, solved: boolean}>} widgets
+ * @returns {{provider: string|null, solved: boolean}} solved is true once
+ *   every widget has a token; provider is null when no widget was found
+ */
+export function summarizeCaptchaState(widgets) {
+  return {
+    provider: widgets.map((widget) => widget.name).join('+') || null,
+    solved: widgets.length > 0 && widgets.every((widget) => widget.solved),
+  };
+}
+
+/**
+ * Wait for a CAPTCHA to be solved by hand. The page is polled for the
+ * widget's response token; meanwhile the user can be asked whether they
+ * solved it or want to skip the directory, and whichever comes first wins.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {number} [options.timeout=180000] - Longest time to wait
+ * @param {number} [options.interval=1000] - Time between token checks
+ * @param {number} [options.graceTime=10000] - Give up early when no widget
+ *   has shown up by then (invisible CAPTCHAs solve themselves on submit)
+ * @param {Function} [options.onPrompt] - Called with {provider, signal};
+ *   returns a promise of 'solved' or 'skip'. signal is aborted once the
+ *   wait is over so the prompt can be closed.
+ * @returns {Promise<{outcome: string, provider: string|null, waitedMs: number}>}
+ *   outcome is solved (token found), confirmed (user said solved), skipped,
+ *   timeout (widget still unsolved) or not-found (no widget seen)
+ */
+export async function waitForCaptcha(page, options = {}) {
+  const {
+    timeout = 180000,
+    interval = 1000,
+    graceTime = 10000,
+    onPrompt,
+  } = options;
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  let provider = null;
+
+  const finish = (outcome) => {
+    controller.abort();
+    return { outcome, provider, waitedMs: Date.now() - startedAt };
+  };
+
+  const poll = async () => {
+    for (;;) {
+      if (controller.signal.aborted) {
+        return null;
+      }
+      // The page may be between navigations; try again next time
+      const widgets = await readCaptchaState(page).catch(() => []);
+      const state = summarizeCaptchaState(widgets);
+      provider = state.provider ?? provider;
+      if (state.solved) {
+        return 'solved';
+      }
+      const elapsed = Date.now() - startedAt + interval;
+      if (!provider && elapsed > Math.min(graceTime, timeout)) {
+        return 'not-found';
+      }
+      if (elapsed > timeout) {
+        return 'timeout';
+      }
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+  };
+
+  const initial = summarizeCaptchaState(await readCaptchaState(page));
+  ({ provider } = initial);
+  if (initial.solved) {
+    return finish('solved');
+  }
+
+  const waiters = [poll()];
+  if (onPrompt) {
+    waiters.push(
+      Promise.resolve(onPrompt({ provider, signal: controller.signal })).then(
+        (answer) => (answer === 'skip' ? 'skipped' : 'confirmed')
+      )
+    );
+  }
+
+  return finish(await Promise.race(waiters));
+}
+
+/**
+ * Label or question text of an input that asks a person to prove they are
+ * human ("What is 3 + 4?", "Anti-spam question")
+ */
+export const CHALLENGE_QUESTION_PATTERN =
+  /(what is|what's|how much is|solve|calculate)\s*\d+\s*([-+x×*]|plus|minus|times)\s*\d+|\d+\s*[-+×*]\s*\d+\s*=|captcha|anti-?spam|security question|human verification|are you (a )?(human|robot)/i;
+
+// Titles of challenge pages shown instead of the site, and who shows them
+const INTERSTITIAL_TITLES = [
+  [/ddos-guard/i, 'ddos-guard'],
+  [/sucuri/i, 'sucuri'],
+  [/just a moment|attention required/i, 'cloudflare'],
+  [/checking your browser|verify you are human|security check/i, null],
+];
+
+// Most pressing first: a challenge page hides the form altogether
+const CHALLENGE_PRIORITY = [
+  'interstitial',
+  'captcha',
+  'question',
+  'invisible',
+  'proof-of-work',
+];
+
+const PROVIDER_LABELS = {
+  recaptcha: 'reCAPTCHA',
+  'recaptcha-v3': 'reCAPTCHA v3',
+  hcaptcha: 'hCaptcha',
+  turnstile: 'Cloudflare Turnstile',
+  'friendly-captcha': 'Friendly Captcha',
+  cloudflare: 'Cloudflare',
+  'ddos-guard': 'DDoS-Guard',
+  sucuri: 'Sucuri',
+};
+
+/**
+ * Collect what a page shows of bot challenges, for classifyChallenge
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page
+ * @returns {Promise<Object>} Signals: title, widgets (visible CAPTCHA
+ *   widgets), invisibleRecaptcha, friendlyCaptcha, interstitial and
+ *   questions ({text, selector} of inputs asking a challenge question)
+ */
+export async function readChallengeSignals(page) {
+  return page.evaluate(
+    (signals) => {
+      const { widgets, questionPattern } = signals;
+      const scripts = Array.from(document.scripts)
+        .map((script) => script.src)
+        .filter(Boolean);
+      // Invisible widgets render a badge, not something to click
+      const isVisibleWidget = (element) =>
+        element.getAttribute('data-size') !== 'invisible' &&
+        !/size=invisible/.test(element.getAttribute('src') || '');
+
+      const questions = [];
+      document
+        .querySelectorAll(
+          'input[type="text"], input[type="number"], input:not([type])'
+        )
+        .forEach((input) => {
+          const text = [
+            input.getAttribute('aria-label'),
+            input.id &&
+              document.querySelector(`label[for="${input.id}"]`)?.textContent,
+            input.closest('label')?.textContent,
+            input.getAttribute('placeholder'),
+            input.name,
+          ]
+            .filter(Boolean)
+            .map((value) => value.trim())
+            .find((value) => new RegExp(questionPattern, 'i').test(value));
+          if (text) {
+            questions.push({
+              text,
+              selector: input.id
+                ? `[id="${input.id}"]`
+                : `[name="${input.name}"]`,
+            });
+          }
+        });
+
+      return {
+        title: document.title,
+        widgets: widgets
+          .filter(({ widgetSelector }) =>
+            Array.from(document.querySelectorAll(widgetSelector)).some(
+              isVisibleWidget
+            )
+          )
+          .map(({ name }) => name),
+        invisibleRecaptcha:
+          !!document.querySelector(
+            '.grecaptcha-badge, [data-sitekey][data-size="invisible"]'
+          ) ||
+          scripts.some((src) =>
+            /recaptcha\/(api|enterprise)\.js\?.*render=(?!explicit)/.test(src)
+          ),
+        friendlyCaptcha:
+          !!document.querySelector('.frc-captcha') ||
+          scripts.some((src) =>
+            /friendly-?captcha|friendly-challenge/.test(src)
+          ),
+        interstitial: !!document.querySelector(
+          '#challenge-form, #challenge-running, #challenge-stage, #cf-challenge-running'
+        ),
+        questions,
+      };
+    },
+    {
+      widgets: CAPTCHA_WIDGETS,
+      questionPattern: CHALLENGE_QUESTION_PATTERN.source,
+    }
+  );
+}
+
+/**
+ * Decide which bot challenge a page puts up
+ * @param {Object} signals - From readChallengeSignals
+ * @returns {{type: string, provider: string|null, requiresHuman: boolean,
+ *   question?: string, selector?: string}|null} type is interstitial,
+ *   captcha, question, invisible or proof-of-work; null when there is none
+ */
+export function classifyChallenge(signals) {
+  const title = signals.title || '';
+  const titleMatch = INTERSTITIAL_TITLES.find(([pattern]) =>
+    pattern.test(title)
+  );
+  if (signals.interstitial || titleMatch) {
+    return {
+      type: 'interstitial',
+      provider: signals.interstitial ? 'cloudflare' : titleMatch[1],
+      requiresHuman: true,
+    };
+  }
+
+  if (signals.widgets?.length > 0) {
+    return {
+      type: 'captcha',
+      provider: signals.widgets[0],
+      requiresHuman: true,
+    };
+  }
+
+  const [question] = signals.questions || [];
+  if (question) {
+    return {
+      type: 'question',
+      provider: null,
+      requiresHuman: true,
+      question: question.text,
+      selector: question.selector,
+    };
+  }
+
+  if (signals.invisibleRecaptcha) {
+    return {
+      type: 'invisible',
+      provider: 'recaptcha-v3',
+      requiresHuman: false,
+    };
+  }
+  if (signals.friendlyCaptcha) {
+    return {
+      type: 'proof-of-work',
+      provider: 'friendly-captcha',
+      requiresHuman: false,
+    };
+  }
+  return null;
+}
+
+/**
+ * Detect the bot challenge on a page or frame
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page
+ * @returns {Promise<Object|null>} See classifyChallenge
+ */
+export async function detectChallenge(page) {
+  return classifyChallenge(await readChallengeSignals(page));
+}
+
+/**
+ * Pick the most pressing of several challenges (e.g. one per frame)
+ * @param {Array<Object|null>} challenges
+ * @returns {Object|null}
+ */
+export function pickChallenge(challenges) {
+  return (
+    challenges
+      .filter(Boolean)
+      .sort(
+        (a, b) =>
+          CHALLENGE_PRIORITY.indexOf(a.type) -
+          CHALLENGE_PRIORITY.indexOf(b.type)
+      )[0] || null
+  );
+}
+
+/**
+ * Describe a challenge for summaries
+ * @param {Object|null} challenge - From classifyChallenge
+ * @returns {string}
+ */
+export function describeChallenge(challenge) {
+  if (!challenge) {
+    return 'none';
+  }
+  const label = PROVIDER_LABELS[challenge.provider] || challenge.provider;
+
+  switch (challenge.type) {
+    case 'interstitial':
+      return `${label ? `${label} ` : ''}challenge page`;
+    case 'captcha':
+      return `${label} CAPTCHA`;
+    case 'question':
+      return `challenge question "${challenge.question}"`;
+    default:
+      return `${label} (solves itself)`;
+  }
+}
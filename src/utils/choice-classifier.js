@@ -0,0 +1,272 @@
+/**
+ * Kinds of checkbox and radio choices we know how to answer
+ */
+export const CHOICE_KINDS = [
+  'consent',
+  'newsletter',
+  'pricing-tier',
+  'platform',
+  'other',
+];
+
+/**
+ * Field types that are set by policy rather than typed into
+ */
+export const CHOICE_TYPES = ['checkbox', 'radio', 'checkbox-group'];
+
+/**
+ * What to tick when no policy is given: agree to terms, stay off mailing
+ * lists, pick the free tier and the web platform
+ */
+export const DEFAULT_CHOICE_POLICY = {
+  consent: true,
+  newsletter: false,
+  pricingTier: 'free',
+  platforms: ['web'],
+};
+
+/**
+ * Patterns for each kind, checked in order. Newsletter comes before consent
+ * so "I agree to receive updates" is not treated as the terms box.
+ */
+const CHOICE_PATTERNS = [
+  [
+    'newsletter',
+    /newsletter|subscribe|mailing list|marketing|promotional|news and updates|product updates|receive (?:emails|updates|offers)/i,
+  ],
+  [
+    'consent',
+    /terms|conditions|privacy|policy|agree|accept|consent|\btos\b|gdpr|guidelines/i,
+  ],
+  [
+    'pricing-tier',
+    /pricing|price|\bfree\b|freemium|\bpaid\b|premium|\bplan\b|tier|one[- ]time|open source/i,
+  ],
+  [
+    'platform',
+    /platform|\bweb\b|\bios\b|android|\bmac(?:os)?\b|windows|linux|chrome|extension|desktop|mobile|\bapi\b/i,
+  ],
+];
+
+/**
+ * Mapping keys used for each kind in site configs
+ */
+export const CHOICE_KEYS = {
+  consent: 'consent',
+  newsletter: 'newsletter',
+  'pricing-tier': 'pricingTier',
+  platform: 'platform',
+  other: 'choice',
+};
+
+/**
+ * Classify a checkbox or radio group from its name, label and options
+ * @param {Object} field - Field or group with name, id, label, groupLabel
+ *   and optional options ({label, value})
+ * @returns {string} One of CHOICE_KINDS
+ */
+export function classifyChoice(field) {
+  const text = [
+    field.groupLabel,
+    field.label,
+    field.name,
+    field.id,
+    ...(field.options || []).map((option) => option.label || option.value),
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  const match = CHOICE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * CSS selector for one checkbox or radio input
+ * @param {{id?: string, name?: string, value?: string}} field
+ * @returns {string}
+ */
+export function getChoiceSelector(field) {
+  if (field.id) {
+    return `#${field.id}`;
+  }
+  if (field.name && field.value) {
+    return `input[name="${field.name}"][value="${field.value}"]`;
+  }
+  return `input[name="${field.name}"]`;
+}
+
+/**
+ * Build site config mappings for the checkboxes and radio groups in a form.
+ * Inputs sharing a name become one group with options.
+ * @param {Array<Object>} fields - Analyzed fields (type, name, id, value,
+ *   label, groupLabel, required)
+ * @returns {Object} Mapping entries keyed consent, newsletter, pricingTier...
+ */
+export function buildChoiceMappings(fields) {
+  const groups = new Map();
+
+  fields
+    .filter((field) => field.type === 'checkbox' || field.type === 'radio')
+    .forEach((field) => {
+      const groupKey = `${field.type}:${field.name || field.id}`;
+      groups.set(groupKey, [...(groups.get(groupKey) || []), field]);
+    });
+
+  const mapping = {};
+
+  groups.forEach((members) => {
+    const [first] = members;
+    let entry;
+
+    if (first.type === 'checkbox' && members.length === 1) {
+      entry = {
+        selector: getChoiceSelector(first),
+        type: 'checkbox',
+        label: first.label || first.groupLabel || '',
+        required: !!first.required,
+      };
+    } else {
+      entry = {
+        type: first.type === 'radio' ? 'radio' : 'checkbox-group',
+        name: first.name,
+        label: first.groupLabel || '',
+        required: members.some((member) => member.required),
+        options: members.map((member) => ({
+          value: member.value || '',
+          label: member.label || member.value || '',
+          selector: getChoiceSelector(member),
+        })),
+      };
+    }
+
+    entry.kind = classifyChoice({ ...entry, name: first.name, id: first.id });
+
+    // Number repeated kinds: consent, consent2, ...
+    const baseKey = CHOICE_KEYS[entry.kind];
+    let key = baseKey;
+    for (let n = 2; mapping[key]; n++) {
+      key = `${baseKey}${n}`;
+    }
+    mapping[key] = entry;
+  });
+
+  return mapping;
+}
+
+/**
+ * Merge the submission profile's choice policy over the defaults
+ * @param {Object} [submissionData] - May hold choices ({consent, newsletter,
+ *   pricingTier, platforms}) and a pricing value
+ * @returns {Object}
+ */
+export function getChoicePolicy(submissionData = {}) {
+  const policy = { ...DEFAULT_CHOICE_POLICY };
+  if (typeof submissionData.pricing === 'string' && submissionData.pricing) {
+    policy.pricingTier = submissionData.pricing;
+  }
+  return { ...policy, ...submissionData.choices };
+}
+
+/**
+ * Find the option that best matches any wanted value: exact label or value
+ * first, then one containing the wanted word
+ * @param {Array<{label: string, value: string}>} options
+ * @param {Array<string>} wanted
+ * @returns {Array<Object>} Matching options (at most one per wanted value)
+ */
+function findOptions(options, wanted) {
+  const normalize = (text) => (text || '').toLowerCase().trim();
+
+  return wanted
+    .map((want) => {
+      const target = normalize(want);
+      if (!target) {
+        return null;
+      }
+      return (
+        options.find(
+          (option) =>
+            normalize(option.label) === target ||
+            normalize(option.value) === target
+        ) ||
+        options.find(
+          (option) =>
+            normalize(option.label).includes(target) ||
+            normalize(option.value).includes(target)
+        ) ||
+        null
+      );
+    })
+    .filter((option, index, all) => option && all.indexOf(option) === index);
+}
+
+/**
+ * Decide which inputs to tick for a checkbox or radio mapping
+ * @param {Object} entry - Mapping entry from buildChoiceMappings
+ * @param {Object} policy - From getChoicePolicy
+ * @param {string} [fieldName] - Mapping key, used to classify older configs
+ *   that have no kind
+ * @returns {{kind: string, check: Array<string>, uncheck: Array<string>, chosen: Array<string>}}
+ *   Selectors to check and uncheck, plus labels of what was chosen
+ */
+export function resolveChoice(entry, policy, fieldName = '') {
+  const kind =
+    entry.kind || classifyChoice({ ...entry, name: entry.name || fieldName });
+  const result = { kind, check: [], uncheck: [], chosen: [] };
+  const wanted = {
+    'pricing-tier': [policy.pricingTier],
+    platform: policy.platforms || [],
+  }[kind];
+
+  if (entry.type === 'checkbox') {
+    let shouldCheck;
+    if (kind === 'consent') {
+      shouldCheck = !!policy.consent;
+    } else if (kind === 'newsletter') {
+      shouldCheck = !!policy.newsletter;
+    } else if (wanted) {
+      shouldCheck =
+        findOptions([{ label: entry.label, value: '' }], wanted).length > 0;
+    } else {
+      // Unknown boxes are only ticked when the form insists
+      shouldCheck = entry.required ? true : null;
+    }
+
+    if (shouldCheck === true) {
+      result.check.push(entry.selector);
+      result.chosen.push(entry.label || 'checked');
+    } else if (shouldCheck === false) {
+      result.uncheck.push(entry.selector);
+    }
+    return result;
+  }
+
+  const options = entry.options || [];
+  let picked;
+  if (kind === 'consent') {
+    picked = policy.consent ? options : [];
+  } else if (kind === 'newsletter') {
+    picked = policy.newsletter
+      ? findOptions(options, ['yes', 'subscribe'])
+      : findOptions(options, ['no']);
+  } else {
+    picked = wanted ? findOptions(options, wanted) : [];
+  }
+
+  if (entry.type === 'radio') {
+    picked = picked.slice(0, 1);
+    // A required group still needs an answer when nothing matched
+    if (picked.length === 0 && entry.required && options.length > 0) {
+      picked = [options[0]];
+    }
+  }
+
+  result.check = picked.map((option) => option.selector);
+  result.chosen = picked.map((option) => option.label || option.value);
+  if (entry.type === 'checkbox-group' && kind !== 'other') {
+    result.uncheck = options
+      .filter((option) => !picked.includes(option))
+      .map((option) => option.selector);
+  }
+  return result;
+}
@@ -0,0 +1,216 @@
+/**
+ * Dropdown widgets we detect, with a selector for the element to click.
+ * Order matters: library-specific widgets first, generic ARIA roles last.
+ */
+export const COMBOBOX_WIDGETS = [
+  ['react-select', 'input[id^="react-select-"][id$="-input"]'],
+  ['headlessui-listbox', '[id^="headlessui-listbox-button"]'],
+  ['headlessui-combobox', '[id^="headlessui-combobox-input"]'],
+  ['combobox', '[role="combobox"]'],
+  ['listbox-button', 'button[aria-haspopup="listbox"]'],
+  ['listbox', '[role="listbox"]'],
+];
+
+/**
+ * Selector matching the options of an open dropdown
+ * (ARIA options, React Select and Headless UI). The class must end in
+ * __option, so that BEM list containers (__options) do not count.
+ */
+export const OPTION_SELECTOR =
+  '[role="option"], [id*="-option-"], [class$="__option"], [class*="__option "]';
+
+/**
+ * Find the custom dropdowns (React Select, Headless UI, ARIA comboboxes) in
+ * a document. Runs in the page, so it uses nothing from this module: pass
+ * it to evaluate with COMBOBOX_WIDGETS, e.g.
+ * `frame.evaluate(findComboboxes, COMBOBOX_WIDGETS)`.
+ * @param {Array<[string, string]>} comboboxSelectors - COMBOBOX_WIDGETS
+ * @returns {Array<{fieldInfo: Object, formIndex: number}>} Each dropdown's
+ *   field, and the index of the form around it (-1 when outside forms)
+ */
+export function findComboboxes(comboboxSelectors) {
+  const forms = Array.from(document.querySelectorAll('form'));
+  const comboboxes = [];
+
+  comboboxSelectors.forEach(([widget, selector]) => {
+    document.querySelectorAll(selector).forEach((element, index) => {
+      if (
+        comboboxes.some(
+          (found) =>
+            found.element.contains(element) || element.contains(found.element)
+        )
+      ) {
+        return;
+      }
+      // Listbox popups belong to the combobox or button that opens them
+      if (
+        widget === 'listbox' &&
+        (element.offsetParent === null ||
+          (element.id &&
+            document.querySelector(
+              `[aria-controls="${element.id}"], [aria-owns="${element.id}"]`
+            )))
+      ) {
+        return;
+      }
+
+      const labelledBy = (element.getAttribute('aria-labelledby') || '')
+        .split(' ')
+        .map((id) => document.getElementById(id)?.textContent.trim())
+        .filter(Boolean)
+        .join(' ');
+      const forLabel = element.id
+        ? document.querySelector(`label[for="${element.id}"]`)?.textContent
+        : '';
+      const container = element.closest('.form-group, .field, label, div');
+      // Library ids are generated per page load, so use position instead
+      const stableId =
+        element.id && !/^(react-select-|headlessui-)/.test(element.id);
+
+      comboboxes.push({
+        element,
+        fieldInfo: {
+          type: 'combobox',
+          widget,
+          selector: stableId ? `[id="${element.id}"]` : selector,
+          index: stableId ? 0 : index,
+          name: element.getAttribute('name') || '',
+          id: element.id || '',
+          placeholder: element.getAttribute('placeholder') || '',
+          required: element.getAttribute('aria-required') === 'true',
+          label: (
+            element.getAttribute('aria-label') ||
+            labelledBy ||
+            forLabel ||
+            container?.querySelector('label')?.textContent ||
+            ''
+          ).trim(),
+          multiple:
+            element.getAttribute('aria-multiselectable') === 'true' ||
+            !!element.closest('[class*="is-multi"]'),
+          options: Array.from(element.querySelectorAll('[role="option"]')).map(
+            (option) => option.textContent.trim()
+          ),
+        },
+      });
+    });
+  });
+
+  return comboboxes.map(({ element, fieldInfo }) => ({
+    fieldInfo,
+    formIndex: forms.findIndex((form) => form.contains(element)),
+  }));
+}
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace for comparing labels
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeOptionText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Score how well an option label matches a wanted value
+ * @param {string} option
+ * @param {string} value
+ * @returns {number} 1 for an exact match down to 0 for nothing in common
+ */
+export function scoreOption(option, value) {
+  const a = normalizeOptionText(option);
+  const b = normalizeOptionText(value);
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+  // Whole words only, so "ui" does not match "Building"
+  if (` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `)) {
+    return 0.8;
+  }
+
+  const aWords = new Set(a.split(' '));
+  const bWords = new Set(b.split(' '));
+  const shared = [...aWords].filter((word) => bWords.has(word)).length;
+  return shared / new Set([...aWords, ...bWords]).size;
+}
+
+/**
+ * Work out which submission field a dropdown holds from its label
+ * @param {{label?: string, name?: string, id?: string}} field
+ * @returns {string|null} category, tags or pricing, or null if unclear
+ */
+export function getComboboxKey(field) {
+  const text =
+    `${field.label || ''} ${field.name || ''} ${field.id || ''}`.toLowerCase();
+
+  if (text.includes('categor') || text.includes('industry')) {
+    return 'category';
+  }
+  if (text.includes('tag') || text.includes('keyword')) {
+    return 'tags';
+  }
+  if (text.includes('pric')) {
+    return 'pricing';
+  }
+  return null;
+}
+
+/**
+ * Find a widget by selector, using its position when several share it
+ * @param {import('puppeteer').Page} page
+ * @param {string} selector
+ * @param {number} [index=0]
+ * @returns {Promise<import('puppeteer').ElementHandle|null>}
+ */
+export async function findWidget(page, selector, index = 0) {
+  if (!index) {
+    return page.$(selector);
+  }
+  return (await page.$$(selector))[index] || null;
+}
+
+/**
+ * Read the visible options of the dropdown that is currently open
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Array<string>>} Option labels in page order
+ */
+export async function readVisibleOptions(page) {
+  return page.$$eval(OPTION_SELECTOR, (elements) =>
+    elements
+      .filter((element) => element.offsetParent !== null)
+      .map((element) => element.textContent.trim())
+  );
+}
+
+/**
+ * Open a dropdown, read its options and close it again
+ * @param {import('puppeteer').Page} page
+ * @param {{selector: string, index?: number}} field
+ * @returns {Promise<Array<string>>} Option labels, or [] if none appeared
+ */
+export async function readComboboxOptions(page, field) {
+  const element = await findWidget(page, field.selector, field.index);
+  if (!element) {
+    return [];
+  }
+
+  try {
+    await element.click();
+    await page.waitForSelector(OPTION_SELECTOR, {
+      visible: true,
+      timeout: 3000,
+    });
+    return await readVisibleOptions(page);
+  } catch {
+    return [];
+  } finally {
+    await page.keyboard.press('Escape').catch(() => {});
+  }
+}
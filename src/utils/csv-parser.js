@@ -1,72 +1,411 @@
-import { readFile } from 'fs/promises';
+import { readFile, writeFile, rename } from 'fs/promises';
+import {
+  normalizeStatus,
+  transitionStatus,
+  loadStatusHistory,
+  saveStatusHistory,
+} from './submission-status.js';
 
 /**
- * Parse a CSV file and return an array of directory objects
- * @param {string} filePath - Path to the CSV file
- * @returns {Promise<Array<{name: string, url: string, status: string}>>}
+ * Column layout used when writing directories that were not read from a
+ * CSV file, and for columns the file did not have yet.
+ * Maps each header to the directory object property it holds.
  */
-export async function parseDirectoriesCSV(filePath) {
-  try {
-    const content = await readFile(filePath, 'utf-8');
-    const lines = content.trim().split('\n');
+const CSV_COLUMNS = [
+  { header: 'name', key: 'name' },
+  { header: 'homepage', key: 'url' },
+  { header: 'submit_url', key: 'submit_url' },
+  { header: 'submit_button', key: 'submit_button' },
+  { header: 'status', key: 'status' },
+  { header: 'updated_at', key: 'updated_at' },
+];
 
-    // Skip header line
-    const dataLines = lines.slice(1);
+/**
+ * Accepted header spellings for each directory property.
+ * Headers are matched case-insensitively with spaces treated as underscores.
+ */
+const HEADER_ALIASES = {
+  name: ['name', 'directory_name', 'directory'],
+  url: ['homepage', 'url', 'website'],
+  submit_url: ['submit_url', 'submission_url'],
+  submit_button: ['submit_button'],
+  status: ['status'],
+  updated_at: ['updated_at'],
+};
 
-    return dataLines.map((line, index) => {
-      // Handle CSV with quoted fields (for HTML in submit_button)
-      const parts = [];
-      let current = '';
-      let inQuotes = false;
+const REQUIRED_COLUMNS = ['name', 'url'];
 
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+/**
+ * Build an error that points at a position in the CSV source
+ * @param {string} message
+ * @param {number} line - 1-based line number
+ * @param {number} [column] - 1-based column number
+ * @returns {Error}
+ */
+function csvError(message, line, column) {
+  const position = column ? `line ${line}, column ${column}` : `line ${line}`;
+  const error = new Error(`Invalid CSV format at ${position}: ${message}`);
+  error.line = line;
+  error.column = column;
+  return error;
+}
 
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          parts.push(current);
-          current = '';
-        } else {
-          current += char;
+/**
+ * Parse CSV text per RFC 4180: quoted fields, doubled quotes as escapes,
+ * CRLF or LF line endings and line breaks inside quoted fields.
+ * Blank lines are skipped.
+ * @param {string} content - Raw CSV text
+ * @returns {Array<{fields: Array<string>, line: number}>} Records with the
+ *   line number each one starts on
+ */
+export function parseCSV(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const records = [];
+
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let fieldQuoted = false;
+  let afterQuote = false;
+  let line = 1;
+  let column = 0;
+  let recordLine = 1;
+  let quoteLine = 1;
+  let quoteColumn = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    const isBlank = fields.length === 1 && fields[0] === '' && !fieldQuoted;
+    if (!isBlank) {
+      records.push({ fields, line: recordLine });
+    }
+    fields = [];
+    field = '';
+    fieldQuoted = false;
+    afterQuote = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    column++;
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+        column++;
+      } else if (char === '"') {
+        inQuotes = false;
+        afterQuote = true;
+      } else {
+        if (char === '\n') {
+          line++;
+          column = 0;
         }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === ',') {
+      fields.push(field);
+      field = '';
+      fieldQuoted = false;
+      afterQuote = false;
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      // CRLF: let the \n end the record
+    } else if (char === '\n' || char === '\r') {
+      endRecord();
+      line++;
+      column = 0;
+      recordLine = line;
+    } else if (afterQuote) {
+      throw csvError(
+        `unexpected character '${char}' after closing quote`,
+        line,
+        column
+      );
+    } else if (char === '"') {
+      if (field !== '') {
+        throw csvError('unexpected quote in unquoted field', line, column);
       }
-      parts.push(current); // Add last part
+      inQuotes = true;
+      fieldQuoted = true;
+      quoteLine = line;
+      quoteColumn = column;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw csvError('unterminated quoted field', quoteLine, quoteColumn);
+  }
 
-      if (parts.length < 2) {
-        throw new Error(
-          `Invalid CSV format at line ${index + 2}: expected at least 2 columns`
+  if (field !== '' || fields.length > 0 || fieldQuoted) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Map header cells to directory properties
+ * @param {Array<string>} headers - Header row cells
+ * @param {number} line - Line number of the header row
+ * @returns {Array<string|null>} Property name per column (null if unknown)
+ */
+function mapHeaders(headers, line) {
+  const keys = headers.map((header) => {
+    const normalized = header.trim().toLowerCase().replace(/\s+/g, '_');
+    const match = Object.entries(HEADER_ALIASES).find(([, aliases]) =>
+      aliases.includes(normalized)
+    );
+    return match ? match[0] : null;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((key) => !keys.includes(key));
+  if (missing.length > 0) {
+    throw csvError(`missing required column(s): ${missing.join(', ')}`, line);
+  }
+
+  return keys;
+}
+
+/**
+ * Read a directories CSV file along with its header row, so it can be
+ * written back with the same columns
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Promise<{headers: Array<string>, directories: Array<Object>}>}
+ */
+async function readDirectoriesTable(filePath) {
+  try {
+    const content = await readFile(filePath, 'utf-8');
+    const [header, ...records] = parseCSV(content);
+
+    if (!header) {
+      throw csvError('missing header row', 1);
+    }
+
+    const keys = mapHeaders(header.fields, header.line);
+
+    const directories = records.map(({ fields, line }) => {
+      if (fields.length > keys.length) {
+        throw csvError(
+          `expected at most ${keys.length} columns but found ${fields.length}`,
+          line
         );
       }
 
-      return {
-        name: parts[0]?.trim() || '',
-        url: parts[1]?.trim() || '',
-        submit_url: parts[2]?.trim() || '',
-        submit_button: parts[3]?.trim() || '',
-        status: parts[4]?.trim() || '',
-      };
+      const directory = Object.fromEntries(
+        Object.keys(HEADER_ALIASES).map((key) => [key, ''])
+      );
+
+      // Columns the bot does not know are kept, as-is, under their header
+      header.fields.forEach((name, index) => {
+        if (keys[index]) {
+          directory[keys[index]] = (fields[index] ?? '').trim();
+        } else {
+          directory[name] = fields[index] ?? '';
+        }
+      });
+
+      return directory;
     });
+
+    return { headers: header.fields, directories };
   } catch (error) {
-    throw new Error(`Failed to parse CSV file: ${error.message}`);
+    throw new Error(`Failed to parse CSV file: ${error.message}`, {
+      cause: error,
+    });
   }
 }
 
 /**
- * Filter directories by submission status
+ * Parse a CSV file and return an array of directory objects.
+ * Columns are matched by header name, so their order does not matter.
+ * Columns other than the known ones are kept under their header name.
+ * @param {string} filePath - Path to the CSV file
+ * @returns {Promise<Array<{name: string, url: string, submit_url: string, submit_button: string, status: string, updated_at: string}>>}
+ */
+export async function parseDirectoriesCSV(filePath) {
+  const { directories } = await readDirectoriesTable(filePath);
+  return directories;
+}
+
+/**
+ * Filter directories by submission status.
+ * Statuses are compared in normalized form, so '' and 'pending' match the
+ * same directories.
  * @param {Array<{name: string, url: string, status: string}>} directories
- * @param {string} status - Status to filter by (e.g., 'submitted', '')
+ * @param {string|Array<string>} status - Status or statuses to keep (e.g., 'submitted', ['pending', 'rejected'])
  * @returns {Array<{name: string, url: string, status: string}>}
  */
 export function filterByStatus(directories, status = '') {
-  return directories.filter((dir) => dir.status === status);
+  const statuses = (Array.isArray(status) ? status : [status]).map(
+    normalizeStatus
+  );
+  return directories.filter((dir) =>
+    statuses.includes(normalizeStatus(dir.status))
+  );
 }
 
 /**
- * Get unsubmitted directories (those without a status)
+ * Get unsubmitted directories (those still pending)
  * @param {Array<{name: string, url: string, status: string}>} directories
  * @returns {Array<{name: string, url: string, status: string}>}
  */
 export function getUnsubmittedDirectories(directories) {
-  return filterByStatus(directories, '');
+  return filterByStatus(directories, 'pending');
+}
+
+/**
+ * Escape a single CSV field, quoting it when it contains a delimiter,
+ * quote or line break
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeCSVField(value) {
+  const text = value == null ? '' : String(value);
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Serialize directory objects to CSV text (header included)
+ * @param {Array<Object>} directories
+ * @param {Array<string>} [headers] - Header row the directories were read
+ *   with; its columns are written in the same order and with the same
+ *   names, followed by any CSV_COLUMNS it lacks
+ * @returns {string}
+ */
+export function serializeDirectoriesCSV(directories, headers = []) {
+  const keys = headers.length > 0 ? mapHeaders(headers, 1) : [];
+  const columns = [
+    ...headers.map((header, index) => ({
+      header,
+      key: keys[index] ?? header,
+    })),
+    ...CSV_COLUMNS.filter((column) => !keys.includes(column.key)),
+  ];
+
+  const header = columns.map((column) => escapeCSVField(column.header));
+  const rows = directories.map((dir) =>
+    columns.map((column) => escapeCSVField(dir[column.key])).join(',')
+  );
+
+  return `${[header.join(','), ...rows].join('\n')}\n`;
+}
+
+/**
+ * Write directory objects back to a CSV file.
+ * Writes to a temporary file first so a crash never leaves a half-written CSV.
+ * @param {string} filePath - Path to the CSV file
+ * @param {Array<Object>} directories
+ * @param {Array<string>} [headers] - See serializeDirectoriesCSV
+ */
+export async function writeDirectoriesCSV(filePath, directories, headers) {
+  try {
+    const tempPath = `${filePath}.tmp`;
+    await writeFile(tempPath, serializeDirectoriesCSV(directories, headers));
+    await rename(tempPath, filePath);
+  } catch (error) {
+    throw new Error(`Failed to write CSV file: ${error.message}`);
+  }
+}
+
+/**
+ * Derive the CSV status for a submission result.
+ * Returns null when the attempt should leave the status unchanged.
+ * Only results with `submitted` (the form was sent and the outcome
+ * verified) count as submitted, or as awaiting-email-confirmation when the
+ * directory emailed a confirmation link nobody has opened yet. A paid
+ * listing skipped over the budget is paid-only; one submitted within the
+ * budget still needs someone to pay, so it is manual-required.
+ * @param {Object} result - Result returned by the submission bot
+ * @returns {string|null}
+ */
+export function getStatusFromResult(result) {
+  if (result?.dryRun) return null;
+  if (result?.failureReason === 'paid-only') return 'paid-only';
+  if (result?.paymentRequired) return 'manual-required';
+  if (result?.success && result.submitted) {
+    return result.awaitingEmailConfirmation
+      ? 'awaiting-email-confirmation'
+      : 'submitted';
+  }
+  if (result?.requiresManual) return 'manual-required';
+  return null;
+}
+
+/**
+ * Derive the status a result entry moves a directory to: the entry's own
+ * status when one was set by hand, otherwise the one its result earns.
+ * A directory left in-progress by an attempt that changed nothing (or
+ * never finished) goes back to pending.
+ * @param {{status?: string, result?: Object}} entry
+ * @param {string} current - The directory's current status
+ * @returns {string|null} null to leave the status unchanged
+ */
+export function getEntryStatus(entry, current) {
+  const status = entry.status ?? getStatusFromResult(entry.result);
+  if (!status && normalizeStatus(current) === 'in-progress') {
+    return 'pending';
+  }
+  return status;
+}
+
+/**
+ * Apply submission results to the directories in a CSV file.
+ * Each processed row gets its status (when the outcome changes it) and
+ * an updated_at timestamp. Transitions the lifecycle does not allow leave
+ * the status untouched. Entries may set a status by hand instead of
+ * carrying a result (see getEntryStatus); entries with neither only put
+ * in-progress rows back to pending.
+ * @param {string} filePath - Path to the CSV file
+ * @param {Array<{name: string, result?: Object, status?: string, note?: string, timestamp?: string}>} results
+ * @param {Object} [options]
+ * @param {string} [options.historyPath] - Status history file to append
+ *   transitions to
+ * @returns {Promise<number>} Number of rows updated
+ */
+export async function updateDirectoryStatuses(filePath, results, options = {}) {
+  const { headers, directories } = await readDirectoriesTable(filePath);
+  const history = options.historyPath
+    ? await loadStatusHistory(options.historyPath)
+    : null;
+  const resultsByName = new Map(results.map((entry) => [entry.name, entry]));
+  let updated = 0;
+
+  directories.forEach((dir) => {
+    const entry = resultsByName.get(dir.name);
+    if (!entry) return;
+
+    const at = entry.timestamp || new Date().toISOString();
+    const status = getEntryStatus(entry, dir.status);
+    if (!status && !entry.result) return;
+    if (status) {
+      try {
+        transitionStatus(dir, status, {
+          history,
+          at,
+          note: entry.note ?? entry.result?.message,
+        });
+      } catch {
+        // Disallowed transition - keep the current status
+      }
+    }
+    dir.updated_at = at;
+    updated++;
+  });
+
+  await writeDirectoriesCSV(filePath, directories, headers);
+  if (history) {
+    await saveStatusHistory(history, options.historyPath);
+  }
+  return updated;
 }
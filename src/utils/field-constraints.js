@@ -0,0 +1,205 @@
+/**
+ * Ways a value can break a field's constraints
+ */
+export const CONSTRAINT_PROBLEMS = [
+  'too-long',
+  'too-short',
+  'pattern-mismatch',
+];
+
+/**
+ * Work out a field's length limits and pattern, from the element on the
+ * page first and its mapping entry second. Browsers report a missing
+ * limit as -1, and old analyses recorded it that way.
+ * @param {Object} [fieldConfig] - Mapping entry (minLength, maxLength,
+ *   pattern)
+ * @param {Object} [attributes] - The same properties read from the element
+ * @returns {{minLength: number|null, maxLength: number|null, pattern: string|null}}
+ */
+export function getFieldConstraints(fieldConfig = {}, attributes = {}) {
+  const limit = (...values) =>
+    values.find((value) => Number.isInteger(value) && value > 0) ?? null;
+
+  return {
+    minLength: limit(attributes.minLength, fieldConfig.minLength),
+    maxLength: limit(attributes.maxLength, fieldConfig.maxLength),
+    pattern: attributes.pattern || fieldConfig.pattern || null,
+  };
+}
+
+/**
+ * @param {Object} constraints - From getFieldConstraints
+ * @returns {boolean} Whether there is anything to check
+ */
+export function hasConstraints(constraints) {
+  return !!(
+    constraints.minLength ||
+    constraints.maxLength ||
+    constraints.pattern
+  );
+}
+
+/**
+ * Compile a pattern attribute the way browsers do: it must match the
+ * whole value. Patterns that do not compile are ignored, as in browsers.
+ * @param {string} pattern
+ * @returns {RegExp|null}
+ */
+function compilePattern(pattern) {
+  for (const flags of ['v', 'u']) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, flags);
+    } catch {
+      // Older patterns may only compile without the v flag
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a value against a field's constraints
+ * @param {string} value
+ * @param {Object} constraints - From getFieldConstraints
+ * @returns {Array<string>} Problems found, from CONSTRAINT_PROBLEMS
+ */
+export function checkValue(value, constraints) {
+  const text = String(value ?? '');
+  const problems = [];
+
+  if (constraints.maxLength && text.length > constraints.maxLength) {
+    problems.push('too-long');
+  }
+  if (constraints.minLength && text.length < constraints.minLength) {
+    problems.push('too-short');
+  }
+  const pattern = constraints.pattern && compilePattern(constraints.pattern);
+  if (pattern && text && !pattern.test(text)) {
+    problems.push('pattern-mismatch');
+  }
+  return problems;
+}
+
+/**
+ * Describe constraints for logs and AI prompts
+ * @param {Object} constraints - From getFieldConstraints
+ * @returns {string} e.g. "20-120 characters, matching [A-Za-z ]+"
+ */
+export function describeConstraints({ minLength, maxLength, pattern }) {
+  let length = '';
+  if (minLength && maxLength) {
+    length = `${minLength}-${maxLength} characters`;
+  } else if (maxLength) {
+    length = `at most ${maxLength} characters`;
+  } else if (minLength) {
+    length = `at least ${minLength} characters`;
+  }
+  return [length, pattern && `matching ${pattern}`].filter(Boolean).join(', ');
+}
+
+/**
+ * Shorten text to a length limit without cutting a word in half. Ends at
+ * a sentence when that keeps most of the text.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function truncateAtWord(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  // One character more shows whether the limit falls between two words
+  const cut = text.slice(0, maxLength + 1);
+
+  const sentenceEnd = Math.max(
+    ...['. ', '! ', '? '].map((mark) => cut.lastIndexOf(mark))
+  );
+  if (sentenceEnd >= maxLength * 0.6) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+
+  const wordEnd = cut.search(/\s\S*$/);
+  const shortened = wordEnd > 0 ? cut.slice(0, wordEnd) : cut.slice(0, -1);
+  return shortened.replace(/[\s,;:–—-]+$/, '');
+}
+
+/**
+ * Other values the submission data holds for a field, to use when the
+ * field's own value does not fit: the keys a mapping entry lists as its
+ * `variants`, or else the field's name with a short or long prefix
+ * (shortDescription, long_description). Other keys that merely contain
+ * the name, such as logoUrl for url, are not variants.
+ * @param {string} field - Submission data key
+ * @param {Object} submissionData
+ * @param {Array<string>} [keys] - The mapping entry's variants
+ * @returns {Array<{key: string, value: string}>}
+ */
+export function findVariants(field, submissionData, keys) {
+  const name = field.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const candidates =
+    keys ??
+    Object.keys(submissionData).filter((key) =>
+      ['short', 'long'].some(
+        (prefix) =>
+          key.toLowerCase().replace(/[^a-z0-9]/g, '') === `${prefix}${name}`
+      )
+    );
+
+  return candidates
+    .map((key) => ({ key, value: submissionData[key] }))
+    .filter(({ value }) => typeof value === 'string' && value.trim());
+}
+
+/**
+ * Make a value fit a field's constraints. Tries, in order, the longest
+ * variant that fits, a rewrite, and (for values that are too long)
+ * cutting the value at a word boundary.
+ * @param {string} value
+ * @param {Object} constraints - From getFieldConstraints
+ * @param {Object} [options]
+ * @param {Array<{key: string, value: string}>} [options.variants] - From
+ *   findVariants
+ * @param {Function} [options.rewrite] - Called with (value, constraints);
+ *   returns a promise of the rewritten text, or null
+ * @returns {Promise<{value: string, adaptation: Object|null}>} adaptation
+ *   is null when the value already fits; otherwise it records the
+ *   problems, the method (variant, rewrite, truncate, or none when nothing
+ *   fits and the value is used as it is) and the value before and after
+ */
+export async function adaptValue(value, constraints, options = {}) {
+  const { variants = [], rewrite } = options;
+  const problems = checkValue(value, constraints);
+  if (problems.length === 0) {
+    return { value, adaptation: null };
+  }
+
+  const fits = (text) => !!text && checkValue(text, constraints).length === 0;
+  const adapted = (method, to, details = {}) => ({
+    value: to,
+    adaptation: { method, problems, constraints, from: value, to, ...details },
+  });
+
+  const variant = variants
+    .filter((candidate) => fits(candidate.value))
+    .sort((a, b) => b.value.length - a.value.length)[0];
+  if (variant) {
+    return adapted('variant', variant.value, { variant: variant.key });
+  }
+
+  if (rewrite) {
+    const rewritten = await Promise.resolve(rewrite(value, constraints)).catch(
+      () => null
+    );
+    if (fits(rewritten)) {
+      return adapted('rewrite', rewritten);
+    }
+  }
+
+  if (problems.includes('too-long')) {
+    const truncated = truncateAtWord(value, constraints.maxLength);
+    if (fits(truncated)) {
+      return adapted('truncate', truncated);
+    }
+  }
+
+  return adapted('none', value);
+}
@@ -0,0 +1,139 @@
+import { readFile } from 'fs/promises';
+import { hostKey } from './page-pool.js';
+
+/**
+ * Default location of the per-directory field overrides
+ */
+export const FIELD_OVERRIDES_PATH = 'field-overrides.json';
+
+/**
+ * Placeholder for another field's value in an override: {{description}}
+ */
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Read the field overrides. The file maps directory names (or hosts) to
+ * the values to submit there instead of the profile's; values under "*"
+ * are added for every directory, to hold variants the others refer to:
+ * { "*": { "shortDescription": "..." },
+ *   "BetaList": { "description": "{{shortDescription}}" } }
+ * @param {string} [filePath]
+ * @returns {Promise<Object>} The overrides, or {} if the file does not exist
+ */
+export async function loadFieldOverrides(filePath = FIELD_OVERRIDES_PATH) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read field overrides: ${error.message}`);
+  }
+}
+
+/**
+ * Fill in the {{field}} placeholders of a template
+ * @param {string} template
+ * @param {Object} values - Field values; lists are joined with commas
+ * @returns {{text: string, missing: Array<string>}} missing lists the
+ *   placeholders with no value, which are left empty
+ */
+export function renderTemplate(template, values) {
+  const missing = [];
+  const text = template.replace(TEMPLATE_PATTERN, (_match, field) => {
+    const value = values[field];
+    if (value === undefined || value === null || value === '') {
+      missing.push(field);
+      return '';
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+  return { text: text.trim(), missing };
+}
+
+/**
+ * The override layers that apply to a directory, weakest first: the "*"
+ * variants, the site config's `values`, then the overrides file entries
+ * for the directory's host and for its name
+ * @param {Object} overrides - From loadFieldOverrides
+ * @param {{name: string, url?: string, submit_url?: string}} directory
+ * @param {Object|null} [siteConfig]
+ * @returns {Array<{source: string, values: Object}>}
+ */
+export function getOverrideLayers(overrides, directory, siteConfig = null) {
+  const host = hostKey(directory.submit_url || directory.url);
+  return [
+    { source: '*', values: overrides?.['*'] },
+    { source: 'site config', values: siteConfig?.values },
+    { source: host, values: host && overrides?.[host] },
+    { source: directory.name, values: overrides?.[directory.name] },
+  ].filter(({ values }) => values && typeof values === 'object');
+}
+
+/**
+ * Apply override layers to the submission data. String values are
+ * templates, filled in from the data as it stood before their layer;
+ * other values (lists, booleans) are used as they are, and null leaves a
+ * field out.
+ * @param {Object} submissionData - The global profile
+ * @param {Array<{source: string, values: Object}>} layers - From
+ *   getOverrideLayers
+ * @returns {{data: Object, overridden: Array<Object>}} data is what to
+ *   submit; overridden lists each field that differs from the profile as
+ *   {field, value, source, missing}
+ */
+export function resolveSubmissionData(submissionData, layers) {
+  const data = { ...submissionData };
+  const sources = {};
+  const missing = {};
+
+  layers.forEach(({ source, values }) => {
+    const base = { ...data };
+    Object.entries(values).forEach(([field, value]) => {
+      sources[field] = source;
+      if (value === null) {
+        delete data[field];
+        missing[field] = [];
+      } else if (typeof value === 'string') {
+        const rendered = renderTemplate(value, base);
+        data[field] = rendered.text;
+        missing[field] = rendered.missing;
+      } else {
+        data[field] = value;
+        missing[field] = [];
+      }
+    });
+  });
+
+  const overridden = Object.keys(sources)
+    .filter(
+      (field) =>
+        // New fields under "*" are variants for the others to refer to
+        (sources[field] !== '*' || field in submissionData) &&
+        JSON.stringify(data[field]) !== JSON.stringify(submissionData[field])
+    )
+    .map((field) => ({
+      field,
+      value: data[field] ?? null,
+      source: sources[field],
+      missing: missing[field],
+    }));
+
+  return { data, overridden };
+}
+
+/**
+ * Describe an overridden value for logs
+ * @param {{field: string, value: *}} override - From resolveSubmissionData
+ * @param {number} [maxLength=60] - Longer values are cut short
+ * @returns {string}
+ */
+export function describeOverride({ field, value }, maxLength = 60) {
+  if (value === null) {
+    return `${field}: (left empty)`;
+  }
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return `${field}: ${
+    text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text
+  }`;
+}
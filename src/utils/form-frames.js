@@ -0,0 +1,210 @@
+/**
+ * Hosted form builders that directories embed in an iframe, with what is
+ * needed to read and fill their forms. Builders render questions in their
+ * own markup, so labels come from the question container when the inputs
+ * have none.
+ */
+export const FORM_PROVIDERS = [
+  {
+    name: 'typeform',
+    hosts: ['typeform.com'],
+    formSelector: 'form, [data-qa="form"]',
+    questionSelector: '[data-qa^="question-"], [data-qa="block"]',
+    labelSelector: '[data-qa="question-title"], h1, h2',
+    submitSelector: 'button[data-qa="submit-button"]',
+    // One question at a time: Enter confirms the answer and moves on
+    advanceOnEnter: true,
+  },
+  {
+    name: 'tally',
+    hosts: ['tally.so'],
+    formSelector: 'form',
+    questionSelector: '[data-block-type], .tally-block',
+    labelSelector: 'h3, label',
+    submitSelector: 'button[type="submit"]',
+  },
+  {
+    name: 'google-forms',
+    hosts: ['docs.google.com'],
+    pathPrefix: '/forms',
+    formSelector: 'form',
+    questionSelector: '[role="listitem"]',
+    labelSelector: '[role="heading"]',
+    submitSelector: 'div[role="button"][jsname="M2UYVd"]',
+  },
+  {
+    name: 'airtable',
+    hosts: ['airtable.com'],
+    formSelector: 'form, .sharedForm',
+    questionSelector: '.sharedFormField, [data-testid="form-field"]',
+    labelSelector: 'label, .formFieldName',
+    submitSelector: '.submitButton, button[type="submit"]',
+  },
+  {
+    name: 'jotform',
+    hosts: ['jotform.com', 'jotform.me', 'jotform.eu'],
+    formSelector: 'form',
+    questionSelector: 'li.form-line',
+    labelSelector: 'label.form-label',
+    submitSelector: 'button.form-submit-button, button[type="submit"]',
+  },
+];
+
+// Embeds that never hold a submission form
+const IGNORED_FRAME_HOSTS = [
+  'google.com/recaptcha',
+  'recaptcha.net',
+  'hcaptcha.com',
+  'challenges.cloudflare.com',
+  'youtube.com',
+  'youtube-nocookie.com',
+  'player.vimeo.com',
+  'js.stripe.com',
+  'facebook.com',
+  'platform.twitter.com',
+];
+
+/**
+ * Parse a URL, returning null for about:blank, data: and other junk
+ * @param {string} url
+ * @returns {URL|null}
+ */
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol.startsWith('http') ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the hosted form builder a frame URL belongs to
+ * @param {string} url
+ * @returns {Object|null} Entry from FORM_PROVIDERS, or null
+ */
+export function detectFormProvider(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) {
+    return null;
+  }
+  const host = parsed.hostname.replace(/^www\./, '');
+
+  return (
+    FORM_PROVIDERS.find(
+      (provider) =>
+        provider.hosts.some(
+          (candidate) => host === candidate || host.endsWith(`.${candidate}`)
+        ) &&
+        (!provider.pathPrefix ||
+          parsed.pathname.startsWith(provider.pathPrefix))
+    ) || null
+  );
+}
+
+/**
+ * Get a provider by name, e.g. from a site config
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getFormProvider(name) {
+  return FORM_PROVIDERS.find((provider) => provider.name === name) || null;
+}
+
+/**
+ * Key identifying a frame across page loads: its URL without query string
+ * or hash, which often carry per-visit tokens
+ * @param {string} url
+ * @returns {string|null} null for frames without an http(s) URL
+ */
+export function frameUrlKey(url) {
+  const parsed = parseHttpUrl(url);
+  return parsed ? `${parsed.origin}${parsed.pathname}` : null;
+}
+
+/**
+ * Whether a frame could hold a submission form (not a CAPTCHA, video or
+ * payment widget)
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isFormFrameCandidate(url) {
+  const key = frameUrlKey(url);
+  return !!key && !IGNORED_FRAME_HOSTS.some((host) => key.includes(host));
+}
+
+/**
+ * Pick the frame that holds the submission form: the one with the most
+ * fields, with the top document winning ties
+ * @param {Array<{frame?: string}>} fields - Fields tagged with their frame
+ * @returns {string|null} Frame key, or null for the top document
+ */
+export function pickFormFrame(fields) {
+  const counts = new Map([[null, 0]]);
+  fields.forEach((field) => {
+    const frame = field.frame || null;
+    counts.set(frame, (counts.get(frame) || 0) + 1);
+  });
+
+  let best = null;
+  counts.forEach((count, frame) => {
+    if (count > counts.get(best)) {
+      best = frame;
+    }
+  });
+  return best;
+}
+
+/**
+ * List the frames of a page worth searching for forms, top document first
+ * @param {import('puppeteer').Page} page
+ * @returns {Array<{frame: import('puppeteer').Frame, frameUrl: string|null, provider: Object|null}>}
+ *   frameUrl is null for the top document
+ */
+export function getFormFrames(page) {
+  const mainFrame = page.mainFrame();
+
+  return page
+    .frames()
+    .filter(
+      (frame) =>
+        frame === mainFrame ||
+        (!frame.detached && isFormFrameCandidate(frame.url()))
+    )
+    .map((frame) => ({
+      frame,
+      frameUrl: frame === mainFrame ? null : frameUrlKey(frame.url()),
+      provider: detectFormProvider(frame.url()),
+    }));
+}
+
+/**
+ * Wait for an embedded form's frame to load
+ * @param {import('puppeteer').Page} page
+ * @param {string} frameUrl - Key from frameUrlKey
+ * @param {number} timeout
+ * @returns {Promise<import('puppeteer').Frame>}
+ */
+export async function findFormFrame(page, frameUrl, timeout) {
+  return page.waitForFrame((frame) => frameUrlKey(frame.url()) === frameUrl, {
+    timeout,
+  });
+}
+
+/**
+ * Let code written against a page work inside one of its frames: frame
+ * methods ($, $$, evaluate, waitForSelector...) are used where they exist,
+ * page ones (keyboard, screenshot, waitForFileChooser...) otherwise
+ * @param {import('puppeteer').Page} page
+ * @param {import('puppeteer').Frame} frame
+ * @returns {import('puppeteer').Page}
+ */
+export function frameAsPage(page, frame) {
+  return new Proxy(frame, {
+    get(target, property) {
+      const source = property in target ? target : page;
+      const value = source[property];
+      return typeof value === 'function' ? value.bind(source) : value;
+    },
+  });
+}
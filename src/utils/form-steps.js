@@ -0,0 +1,75 @@
+/**
+ * Turn a site config's form into an ordered list of steps.
+ * Single-page forms become one step, so callers can treat both the same way.
+ * @param {Object} form - The `form` section of a site config
+ * @returns {Array<{name: string, fields: Object, advanceButton: Object|null, waitFor: Object|null, submitButton: Object|null}>}
+ */
+export function getFormSteps(form) {
+  if (!form) {
+    return [];
+  }
+
+  const steps =
+    Array.isArray(form.steps) && form.steps.length > 0
+      ? form.steps
+      : [{ fields: form.fields }];
+
+  return steps.map((step, index) => {
+    const isLast = index === steps.length - 1;
+
+    return {
+      name: step.name || `Step ${index + 1}`,
+      fields: step.fields || {},
+      advanceButton: isLast ? null : step.advanceButton || null,
+      waitFor: isLast ? null : step.waitFor || null,
+      submitButton: isLast
+        ? step.submitButton || form.submitButton || null
+        : null,
+    };
+  });
+}
+
+/**
+ * Check a multi-step form config for mistakes that would stall the wizard
+ * @param {Object} form - The `form` section of a site config
+ * @returns {Array<string>} Problems found; empty when the steps are usable
+ */
+export function validateFormSteps(form) {
+  const errors = [];
+  const steps = form?.steps;
+
+  if (steps === undefined) {
+    return errors;
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return ['steps must be a non-empty array'];
+  }
+
+  steps.forEach((step, index) => {
+    const label = step.name
+      ? `Step ${index + 1} (${step.name})`
+      : `Step ${index + 1}`;
+    const isLast = index === steps.length - 1;
+
+    if (step.fields !== undefined && typeof step.fields !== 'object') {
+      errors.push(`${label}: fields must be an object`);
+    }
+    if (!isLast && !step.advanceButton?.selector) {
+      errors.push(`${label}: advanceButton.selector is required`);
+    }
+    if (
+      step.waitFor &&
+      !step.waitFor.selector &&
+      !step.waitFor.navigation &&
+      step.waitFor.delay === undefined
+    ) {
+      errors.push(`${label}: waitFor needs a selector, navigation or delay`);
+    }
+  });
+
+  if (!steps.at(-1).submitButton?.selector && !form.submitButton?.selector) {
+    errors.push('Last step has no submitButton');
+  }
+
+  return errors;
+}
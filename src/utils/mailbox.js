@@ -0,0 +1,286 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Words in a link (or its path) that mark it as an account verification link
+ */
+const VERIFY_PATTERN = /verif|confirm|activat|validat|token|magic/i;
+
+/**
+ * Links never worth opening
+ */
+const IGNORED_LINK_PATTERN = /unsubscribe|preferences|privacy|\/terms/i;
+
+/**
+ * Decode a quoted-printable body
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const input = text.replace(/=\n/g, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const hex = input.slice(i + 1, i + 3);
+    if (input[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(input[i]));
+    }
+  }
+  return Buffer.from(bytes).toString('utf-8');
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?utf-8?B?...?=) in a header
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeHeader(value) {
+  return (value || '').replace(
+    /=\?[^?]+\?([BQ])\?([^?]*)\?=/gi,
+    (_match, encoding, encoded) =>
+      encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64').toString('utf-8')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '))
+  );
+}
+
+/**
+ * Split raw headers into a map of lowercase names to values, joining
+ * folded lines
+ * @param {string} headerText
+ * @returns {Object<string, string>}
+ */
+function parseHeaders(headerText) {
+  const headers = {};
+  headerText
+    .replace(/\n[ \t]+/g, ' ')
+    .split('\n')
+    .forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        const name = line.slice(0, colon).trim().toLowerCase();
+        headers[name] ??= line.slice(colon + 1).trim();
+      }
+    });
+  return headers;
+}
+
+/**
+ * Decode a body by its transfer encoding, flattening multipart messages
+ * into the text of their text parts
+ * @param {Object<string, string>} headers
+ * @param {string} body
+ * @returns {string}
+ */
+function decodeBody(headers, body) {
+  const contentType = headers['content-type'] || 'text/plain';
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+
+  if (/^multipart\//i.test(contentType) && boundary) {
+    return body
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter((part) => !part.startsWith('--'))
+      .map((part) => {
+        const { headers: partHeaders, body: partBody } = splitMessage(
+          part.replace(/^\n/, '')
+        );
+        return /^(text|multipart)\//i.test(
+          partHeaders['content-type'] || 'text/plain'
+        )
+          ? decodeBody(partHeaders, partBody)
+          : '';
+      })
+      .join('\n');
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding === 'base64') {
+    return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf-8');
+  }
+  if (encoding === 'quoted-printable') {
+    return decodeQuotedPrintable(body);
+  }
+  return body;
+}
+
+/**
+ * @param {string} raw
+ * @returns {{headers: Object<string, string>, body: string}}
+ */
+function splitMessage(raw) {
+  const text = raw.replace(/\r\n/g, '\n');
+  const split = text.indexOf('\n\n');
+  return split === -1
+    ? { headers: parseHeaders(text), body: '' }
+    : {
+        headers: parseHeaders(text.slice(0, split)),
+        body: text.slice(split + 2),
+      };
+}
+
+/**
+ * Parse a raw email message
+ * @param {string} raw
+ * @returns {{from: string, to: string, subject: string, date: Date|null, body: string}}
+ *   body holds the decoded text of every text part
+ */
+export function parseMessage(raw) {
+  const { headers, body } = splitMessage(raw);
+  const date = headers.date ? new Date(headers.date) : null;
+
+  return {
+    from: decodeHeader(headers.from),
+    to: decodeHeader(headers.to),
+    subject: decodeHeader(headers.subject),
+    date: date && !Number.isNaN(date.getTime()) ? date : null,
+    body: decodeBody(headers, body),
+  };
+}
+
+/**
+ * Split an mbox file into raw messages
+ * @param {string} content
+ * @returns {Array<string>}
+ */
+export function splitMbox(content) {
+  return content
+    .replace(/\r\n/g, '\n')
+    .split(/^From .*\n/m)
+    .map((message) => message.replace(/^>(>*From )/gm, '$1'))
+    .filter((message) => message.trim());
+}
+
+/**
+ * Read every message in a Maildir directory (new/ and cur/) or mbox file.
+ * Maildir messages without a Date header are dated by their file time.
+ * @param {string} mailboxPath
+ * @returns {Promise<Array<Object>>} Messages from parseMessage
+ */
+export async function readMailbox(mailboxPath) {
+  let info;
+  try {
+    info = await stat(mailboxPath);
+  } catch (error) {
+    throw new Error(`Failed to read mailbox: ${error.message}`);
+  }
+
+  if (!info.isDirectory()) {
+    return splitMbox(await readFile(mailboxPath, 'utf-8')).map(parseMessage);
+  }
+
+  const messages = [];
+  for (const folder of ['new', 'cur']) {
+    const folderPath = path.join(mailboxPath, folder);
+    const files = await readdir(folderPath).catch(() => []);
+
+    for (const file of files) {
+      const filePath = path.join(folderPath, file);
+      const message = parseMessage(await readFile(filePath, 'utf-8'));
+      message.date ??= (await stat(filePath)).mtime;
+      messages.push(message);
+    }
+  }
+  return messages;
+}
+
+/**
+ * Pull the links out of a message body (HTML hrefs and bare URLs)
+ * @param {string} body
+ * @returns {Array<string>} Unique links in order of appearance
+ */
+export function extractLinks(body) {
+  const links = (body || '').match(/https?:\/\/[^\s"'<>]+/g) || [];
+  return [
+    ...new Set(
+      links.map((link) => link.replace(/&amp;/g, '&').replace(/[).,;]+$/, ''))
+    ),
+  ];
+}
+
+/**
+ * @param {string} link
+ * @returns {string} The link's hostname, or '' if it does not parse
+ */
+function hostnameOf(link) {
+  try {
+    return new URL(link).hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Find the verification link a directory sent, in the newest message
+ * that mentions it
+ * @param {Array<Object>} messages - From readMailbox
+ * @param {Object} criteria
+ * @param {string|null} criteria.host - Directory host, from hostKey
+ * @param {string} [criteria.name] - Directory name
+ * @param {Date} [criteria.since] - Ignore messages older than this
+ * @returns {{link: string, message: Object}|null}
+ */
+export function findVerificationLink(messages, { host, name, since }) {
+  const mentions = (message) => {
+    const text =
+      `${message.from} ${message.subject} ${message.body}`.toLowerCase();
+    return (
+      (host && text.includes(host.toLowerCase())) ||
+      (name && text.includes(name.toLowerCase()))
+    );
+  };
+
+  const candidates = messages
+    .filter((message) => !since || !message.date || message.date >= since)
+    .filter(mentions)
+    .sort((a, b) => (b.date?.getTime() ?? 0) - (a.date?.getTime() ?? 0));
+
+  for (const message of candidates) {
+    const scored = extractLinks(message.body)
+      .filter((link) => !IGNORED_LINK_PATTERN.test(link))
+      .map((link) => ({
+        link,
+        score:
+          (VERIFY_PATTERN.test(link) ? 2 : 0) +
+          (host && hostnameOf(link).endsWith(host) ? 1 : 0),
+      }))
+      .filter(({ score }) => score >= 2)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length > 0) {
+      return { link: scored[0].link, message };
+    }
+  }
+  return null;
+}
+
+/**
+ * Poll a mailbox until a directory's verification link arrives
+ * @param {string} mailboxPath - Maildir directory or mbox file
+ * @param {Object} criteria - As for findVerificationLink
+ * @param {Object} [options]
+ * @param {number} [options.timeout=300000]
+ * @param {number} [options.interval=5000]
+ * @returns {Promise<{link: string, message: Object}|null>} null on timeout
+ */
+export async function waitForVerificationLink(
+  mailboxPath,
+  criteria,
+  { timeout = 300000, interval = 5000 } = {}
+) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const found = findVerificationLink(
+      await readMailbox(mailboxPath),
+      criteria
+    );
+    if (found || Date.now() + interval > deadline) {
+      return found;
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
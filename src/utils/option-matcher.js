@@ -0,0 +1,187 @@
+import { readFile } from 'fs/promises';
+import { normalizeOptionText, scoreOption } from './combobox.js';
+
+/**
+ * Default location of the user-editable option mapping table
+ */
+export const OPTION_MAPPINGS_PATH = 'option-mappings.json';
+
+/**
+ * Groups of terms directories use for the same category
+ */
+export const DEFAULT_SYNONYMS = [
+  ['saas', 'software', 'software as a service', 'web app', 'web apps', 'b2b'],
+  ['ai tools', 'ai', 'artificial intelligence', 'machine learning', 'ml'],
+  ['developer tools', 'dev tools', 'developers', 'programming', 'api'],
+  ['productivity', 'workflow', 'task management', 'organization'],
+  ['marketing', 'growth', 'seo', 'advertising'],
+  ['design', 'design tools', 'ux', 'ui'],
+  ['analytics', 'data', 'business intelligence', 'metrics'],
+  ['finance', 'fintech', 'payments', 'accounting'],
+  ['education', 'edtech', 'learning'],
+  ['communication', 'chat', 'messaging', 'collaboration'],
+  ['ecommerce', 'e commerce', 'online store', 'shopping'],
+  ['open source', 'oss', 'free software'],
+];
+
+/**
+ * Option labels to fall back to when nothing else is close
+ */
+export const FALLBACK_OPTIONS = [
+  'other',
+  'others',
+  'miscellaneous',
+  'misc',
+  'general',
+];
+
+// Synonym matches rank below direct matches of the same quality
+const SYNONYM_WEIGHT = 0.9;
+
+/**
+ * Read the option mapping table. The file maps wanted values to option
+ * labels, under "*" for every directory or a host for one directory:
+ * { "*": { "SaaS": "Software" }, "betalist.com": { "SaaS": "B2B" } }
+ * @param {string} [filePath]
+ * @returns {Promise<Object>} The table, or {} if the file does not exist
+ */
+export async function loadOptionMappings(filePath = OPTION_MAPPINGS_PATH) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read option mappings: ${error.message}`);
+  }
+}
+
+/**
+ * Look up a value in the mapping table, preferring the host's own entry
+ * @param {Object} mappings - From loadOptionMappings
+ * @param {string|null} host - Directory host, from hostKey
+ * @param {string} value
+ * @returns {string|null} The option label to use, or null if not mapped
+ */
+export function getMappedValue(mappings, host, value) {
+  const wanted = normalizeOptionText(value);
+
+  for (const scope of [host, '*']) {
+    const table = (scope && mappings?.[scope]) || {};
+    const key = Object.keys(table).find(
+      (candidate) => normalizeOptionText(candidate) === wanted
+    );
+    if (key) {
+      return table[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Other terms for the same thing as a value
+ * @param {string} value
+ * @param {Array<Array<string>>} [synonyms]
+ * @returns {Array<string>}
+ */
+export function findSynonyms(value, synonyms = DEFAULT_SYNONYMS) {
+  const wanted = normalizeOptionText(value);
+  const terms = synonyms
+    .filter((group) =>
+      group.some((term) => normalizeOptionText(term) === wanted)
+    )
+    .flat()
+    .filter((term) => normalizeOptionText(term) !== wanted);
+
+  return [...new Set(terms)];
+}
+
+/**
+ * Best similarity score of an option's label or value against a term
+ * @param {{value: string, text: string}} option
+ * @param {string} term
+ * @returns {number}
+ */
+function scoreAgainst(option, term) {
+  return Math.max(
+    scoreOption(option.text, term),
+    scoreOption(option.value, term)
+  );
+}
+
+/**
+ * Pick the option that best matches a value. Tries, in order: the mapping
+ * table, similarity to the value itself, similarity to its synonyms, and
+ * finally an "Other" option.
+ * @param {Array<string|{value: string, text: string}>} options - Option
+ *   labels, or native select options; options with an empty value are
+ *   treated as placeholders and never picked
+ * @param {string} value
+ * @param {Object} [settings]
+ * @param {Object} [settings.mappings] - From loadOptionMappings
+ * @param {string|null} [settings.host] - Directory host, from hostKey
+ * @param {Array<Array<string>>} [settings.synonyms]
+ * @param {number} [settings.minScore=0.5]
+ * @returns {{value: string, text: string, index: number, score: number,
+ *   reason: string, term: string}|null} reason is mapping, exact, similar,
+ *   synonym or fallback; term is what the option matched
+ */
+export function matchOption(options, value, settings = {}) {
+  const {
+    mappings = {},
+    host = null,
+    synonyms = DEFAULT_SYNONYMS,
+    minScore = 0.5,
+  } = settings;
+
+  const candidates = options
+    .map((option, index) => ({
+      ...(typeof option === 'string'
+        ? { value: option, text: option }
+        : option),
+      index,
+    }))
+    .filter((option) => option.value !== '' && option.text);
+
+  const best = (terms, weight, reason) => {
+    let match = null;
+    terms.forEach((term) => {
+      candidates.forEach((option) => {
+        const score = scoreAgainst(option, term) * weight;
+        if (score >= minScore && (!match || score > match.score)) {
+          match = { ...option, score, reason, term };
+        }
+      });
+    });
+    return match;
+  };
+
+  const mapped = getMappedValue(mappings, host, value);
+  if (mapped) {
+    const match = best([mapped], 1, 'mapping');
+    if (match && match.score === 1) {
+      return match;
+    }
+  }
+
+  const direct = best([value], 1, 'similar');
+  if (direct) {
+    return direct.score === 1 ? { ...direct, reason: 'exact' } : direct;
+  }
+
+  const viaSynonym = best(
+    findSynonyms(value, synonyms),
+    SYNONYM_WEIGHT,
+    'synonym'
+  );
+  if (viaSynonym) {
+    return viaSynonym;
+  }
+
+  const fallback = candidates.find((option) =>
+    FALLBACK_OPTIONS.includes(normalizeOptionText(option.text))
+  );
+  return fallback
+    ? { ...fallback, score: 0, reason: 'fallback', term: value }
+    : null;
+}
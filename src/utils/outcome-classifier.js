@@ -0,0 +1,172 @@
+/**
+ * Phrases that say a submission only counts once its emailed link is opened
+ */
+export const EMAIL_CONFIRMATION_PATTERNS = [
+  'check your email',
+  'confirm your email',
+  'verify your email',
+  'confirmation email',
+];
+
+/**
+ * Phrases that indicate a submission was accepted
+ */
+export const SUCCESS_PATTERNS = [
+  'thank you',
+  'thanks for',
+  'successfully submitted',
+  'submission received',
+  'submission was successful',
+  'we have received',
+  "we've received",
+  'has been submitted',
+  'under review',
+  'pending review',
+  'pending approval',
+  ...EMAIL_CONFIRMATION_PATTERNS,
+];
+
+/**
+ * Phrases that indicate the form rejected the input
+ */
+export const ERROR_PATTERNS = [
+  'is required',
+  'required field',
+  'please enter',
+  'please fill',
+  'please provide',
+  'invalid',
+  'must be',
+  'too long',
+  'too short',
+  'already exists',
+  'already been submitted',
+  'try again',
+];
+
+/**
+ * Outcomes a submission can be classified as
+ */
+export const SUBMISSION_OUTCOMES = [
+  'confirmed',
+  'probable',
+  'rejected-by-validation',
+  'unknown',
+];
+
+/**
+ * Find which patterns occur in a piece of text
+ * @param {string} text
+ * @param {Array<string>} patterns - Lowercase phrases
+ * @returns {Array<string>} Matched phrases
+ */
+export function matchPatterns(text, patterns) {
+  const lower = (text || '').toLowerCase();
+  return patterns.filter((pattern) => lower.includes(pattern));
+}
+
+/**
+ * Find which patterns occur more often in a page's text than they did
+ * before, so that phrases in its static copy ("Submissions are reviewed
+ * within a week") do not count
+ * @param {string} before - Text before submitting
+ * @param {string} after - Text after submitting
+ * @param {Array<string>} patterns - Lowercase phrases
+ * @returns {Array<string>} Phrases that appeared
+ */
+export function matchNewPatterns(before, after, patterns) {
+  const count = (text, pattern) =>
+    (text || '').toLowerCase().split(pattern).length - 1;
+  return patterns.filter(
+    (pattern) => count(after, pattern) > count(before, pattern)
+  );
+}
+
+/**
+ * Classify what happened after a form was submitted
+ * @param {Object} evidence - Observations collected after clicking submit
+ * @param {string} [evidence.urlBefore] - Page URL before submitting
+ * @param {string} [evidence.urlAfter] - Page URL after submitting
+ * @param {Array<string>} [evidence.successText] - Success phrases that
+ *   appeared on the page after submitting (see matchNewPatterns)
+ * @param {Array<string>} [evidence.toasts] - Text of toast/alert messages
+ * @param {Array<string>} [evidence.invalidFields] - Fields flagged invalid
+ * @param {Array<string>} [evidence.errorMessages] - Visible error messages
+ * @param {number|null} [evidence.responseStatus] - HTTP status of the form POST
+ * @param {boolean} [evidence.formStillPresent] - Whether the form is still on the page
+ * @returns {{outcome: string, reasons: Array<string>}}
+ */
+export function classifySubmissionOutcome(evidence = {}) {
+  const reasons = [];
+  const toastSuccess = (evidence.toasts || []).flatMap((toast) =>
+    matchPatterns(toast, SUCCESS_PATTERNS)
+  );
+  const toastErrors = (evidence.toasts || []).flatMap((toast) =>
+    matchPatterns(toast, ERROR_PATTERNS)
+  );
+  const successText = [...(evidence.successText || []), ...toastSuccess];
+  const invalidFields = evidence.invalidFields || [];
+  const errorMessages = [...(evidence.errorMessages || []), ...toastErrors];
+  const status = evidence.responseStatus ?? null;
+  const urlChanged =
+    !!evidence.urlBefore &&
+    !!evidence.urlAfter &&
+    evidence.urlBefore !== evidence.urlAfter;
+
+  if (invalidFields.length > 0) {
+    reasons.push(`${invalidFields.length} field(s) marked invalid`);
+  }
+  if (errorMessages.length > 0) {
+    reasons.push(`error message: ${errorMessages[0]}`);
+  }
+  if (status !== null && status >= 400 && status < 500) {
+    reasons.push(`form POST returned HTTP ${status}`);
+  }
+
+  // Validation problems win unless the page also confirms success
+  if (reasons.length > 0 && successText.length === 0) {
+    return { outcome: 'rejected-by-validation', reasons };
+  }
+
+  if (status !== null && status >= 500) {
+    return {
+      outcome: 'unknown',
+      reasons: [...reasons, `form POST returned HTTP ${status}`],
+    };
+  }
+
+  if (successText.length > 0) {
+    return {
+      outcome: 'confirmed',
+      reasons: [...reasons, `success text: ${successText[0]}`],
+    };
+  }
+
+  if (urlChanged) {
+    return {
+      outcome: 'probable',
+      reasons: [`URL changed to ${evidence.urlAfter}`],
+    };
+  }
+
+  if (status !== null && status < 400 && evidence.formStillPresent === false) {
+    return {
+      outcome: 'probable',
+      reasons: [`form POST returned HTTP ${status} and the form disappeared`],
+    };
+  }
+
+  return { outcome: 'unknown', reasons: ['no success or error signals found'] };
+}
+
+/**
+ * Check whether the page that confirmed a submission asks us to confirm it
+ * by email first
+ * @param {Object} [evidence] - See classifySubmissionOutcome
+ * @returns {boolean}
+ */
+export function asksForEmailConfirmation(evidence = {}) {
+  return [...(evidence.successText || []), ...(evidence.toasts || [])].some(
+    (text) => matchPatterns(text, EMAIL_CONFIRMATION_PATTERNS).length > 0
+  );
+}
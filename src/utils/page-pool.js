@@ -0,0 +1,184 @@
+/**
+ * Key used to serialize work per host, so a site never sees two of our
+ * pages at once
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function hostKey(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run a task for every item with a fixed number of workers.
+ * Items that share a key never run at the same time. The task should handle
+ * its own errors; a thrown error stops the remaining work.
+ * @param {Array} items
+ * @param {(item: any, workerIndex: number) => Promise<any>} task
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - Number of workers
+ * @param {(item: any) => string|null} [options.keyOf] - Serialization key
+ * @param {(progress: {completed: number, total: number, active: number, item: any, result: any}) => void} [options.onProgress]
+ * @returns {Promise<Array>} Task results in the same order as items
+ */
+export async function runPool(items, task, options = {}) {
+  const { concurrency = 1, keyOf = () => null, onProgress } = options;
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => ({
+    item,
+    index,
+    key: keyOf(item) ?? null,
+  }));
+  const activeKeys = new Set();
+  const waiting = [];
+  let active = 0;
+  let completed = 0;
+  let failed = false;
+
+  const takeNext = () => {
+    const index = pending.findIndex(
+      (entry) => entry.key === null || !activeKeys.has(entry.key)
+    );
+    return index === -1 ? null : pending.splice(index, 1)[0];
+  };
+
+  const wakeWaiting = () => {
+    waiting.splice(0).forEach((resolve) => resolve());
+  };
+
+  const runWorker = async (workerIndex) => {
+    while (pending.length > 0 && !failed) {
+      const entry = takeNext();
+
+      // Everything left is blocked by a host another worker is on
+      if (!entry) {
+        await new Promise((resolve) => waiting.push(resolve));
+        continue;
+      }
+
+      if (entry.key !== null) activeKeys.add(entry.key);
+      active++;
+
+      try {
+        results[entry.index] = await task(entry.item, workerIndex);
+      } catch (error) {
+        failed = true;
+        throw error;
+      } finally {
+        if (entry.key !== null) activeKeys.delete(entry.key);
+        active--;
+        completed++;
+        wakeWaiting();
+      }
+
+      onProgress?.({
+        completed,
+        total: items.length,
+        active,
+        item: entry.item,
+        result: results[entry.index],
+      });
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(
+    Array.from({ length: workerCount }, (_, workerIndex) =>
+      runWorker(workerIndex)
+    )
+  );
+
+  return results;
+}
+
+/**
+ * Default progress reporter for pooled runs
+ * @param {{completed: number, total: number, active: number, item: {name: string}}} progress
+ */
+export function logPoolProgress({ completed, total, active, item }) {
+  const inFlight = active > 0 ? ` (${active} in progress)` : '';
+  console.log(`   📈 [${completed}/${total}] ${item.name} done${inFlight}`);
+}
+
+/**
+ * Give an instance its own page without copying it.
+ * The returned object inherits config, browser and shared state from the
+ * instance, so existing methods that use this.page work unchanged.
+ * @param {Object} instance - SubmissionBot, FieldAnalyzer, SiteInspector...
+ * @param {import('puppeteer').Page} page
+ * @returns {Object}
+ */
+export function scopeToPage(instance, page) {
+  return Object.create(instance, {
+    page: { value: page, writable: true, enumerable: true },
+  });
+}
+
+/**
+ * A set of pages in one browser that work through items concurrently
+ */
+export class PagePool {
+  constructor(browser, config = {}) {
+    this.browser = browser;
+    this.config = {
+      size: Math.max(1, config.size ?? 1),
+      timeout: config.timeout ?? 30000,
+    };
+    this.pages = [];
+    this.borrowedPage = null;
+  }
+
+  /**
+   * Open the pool's pages
+   * @param {import('puppeteer').Page} [existingPage] - Page to reuse as the
+   *   first worker; it is left open by close()
+   */
+  async open(existingPage = null) {
+    if (existingPage) {
+      this.borrowedPage = existingPage;
+      this.pages.push(existingPage);
+    }
+
+    while (this.pages.length < this.config.size) {
+      const page = await this.browser.newPage();
+      await page.setViewport({ width: 1280, height: 800 });
+      await page.setDefaultTimeout(this.config.timeout);
+      this.pages.push(page);
+    }
+  }
+
+  /**
+   * Run a task for every item, one page per worker
+   * @param {Array} items
+   * @param {(item: any, page: import('puppeteer').Page) => Promise<any>} task
+   * @param {Object} [options] - keyOf and onProgress, as for runPool
+   * @returns {Promise<Array>} Task results in the same order as items
+   */
+  async run(items, task, options = {}) {
+    if (this.pages.length === 0) {
+      await this.open();
+    }
+
+    return runPool(
+      items,
+      (item, workerIndex) => task(item, this.pages[workerIndex]),
+      {
+        ...options,
+        concurrency: this.pages.length,
+      }
+    );
+  }
+
+  /**
+   * Close the pages the pool opened
+   */
+  async close() {
+    const owned = this.pages.filter((page) => page !== this.borrowedPage);
+    await Promise.all(owned.map((page) => page.close().catch(() => {})));
+    this.pages = [];
+    this.borrowedPage = null;
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * How a directory charges for a listing
+ */
+export const PRICING_MODELS = ['free', 'freemium', 'paid'];
+
+/**
+ * Checkout and payment-link providers, recognised by the links and
+ * attributes they put on a page
+ */
+export const CHECKOUT_PROVIDERS = [
+  {
+    name: 'stripe',
+    pattern:
+      /buy\.stripe\.com|checkout\.stripe\.com|data-stripe-|stripe-buy-button|stripe-pricing-table/i,
+  },
+  {
+    name: 'lemon-squeezy',
+    pattern: /lemonsqueezy\.com|lemonsqueezy-button|lmsqueezy/i,
+  },
+  {
+    name: 'gumroad',
+    pattern: /gumroad\.com|gum\.co\/|gumroad-button/i,
+  },
+  {
+    name: 'paddle',
+    pattern: /paddle\.com|cdn\.paddle|data-paddle-/i,
+  },
+  {
+    name: 'paypal',
+    pattern: /paypal\.com|paypal\.me|paypalobjects\.com/i,
+  },
+];
+
+const CURRENCIES = { $: 'USD', US$: 'USD', '€': 'EUR', '£': 'GBP' };
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£' };
+
+const PERIODS = { mo: 'month', month: 'month', yr: 'year', year: 'year' };
+
+// "$49", "US$ 1,000", "€9.99/mo", "19 EUR per year"
+const PRICE_PATTERN =
+  /(?:(US\$|[$€£])\s?(\d{1,3}(?:,\d{3})+|\d+(?:[.,]\d{1,2})?)|(\d{1,3}(?:,\d{3})+|\d+(?:[.,]\d{1,2})?)\s?(USD|EUR|GBP|€|£))(?:\s*(?:\/|per|a)\s*(month|mo|year|yr)\b)?/gi;
+
+/**
+ * Text around a price that shows it is the price of a listing, not of a
+ * tool the directory lists
+ */
+const LISTING_PATTERN =
+  /submit|submission|listing|list your|get listed|featured?|sponsor|promot|priority|express|fast[- ]?track|skip the (queue|line)|review|one[- ]time|lifetime|launch|\bplan\b|pricing|\bpay\b/i;
+
+const FREE_PATTERN =
+  /\bfree\s+(listing|submission|plan|option|tier)|\bsubmit\b[^.]{0,30}\bfor free\b|\b(list|submit)\w*\s+(it\s+)?free\b|free of charge|no (cost|charge|fee)s?\b/i;
+
+const PAID_ONLY_PATTERN =
+  /paid (listings?|submissions?) only|only paid|no free (listings?|submissions?|options?)|(submission|listing) fee/i;
+
+/**
+ * Collect what a page or frame shows about paying for a listing, for
+ * classifyPricing
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} page
+ * @returns {Promise<{checkouts: Array<string>, snippets: Array<string>}>}
+ *   checkouts holds links, frame sources and element markup that point
+ *   to a checkout provider; snippets holds short texts mentioning a price
+ *   or a free or paid listing
+ */
+export async function readPricingSignals(page) {
+  return page.evaluate(
+    (patterns) => {
+      const checkout = new RegExp(patterns.checkout, 'i');
+      const mention = new RegExp(patterns.mention, 'i');
+
+      const checkouts = [
+        ...Array.from(document.querySelectorAll('a[href]'), (a) => a.href),
+        ...Array.from(document.querySelectorAll('form[action]'), (form) =>
+          form.getAttribute('action')
+        ),
+        // Not scripts: sites load Stripe.js for their own subscriptions
+        ...Array.from(document.querySelectorAll('iframe[src]'), (iframe) =>
+          iframe.getAttribute('src')
+        ),
+        ...Array.from(
+          document.querySelectorAll(
+            '[data-stripe-product-id], stripe-buy-button, stripe-pricing-table, .lemonsqueezy-button, .gumroad-button, [data-paddle-product]'
+          ),
+          (el) => el.outerHTML.slice(0, 300)
+        ),
+      ].filter((value) => value && checkout.test(value));
+
+      // Only short texts: a price somewhere in a long block could be the
+      // price of anything
+      const snippets = Array.from(
+        document.querySelectorAll(
+          'a, button, label, li, p, td, th, h1, h2, h3, h4, span, [class*="price"], [class*="plan"]'
+        )
+      )
+        .map((el) => el.innerText?.replace(/\s+/g, ' ').trim() || '')
+        .filter((text) => text.length <= 200 && mention.test(text));
+
+      return {
+        checkouts: [...new Set(checkouts)].slice(0, 20),
+        snippets: [...new Set(snippets)].slice(0, 40),
+      };
+    },
+    {
+      checkout: CHECKOUT_PROVIDERS.map(({ pattern }) => pattern.source).join(
+        '|'
+      ),
+      mention: [PRICE_PATTERN, FREE_PATTERN, PAID_ONLY_PATTERN]
+        .map(({ source }) => source)
+        .join('|'),
+    }
+  );
+}
+
+/**
+ * Name the checkout providers a piece of HTML or a URL points to
+ * @param {string} text
+ * @returns {Array<string>} Provider names from CHECKOUT_PROVIDERS
+ */
+export function findCheckoutProviders(text) {
+  return CHECKOUT_PROVIDERS.filter(({ pattern }) =>
+    pattern.test(text || '')
+  ).map(({ name }) => name);
+}
+
+/**
+ * Find the prices in a text
+ * @param {string} text
+ * @returns {Array<{amount: number, currency: string, period: string|null}>}
+ *   period is month or year for subscriptions, null for one-time prices
+ */
+export function parsePrices(text) {
+  return Array.from((text || '').matchAll(PRICE_PATTERN), (match) => {
+    const [, symbol, before, after, suffix, period] = match;
+    const number = before ?? after;
+    // "1,000" groups thousands; "9,99" is a decimal comma
+    const amount = /,\d{3}$/.test(number)
+      ? Number(number.replace(/,/g, ''))
+      : Number(number.replace(',', '.'));
+
+    return {
+      amount,
+      currency:
+        CURRENCIES[symbol] || CURRENCIES[suffix] || suffix.toUpperCase(),
+      period: PERIODS[period?.toLowerCase()] ?? null,
+    };
+  });
+}
+
+/**
+ * Decide whether a directory lists for free, for a price, or both
+ * @param {Object} signals - From readPricingSignals; checkouts may also
+ *   hold the CSV's submit_button HTML
+ * @param {string} [currency='USD'] - Currency to prefer for price, the
+ *   budget's
+ * @returns {{model: string, price: Object|null, prices: Array<Object>,
+ *   providers: Array<string>, evidence: Array<string>}|null} model is one
+ *   of PRICING_MODELS; price is the cheapest paid option in currency, or
+ *   in any currency when there is none (see parsePrices); prices holds the
+ *   cheapest in each currency; null when the page says nothing about
+ *   pricing
+ */
+export function classifyPricing(signals, currency = 'USD') {
+  const checkouts = signals.checkouts || [];
+  const snippets = signals.snippets || [];
+
+  const providers = [
+    ...new Set(checkouts.flatMap((text) => findCheckoutProviders(text))),
+  ];
+  const listingPrices = snippets
+    .filter((text) => LISTING_PATTERN.test(text))
+    .flatMap((text) => parsePrices(text).map((price) => ({ price, text })));
+  const paidPrices = listingPrices.filter(({ price }) => price.amount > 0);
+
+  const freeEvidence = [
+    ...snippets.filter((text) => FREE_PATTERN.test(text)),
+    ...listingPrices
+      .filter(({ price }) => price.amount === 0)
+      .map(({ text }) => text),
+  ];
+  const paidEvidence = [
+    ...providers.map((name) => `${name} checkout`),
+    ...snippets.filter((text) => PAID_ONLY_PATTERN.test(text)),
+    ...paidPrices.map(({ text }) => text),
+  ];
+
+  const isFree = freeEvidence.length > 0;
+  const isPaid = paidEvidence.length > 0;
+  if (!isFree && !isPaid) {
+    return null;
+  }
+
+  // Amounts in different currencies cannot be compared
+  const prices = paidPrices
+    .map(({ price }) => price)
+    .sort((a, b) => a.amount - b.amount)
+    .filter(
+      (price, index, sorted) =>
+        sorted.findIndex(({ currency: other }) => other === price.currency) ===
+        index
+    );
+  const cheapest =
+    prices.find((price) => price.currency === currency.toUpperCase()) ??
+    prices[0];
+  return {
+    model: isPaid ? (isFree ? 'freemium' : 'paid') : 'free',
+    price: cheapest ?? null,
+    prices,
+    providers,
+    evidence: [...new Set([...paidEvidence, ...freeEvidence])].slice(0, 5),
+  };
+}
+
+/**
+ * Detect how a directory charges for a listing, across a page's frames
+ * @param {Array<import('puppeteer').Frame>} frames
+ * @param {Object} [options]
+ * @param {string} [options.submitButton] - The CSV's submit_button HTML,
+ *   which often holds the checkout link
+ * @param {string} [options.currency] - Currency to prefer, see
+ *   classifyPricing
+ * @returns {Promise<Object|null>} See classifyPricing
+ */
+export async function detectPricing(frames, options = {}) {
+  const signals = { checkouts: [], snippets: [] };
+  if (options.submitButton) {
+    signals.checkouts.push(options.submitButton);
+  }
+  for (const frame of frames) {
+    // Frames can detach while we read them; skip those
+    const frameSignals = await readPricingSignals(frame).catch(() => null);
+    signals.checkouts.push(...(frameSignals?.checkouts || []));
+    signals.snippets.push(...(frameSignals?.snippets || []));
+  }
+  return classifyPricing(signals, options.currency);
+}
+
+/**
+ * Format a price for logs: "$49", "€9/month", "120 CHF"
+ * @param {Object|null} price - From parsePrices
+ * @returns {string}
+ */
+export function describePrice(price) {
+  if (!price) {
+    return 'price unknown';
+  }
+  const symbol = CURRENCY_SYMBOLS[price.currency];
+  const amount = symbol
+    ? `${symbol}${price.amount}`
+    : `${price.amount} ${price.currency}`;
+  return price.period ? `${amount}/${price.period}` : amount;
+}
+
+/**
+ * Describe a directory's pricing for summaries
+ * @param {Object|null} pricing - From classifyPricing
+ * @returns {string}
+ */
+export function describePricing(pricing) {
+  if (!pricing) {
+    return 'unknown';
+  }
+  const via =
+    pricing.providers.length > 0 ? ` via ${pricing.providers.join(', ')}` : '';
+
+  switch (pricing.model) {
+    case 'paid':
+      return `paid (${describePrice(pricing.price)}${via})`;
+    case 'freemium':
+      return pricing.price
+        ? `free, or ${describePrice(pricing.price)} for more${via}`
+        : `free, with paid options${via}`;
+    default:
+      return 'free';
+  }
+}
+
+/**
+ * Decide what to do with a directory given its pricing and a budget.
+ * Currencies are not converted, so a price in another currency than the
+ * budget's cannot be checked and is skipped like an unknown price.
+ * @param {Object|null} pricing - From classifyPricing
+ * @param {number|null} budget - Most to pay for a listing; null for no limit
+ * @param {string} [currency='USD'] - The budget's currency code
+ * @returns {{action: string, reason: string|null}} action is submit (free,
+ *   or a free option exists), flag (paid, within budget: submit, then pay
+ *   by hand) or skip (paid, over budget, price unknown or in another
+ *   currency)
+ */
+export function checkBudget(pricing, budget, currency = 'USD') {
+  if (pricing?.model !== 'paid') {
+    return { action: 'submit', reason: null };
+  }
+
+  // Pages can list the same listing in several currencies
+  const code = currency.toUpperCase();
+  const listing =
+    pricing.prices?.find((option) => option.currency === code) ?? pricing.price;
+
+  const price = describePrice(listing);
+  if (budget === null || budget === undefined) {
+    return { action: 'flag', reason: `Paid listing (${price})` };
+  }
+  if (!listing) {
+    return {
+      action: 'skip',
+      reason: `Paid listing, price unknown (budget ${budget})`,
+    };
+  }
+  if (listing.currency !== code) {
+    return {
+      action: 'skip',
+      reason: `Paid listing (${price}) not in ${code}, the budget's currency`,
+    };
+  }
+  if (listing.amount > budget) {
+    return {
+      action: 'skip',
+      reason: `Paid listing (${price}) over budget (${budget})`,
+    };
+  }
+  return { action: 'flag', reason: `Paid listing (${price}) within budget` };
+}
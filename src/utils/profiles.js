@@ -0,0 +1,346 @@
+import { cp, mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { ASSETS_DIR } from './assets.js';
+import {
+  getEntryStatus,
+  parseDirectoriesCSV,
+  updateDirectoryStatuses,
+} from './csv-parser.js';
+import { FIELD_OVERRIDES_PATH } from './field-overrides.js';
+import { JOURNAL_PATH } from './run-journal.js';
+import { CREDENTIALS_PATH, SESSIONS_DIR } from './sessions.js';
+import {
+  STATUS_HISTORY_PATH,
+  loadStatusHistory,
+  normalizeStatus,
+  saveStatusHistory,
+  transitionStatus,
+} from './submission-status.js';
+
+/**
+ * Default location of the profile list
+ */
+export const PROFILES_PATH = 'profiles.json';
+
+/**
+ * Directory holding one folder of files per profile
+ */
+export const PROFILES_DIR = 'profiles';
+
+/**
+ * The profile whose files sit at the top of the project, as they did
+ * before there were profiles. Its statuses are the CSV's Status column.
+ */
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * Profile names double as folder names and --profile values
+ */
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+
+/**
+ * Files a cloned profile starts with; statuses, history, sessions and
+ * results start empty
+ */
+const CLONED_FILES = ['values', 'assets', 'credentials', 'overrides'];
+
+/**
+ * Statuses that describe the directory rather than a submission to it,
+ * so they hold for every profile
+ */
+const SHARED_STATUSES = ['dead'];
+
+/**
+ * Read the profile list:
+ * { "active": "acme", "profiles": { "default": {}, "acme": { "createdAt": "..." } } }
+ * @param {string} [filePath]
+ * @returns {Promise<Object>} The list; only the default profile when the
+ *   file does not exist
+ */
+export async function loadProfiles(filePath = PROFILES_PATH) {
+  let store = {};
+  try {
+    store = JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read profiles: ${error.message}`);
+    }
+  }
+
+  return {
+    active: store.active || DEFAULT_PROFILE,
+    profiles: { [DEFAULT_PROFILE]: {}, ...store.profiles },
+  };
+}
+
+/**
+ * Save the profile list
+ * @param {Object} store - From loadProfiles
+ * @param {string} [filePath]
+ */
+export async function saveProfiles(store, filePath = PROFILES_PATH) {
+  await writeFile(filePath, JSON.stringify(store, null, 2));
+}
+
+/**
+ * Where a profile keeps its files
+ * @param {string} [name]
+ * @param {string} [dir] - Folder holding the profiles
+ * @returns {Object<string, string|null>} Paths of its values, assets,
+ *   credentials, sessions, overrides, statuses (null for the default
+ *   profile, which uses the CSV), history, journal and results
+ */
+export function getProfilePaths(name = DEFAULT_PROFILE, dir = PROFILES_DIR) {
+  if (name === DEFAULT_PROFILE) {
+    return {
+      values: 'generated-values.json',
+      assets: ASSETS_DIR,
+      credentials: CREDENTIALS_PATH,
+      sessions: SESSIONS_DIR,
+      overrides: FIELD_OVERRIDES_PATH,
+      statuses: null,
+      history: STATUS_HISTORY_PATH,
+      journal: JOURNAL_PATH,
+      results: 'submission-results.json',
+    };
+  }
+
+  const root = path.join(dir, name);
+  return {
+    values: path.join(root, 'generated-values.json'),
+    assets: path.join(root, ASSETS_DIR),
+    credentials: path.join(root, CREDENTIALS_PATH),
+    sessions: path.join(root, SESSIONS_DIR),
+    overrides: path.join(root, FIELD_OVERRIDES_PATH),
+    statuses: path.join(root, 'directory-status.json'),
+    history: path.join(root, STATUS_HISTORY_PATH),
+    journal: path.join(root, JOURNAL_PATH),
+    results: path.join(root, 'submission-results.json'),
+  };
+}
+
+/**
+ * Add a profile to the list
+ * @param {Object} store - From loadProfiles (mutated)
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} [options.clonedFrom] - Profile it was copied from
+ * @param {string} [options.at] - ISO timestamp of its creation
+ * @returns {Object} The new profile's entry
+ */
+export function createProfile(store, name, options = {}) {
+  if (!PROFILE_NAME_PATTERN.test(name || '')) {
+    throw new Error(
+      `Invalid profile name "${name}": use letters, digits, - and _`
+    );
+  }
+  // Folder names clash on case-insensitive file systems
+  const taken = Object.keys(store.profiles).find(
+    (existing) => existing.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) {
+    throw new Error(`Profile already exists: ${taken}`);
+  }
+
+  const profile = { createdAt: options.at || new Date().toISOString() };
+  if (options.clonedFrom) {
+    profile.clonedFrom = options.clonedFrom;
+  }
+  store.profiles[name] = profile;
+  return profile;
+}
+
+/**
+ * Make a profile the active one
+ * @param {Object} store - From loadProfiles (mutated)
+ * @param {string} name
+ */
+export function switchProfile(store, name) {
+  if (!store.profiles[name]) {
+    throw new Error(`Unknown profile: ${name}`);
+  }
+  store.active = name;
+}
+
+/**
+ * Create a profile as a copy of another one's values, assets, credentials
+ * and overrides
+ * @param {Object} store - From loadProfiles (mutated)
+ * @param {string} from - Existing profile
+ * @param {string} to - New profile
+ * @param {string} [dir] - Folder holding the profiles
+ * @returns {Promise<Object>} The new profile's entry
+ */
+export async function cloneProfile(store, from, to, dir = PROFILES_DIR) {
+  if (!store.profiles[from]) {
+    throw new Error(`Unknown profile: ${from}`);
+  }
+  const profile = createProfile(store, to, { clonedFrom: from });
+  const source = getProfilePaths(from, dir);
+  const target = getProfilePaths(to, dir);
+
+  await mkdir(path.join(dir, to), { recursive: true });
+  for (const key of CLONED_FILES) {
+    try {
+      await cp(source[key], target[key], { recursive: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to copy ${source[key]}: ${error.message}`);
+      }
+    }
+  }
+  return profile;
+}
+
+/**
+ * Read a profile's submission data from its values file
+ * @param {Object} paths - From getProfilePaths
+ * @returns {Promise<Object|null>} The smartValues, or null if the profile
+ *   has none yet
+ */
+export async function readProfileValues(paths) {
+  try {
+    return (
+      JSON.parse(await readFile(paths.values, 'utf-8')).smartValues || null
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read ${paths.values}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a profile's directory statuses
+ * @param {string} filePath
+ * @returns {Promise<Object>} Map of directory name to {status, updated_at}
+ */
+export async function loadProfileStatuses(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read profile statuses: ${error.message}`);
+  }
+}
+
+/**
+ * Give directories a profile's statuses in place of the CSV's. Directories
+ * the profile has not tried yet are pending, unless the CSV says they are
+ * gone.
+ * @param {Array<Object>} directories - From parseDirectoriesCSV
+ * @param {Object} statuses - From loadProfileStatuses
+ * @returns {Array<Object>} Copies of the directories
+ */
+export function applyProfileStatuses(directories, statuses) {
+  return directories.map((dir) => {
+    const saved = statuses[dir.name];
+    if (saved) {
+      return { ...dir, status: saved.status, updated_at: saved.updated_at };
+    }
+    return SHARED_STATUSES.includes(normalizeStatus(dir.status))
+      ? dir
+      : { ...dir, status: 'pending', updated_at: '' };
+  });
+}
+
+/**
+ * Apply submission results to a profile's directory statuses, as
+ * updateDirectoryStatuses does for the CSV
+ * @param {string} filePath - The profile's statuses file
+ * @param {Array<Object>} results - See updateDirectoryStatuses
+ * @param {Object} [options]
+ * @param {string} [options.historyPath] - Status history file to append
+ *   transitions to
+ * @returns {Promise<number>} Number of directories updated
+ */
+export async function updateProfileStatuses(filePath, results, options = {}) {
+  const statuses = await loadProfileStatuses(filePath);
+  const history = options.historyPath
+    ? await loadStatusHistory(options.historyPath)
+    : null;
+
+  let updated = 0;
+  results.forEach((entry) => {
+    const dir = { name: entry.name, ...statuses[entry.name] };
+    const at = entry.timestamp || new Date().toISOString();
+    const status = getEntryStatus(entry, dir.status);
+    if (!status && !entry.result) return;
+    if (status) {
+      try {
+        transitionStatus(dir, status, {
+          history,
+          at,
+          note: entry.note ?? entry.result?.message,
+        });
+      } catch {
+        // Disallowed transition - keep the current status
+      }
+    }
+    statuses[entry.name] = {
+      status: normalizeStatus(dir.status),
+      updated_at: at,
+    };
+    updated++;
+  });
+
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(statuses, null, 2));
+  if (history) {
+    await saveStatusHistory(history, options.historyPath);
+  }
+  return updated;
+}
+
+/**
+ * Read the directories with a profile's statuses
+ * @param {string} csvPath
+ * @param {Object} paths - From getProfilePaths
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadProfileDirectories(csvPath, paths) {
+  const directories = await parseDirectoriesCSV(csvPath);
+  return paths.statuses
+    ? applyProfileStatuses(
+        directories,
+        await loadProfileStatuses(paths.statuses)
+      )
+    : directories;
+}
+
+/**
+ * Record submission results as a profile's statuses: in the CSV for the
+ * default profile, in the profile's statuses file for the others
+ * @param {string} csvPath
+ * @param {Object} paths - From getProfilePaths
+ * @param {Array<Object>} results
+ * @returns {Promise<number>} Number of directories updated
+ */
+export async function recordProfileResults(csvPath, paths, results) {
+  const options = { historyPath: paths.history };
+  return paths.statuses
+    ? updateProfileStatuses(paths.statuses, results, options)
+    : updateDirectoryStatuses(csvPath, results, options);
+}
+
+/**
+ * Make a function that records results as a profile's statuses (see
+ * recordProfileResults) one call at a time, for pool workers that start
+ * and finish directories side by side
+ * @param {string} csvPath
+ * @param {Object} paths - From getProfilePaths
+ * @returns {(results: Array<Object>) => Promise<number>}
+ */
+export function createStatusRecorder(csvPath, paths) {
+  let writes = Promise.resolve();
+  return (results) => {
+    const recorded = writes.then(() =>
+      recordProfileResults(csvPath, paths, results)
+    );
+    writes = recorded.catch(() => {});
+    return recorded;
+  };
+}
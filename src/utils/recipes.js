@@ -0,0 +1,108 @@
+/**
+ * Recipe actions and the keys each one needs. Keys grouped in an inner
+ * array are alternatives: one of them is enough.
+ */
+export const RECIPE_ACTIONS = {
+  goto: [['url']],
+  click: [['selector', 'text', 'role']],
+  fill: [
+    ['selector', 'text', 'role'],
+    ['field', 'value'],
+  ],
+  select: [
+    ['selector', 'text', 'role'],
+    ['field', 'value'],
+  ],
+  upload: [['selector'], ['asset']],
+  check: [['selector', 'text', 'role']],
+  'wait-for': [['selector', 'text', 'navigation', 'delay']],
+  scroll: [],
+  'switch-frame': [['frame', 'selector', 'top']],
+  'assert-text': [['text']],
+};
+
+/**
+ * Turn a step's target into a selector Puppeteer understands. A CSS
+ * selector wins; otherwise the element is found by ARIA role (and
+ * accessible name) or by the text it shows.
+ * @param {{selector?: string, text?: string, role?: string, name?: string}} step
+ * @returns {string|null} null when the step has no target
+ */
+export function toRecipeSelector(step) {
+  if (step.selector) {
+    return step.selector;
+  }
+  if (step.role) {
+    const name = step.name ?? step.text;
+    return name
+      ? `::-p-aria([name=${JSON.stringify(name)}][role="${step.role}"])`
+      : `::-p-aria([role="${step.role}"])`;
+  }
+  if (step.text) {
+    return `::-p-text(${JSON.stringify(step.text)})`;
+  }
+  return null;
+}
+
+/**
+ * Describe a step for logs and failure messages
+ * @param {Object} step
+ * @returns {string}
+ */
+export function describeRecipeStep(step) {
+  const target =
+    step.url ||
+    step.frame ||
+    (step.top && 'top document') ||
+    (step.text && `"${step.text}"`) ||
+    (step.role && `${step.role}${step.name ? ` "${step.name}"` : ''}`) ||
+    step.selector ||
+    (step.navigation && 'navigation') ||
+    (step.delay !== undefined && `${step.delay}ms`) ||
+    '';
+  const value = step.field || step.asset;
+
+  return [step.action, target, value && `← ${value}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Check a site config's recipe for mistakes before running it
+ * @param {Array<Object>} [recipe] - The `recipe` section of a site config
+ * @returns {Array<string>} Problems found; empty when the recipe is usable
+ */
+export function validateRecipe(recipe) {
+  if (recipe === undefined) {
+    return [];
+  }
+  if (!Array.isArray(recipe) || recipe.length === 0) {
+    return ['recipe must be a non-empty array'];
+  }
+
+  const errors = [];
+  recipe.forEach((step, index) => {
+    const label = `Recipe step ${index + 1}`;
+    const required = RECIPE_ACTIONS[step?.action];
+
+    if (!required) {
+      errors.push(`${label}: unknown action "${step?.action}"`);
+      return;
+    }
+    required.forEach((keys) => {
+      if (!keys.some((key) => step[key] !== undefined)) {
+        errors.push(`${label} (${step.action}): needs ${keys.join(' or ')}`);
+      }
+    });
+    if (step.submit && step.action !== 'click') {
+      errors.push(`${label} (${step.action}): only a click can be the submit`);
+    }
+  });
+
+  const submits = recipe.filter((step) => step?.submit).length;
+  if (submits !== 1) {
+    errors.push(
+      `recipe needs exactly one click marked "submit": true (found ${submits})`
+    );
+  }
+
+  return errors;
+}
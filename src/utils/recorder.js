@@ -0,0 +1,401 @@
+import path from 'path';
+import { getAssetKey } from './assets.js';
+
+/**
+ * Name of the page function the recording script reports events through
+ */
+const RECORDER_BINDING = '__directoriesRecordEvent';
+
+// Clicks on these are recorded as fill, select and check steps instead
+const FORM_CONTROL_TAGS = ['input', 'textarea', 'select', 'label'];
+
+// Ids that frameworks generate per page load
+const GENERATED_ID_PATTERN = /\d{3,}|^:r|^(react|headlessui|radix|mui)-/i;
+
+/**
+ * Runs in every document of the recorded page and reports what the user
+ * does: clicks, typed values (on change, so once per field), checkbox and
+ * select changes, chosen files and form submits
+ * @param {Object} settings
+ * @param {string} settings.binding - Name of the exposed reporting function
+ * @param {string} settings.generatedIdPattern - Source of
+ *   GENERATED_ID_PATTERN
+ */
+function recordInPage({ binding, generatedIdPattern }) {
+  const generatedId = new RegExp(generatedIdPattern, 'i');
+  const frame =
+    window === window.top ? null : `${location.origin}${location.pathname}`;
+  const report = (event) =>
+    window[binding]?.({ ...event, frame, url: location.href, at: Date.now() });
+
+  const selectorOf = (element) => {
+    const tag = element.tagName.toLowerCase();
+    if (element.id && !generatedId.test(element.id)) {
+      return {
+        selector: /^[A-Za-z][\w-]*$/.test(element.id)
+          ? `#${element.id}`
+          : `[id="${element.id}"]`,
+        stable: true,
+      };
+    }
+    if (element.getAttribute('name')) {
+      return {
+        selector: `${tag}[name="${element.getAttribute('name')}"]`,
+        stable: true,
+      };
+    }
+    for (const attribute of ['data-testid', 'data-qa', 'data-test']) {
+      if (element.getAttribute(attribute)) {
+        return {
+          selector: `[${attribute}="${element.getAttribute(attribute)}"]`,
+          stable: true,
+        };
+      }
+    }
+
+    // Position under the nearest ancestor with an id
+    const parts = [];
+    let current = element;
+    while (current && current !== document.body && parts.length < 5) {
+      if (current !== element && current.id) {
+        parts.unshift(`#${current.id}`);
+        break;
+      }
+      const sameTag = Array.from(current.parentElement?.children || []).filter(
+        (sibling) => sibling.tagName === current.tagName
+      );
+      const name = current.tagName.toLowerCase();
+      parts.unshift(
+        sameTag.length > 1
+          ? `${name}:nth-of-type(${sameTag.indexOf(current) + 1})`
+          : name
+      );
+      current = current.parentElement;
+    }
+    return { selector: parts.join(' > '), stable: false };
+  };
+
+  const describe = (element) => ({
+    ...selectorOf(element),
+    tag: element.tagName.toLowerCase(),
+    inputType: element.getAttribute('type') || '',
+    name: element.getAttribute('name') || '',
+    id: element.id || '',
+    role: element.getAttribute('role') || '',
+    label: (
+      element.getAttribute('aria-label') ||
+      element.labels?.[0]?.textContent ||
+      element.getAttribute('placeholder') ||
+      ''
+    ).trim(),
+    text: (element.innerText || element.value || '').trim().slice(0, 80),
+    editable: element.isContentEditable,
+  });
+
+  document.addEventListener(
+    'click',
+    (event) => {
+      const element = event.target.closest(
+        'button, a, input, select, textarea, label, [role], [contenteditable="true"]'
+      );
+      if (element) {
+        report({ type: 'click', ...describe(element) });
+      }
+    },
+    true
+  );
+
+  document.addEventListener(
+    'change',
+    (event) => {
+      const element = event.target;
+      const info = describe(element);
+      if (info.inputType === 'file') {
+        report({
+          type: 'upload',
+          ...info,
+          files: Array.from(element.files || []).map((file) => file.name),
+        });
+      } else if (['checkbox', 'radio'].includes(info.inputType)) {
+        report({ type: 'check', ...info, checked: element.checked });
+      } else if (info.tag === 'select') {
+        report({
+          type: 'select',
+          ...info,
+          value: element.selectedOptions[0]?.textContent.trim() || '',
+        });
+      } else if (['input', 'textarea'].includes(info.tag)) {
+        report({ type: 'fill', ...info, value: element.value });
+      }
+    },
+    true
+  );
+
+  // Editors never fire change; the last input event holds the content
+  document.addEventListener(
+    'input',
+    (event) => {
+      const element = event.target.closest?.('[contenteditable="true"]');
+      if (element) {
+        report({
+          type: 'fill',
+          ...describe(element),
+          value: element.innerText,
+        });
+      }
+    },
+    true
+  );
+
+  document.addEventListener(
+    'submit',
+    (event) => report({ type: 'submit', ...describe(event.target) }),
+    true
+  );
+}
+
+/**
+ * Start recording what the user does on a page, in every frame and across
+ * navigations. Call before navigating to the page.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<{events: Array<Object>, stop: () => Promise<void>}>}
+ *   events fills up as the user works; stop ends the recording
+ */
+export async function startRecording(page) {
+  const events = [];
+  await page.exposeFunction(RECORDER_BINDING, (event) => {
+    events.push(event);
+  });
+
+  const { identifier } = await page.evaluateOnNewDocument(recordInPage, {
+    binding: RECORDER_BINDING,
+    generatedIdPattern: GENERATED_ID_PATTERN.source,
+  });
+
+  return {
+    events,
+    stop: async () => {
+      await page.removeScriptToEvaluateOnNewDocument(identifier);
+      await page.removeExposedFunction(RECORDER_BINDING);
+    },
+  };
+}
+
+/**
+ * Find the submission field key whose value the user typed
+ * @param {string} value
+ * @param {Object} submissionData
+ * @returns {string|null}
+ */
+export function findSubmissionField(value, submissionData = {}) {
+  const normalize = (text) =>
+    String(text ?? '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  const wanted = normalize(value);
+  if (!wanted) {
+    return null;
+  }
+
+  const match = Object.entries(submissionData).find(
+    ([, candidate]) => normalize(candidate) === wanted
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Work out how the form was sent: the last button click before the first
+ * submit event (or the last click, for forms sent by script). When fields
+ * were changed after that click, or nothing was clicked, the form was sent
+ * with Enter and the submit event stands in for the click.
+ * @param {Array<Object>} events
+ * @returns {{index: number, byEnter: boolean}} index is the submitting
+ *   event, -1 when the form was never sent
+ */
+function findSubmit(events) {
+  const submitAt = events.findIndex((event) => event.type === 'submit');
+  const before = submitAt === -1 ? events : events.slice(0, submitAt);
+  const clickAt = before.findLastIndex(
+    (event) => event.type === 'click' && !isFormControl(event)
+  );
+  const changedAfter = before
+    .slice(clickAt + 1)
+    .some((event) => event.type !== 'click');
+
+  if (submitAt !== -1 && (clickAt === -1 || changedAfter)) {
+    return { index: submitAt, byEnter: true };
+  }
+  return { index: clickAt, byEnter: false };
+}
+
+/**
+ * @param {Object} event
+ * @returns {boolean} The event happened on a field rather than a button
+ */
+function isFormControl(event) {
+  return (
+    event.editable ||
+    (FORM_CONTROL_TAGS.includes(event.tag) &&
+      !['submit', 'button', 'image'].includes(event.inputType))
+  );
+}
+
+/**
+ * Where a recipe step should find an element: a stable selector, or the
+ * text of a button or link, or the element's position
+ * @param {Object} event
+ * @returns {Object}
+ */
+function targetOf(event) {
+  if (event.stable) {
+    return { selector: event.selector };
+  }
+  if (event.text && event.text.length <= 40 && !event.text.includes('\n')) {
+    return { text: event.text };
+  }
+  return { selector: event.selector };
+}
+
+/**
+ * Turn recorded events into a recipe (see validateRecipe). Typed values
+ * are mapped back to submission field keys where they match, so the
+ * recipe works with other submission data; logins are never stored, but
+ * referenced as the username and password fields.
+ * Nothing after the submit is kept.
+ * @param {Array<Object>} events - From startRecording
+ * @param {Object} [submissionData] - Values the user was asked to type
+ * @param {Object} [options]
+ * @param {Object} [options.assets] - Local asset paths by key, to tell
+ *   which asset a chosen file was
+ * @param {{username: string, password: string}|null} [options.credentials]
+ *   - The directory's login (see getCredentials), to tell it when typed
+ * @returns {Array<Object>} Recipe steps
+ */
+export function buildRecipeFromEvents(
+  events,
+  submissionData = {},
+  options = {}
+) {
+  const { assets = {}, credentials } = options;
+  const { index: submitAt, byEnter } = findSubmit(events);
+  const recorded = submitAt === -1 ? events : events.slice(0, submitAt + 1);
+  const steps = [];
+  let frame = null;
+
+  const addStep = (event, step) => {
+    if ((event.frame || null) !== frame) {
+      frame = event.frame || null;
+      steps.push(
+        frame
+          ? { action: 'switch-frame', frame }
+          : { action: 'switch-frame', top: true }
+      );
+    }
+    steps.push(step);
+  };
+
+  recorded.forEach((event, index) => {
+    switch (event.type) {
+      case 'click': {
+        if (isFormControl(event)) {
+          return;
+        }
+        const step = { action: 'click', ...targetOf(event) };
+        const next = recorded[index + 1];
+        if (next && stripHash(next.url) !== stripHash(event.url)) {
+          step.navigation = true;
+        }
+        if (index === submitAt) {
+          step.submit = true;
+        }
+        addStep(event, step);
+        return;
+      }
+
+      case 'fill': {
+        // Typing into the same field again replaces the earlier value
+        const earlier = steps.find(
+          (step) => step.action === 'fill' && step.selector === event.selector
+        );
+        const step = earlier || { action: 'fill', selector: event.selector };
+        delete step.field;
+        delete step.value;
+
+        const login = findSubmissionField(event.value, credentials ?? {});
+        if (event.inputType === 'password' || login === 'password') {
+          // Typed from the directory's credentials when the recipe runs
+          step.field = 'password';
+          step.type = 'password';
+        } else if (login === 'username') {
+          step.field = 'username';
+        } else {
+          const field = findSubmissionField(event.value, submissionData);
+          if (field) {
+            step.field = field;
+          } else {
+            step.value = event.value;
+          }
+        }
+        if (event.editable) {
+          step.type = 'richtext';
+        } else if (event.tag === 'textarea') {
+          step.type = 'textarea';
+        }
+        if (!earlier) {
+          addStep(event, step);
+        }
+        return;
+      }
+
+      case 'select': {
+        const field = findSubmissionField(event.value, submissionData);
+        addStep(event, {
+          action: 'select',
+          selector: event.selector,
+          ...(field ? { field } : { value: event.value }),
+        });
+        return;
+      }
+
+      case 'check':
+        addStep(event, {
+          action: 'check',
+          selector: event.selector,
+          checked: event.checked,
+        });
+        return;
+
+      case 'upload': {
+        const asset =
+          Object.keys(assets).find((key) =>
+            event.files?.includes(path.basename(assets[key] || ''))
+          ) || getAssetKey(event);
+        addStep(event, { action: 'upload', selector: event.selector, asset });
+        return;
+      }
+
+      case 'submit':
+        if (byEnter) {
+          addStep(event, {
+            action: 'click',
+            selector: `${event.selector} [type="submit"], ${event.selector} button:not([type])`,
+            submit: true,
+          });
+        }
+        return;
+
+      default:
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * @param {string} url
+ * @returns {string} The URL without its hash
+ */
+function stripHash(url) {
+  return (url || '').split('#')[0];
+}
@@ -0,0 +1,94 @@
+/**
+ * Reasons a submission attempt can fail
+ */
+export const FAILURE_REASONS = [
+  'navigation-timeout',
+  'dns-ssl-error',
+  'selector-missing',
+  'validation-error',
+  'captcha',
+  'blocked',
+  'login-required',
+  'paid-only',
+  'unknown',
+];
+
+/**
+ * Default retry policy. Only failures listed in retryOn are retried.
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 5000,
+  maxDelay: 60000,
+  factor: 2,
+  retryOn: ['navigation-timeout', 'dns-ssl-error', 'unknown'],
+};
+
+/**
+ * Message patterns for each failure reason, checked in order
+ */
+const FAILURE_PATTERNS = [
+  ['captcha', /captcha|turnstile/i],
+  [
+    'blocked',
+    /\b(403|429)\b|blocked|access denied|forbidden|too many requests/i,
+  ],
+  [
+    'dns-ssl-error',
+    /ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN|ERR_CERT|ERR_SSL|SSL|certificate|ERR_CONNECTION|ECONNREFUSED|ECONNRESET|ERR_ADDRESS_UNREACHABLE/i,
+  ],
+  [
+    'selector-missing',
+    /not found|could not find|no node found|no element found|failed to find|waiting for selector/i,
+  ],
+  ['navigation-timeout', /timeout|timed out/i],
+];
+
+/**
+ * Classify why a submission attempt failed
+ * @param {Object|Error|string} failure - Bot result, thrown error or message
+ * @returns {string} One of FAILURE_REASONS
+ */
+export function classifyFailure(failure) {
+  if (
+    failure?.failureReason &&
+    FAILURE_REASONS.includes(failure.failureReason)
+  ) {
+    return failure.failureReason;
+  }
+  if (failure?.verification?.outcome === 'rejected-by-validation') {
+    return 'validation-error';
+  }
+
+  const message =
+    typeof failure === 'string' ? failure : failure?.message || '';
+  const match = FAILURE_PATTERNS.find(([, pattern]) => pattern.test(message));
+
+  return match ? match[0] : 'unknown';
+}
+
+/**
+ * Delay before the next attempt, growing exponentially
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} [options] - Retry options (baseDelay, maxDelay, factor)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, options = {}) {
+  const { baseDelay, maxDelay, factor } = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...options,
+  };
+  return Math.min(maxDelay, baseDelay * factor ** (attempt - 1));
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * @param {string} reason - Failure reason from classifyFailure
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} [options] - Retry options (maxAttempts, retryOn)
+ * @returns {boolean}
+ */
+export function shouldRetry(reason, attempt, options = {}) {
+  const { maxAttempts, retryOn } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  return attempt < maxAttempts && retryOn.includes(reason);
+}
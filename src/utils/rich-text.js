@@ -0,0 +1,161 @@
+/**
+ * Rich-text editors we detect, with the selector for their editable element.
+ * Order matters: specific editors first, plain contenteditable last.
+ */
+export const RICH_TEXT_EDITORS = [
+  ['quill', '.ql-editor'],
+  ['tiptap', '.ProseMirror'],
+  ['draftjs', '.public-DraftEditor-content'],
+  ['ckeditor', '.ck-editor__editable'],
+  ['trix', 'trix-editor'],
+  ['contenteditable', '[contenteditable="true"], [contenteditable=""]'],
+];
+
+/**
+ * Find the rich-text editors in a document. Runs in the page, so it uses
+ * nothing from this module: pass it to evaluate with RICH_TEXT_EDITORS,
+ * e.g. `frame.evaluate(findRichTextEditors, RICH_TEXT_EDITORS)`.
+ * @param {Array<[string, string]>} editorSelectors - RICH_TEXT_EDITORS
+ * @returns {Array<{fieldInfo: Object, formIndex: number}>} Each editor's
+ *   field, and the index of the form around it (-1 when outside forms)
+ */
+export function findRichTextEditors(editorSelectors) {
+  const forms = Array.from(document.querySelectorAll('form'));
+  const editors = [];
+
+  editorSelectors.forEach(([editor, selector]) => {
+    document.querySelectorAll(selector).forEach((element, index) => {
+      // Skip editables nested inside an editor we already found
+      if (editors.some((found) => found.element.contains(element))) {
+        return;
+      }
+      const container = element.closest('.form-group, .field, label, div');
+      editors.push({
+        element,
+        fieldInfo: {
+          type: 'richtext',
+          editor,
+          selector: element.id ? `#${element.id}` : selector,
+          index: element.id ? 0 : index,
+          name: element.getAttribute('name') || '',
+          id: element.id || '',
+          placeholder:
+            element.dataset.placeholder ||
+            element.getAttribute('aria-placeholder') ||
+            '',
+          required: element.getAttribute('aria-required') === 'true',
+          label:
+            element.getAttribute('aria-label') ||
+            container?.querySelector('label')?.textContent.trim() ||
+            '',
+        },
+      });
+    });
+  });
+
+  return editors.map(({ element, fieldInfo }) => ({
+    fieldInfo,
+    formIndex: forms.findIndex((form) => form.contains(element)),
+  }));
+}
+
+/**
+ * Escape text for use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert inline markdown (bold, italic, code, links) in one line to HTML
+ * @param {string} line
+ * @returns {string}
+ */
+function inlineMarkdownToHtml(line) {
+  return escapeHtml(line)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+const BULLET = /^\s*[-*]\s+/;
+const NUMBERED = /^\s*\d+[.)]\s+/;
+
+/**
+ * Convert the simple markdown used in descriptions to HTML: paragraphs,
+ * line breaks, bullet and numbered lists, bold, italic, code and links
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToHtml(markdown) {
+  const blocks = (markdown || '')
+    .replace(/\r\n/g, '\n')
+    .trim()
+    .split(/\n{2,}/)
+    .filter((block) => block.trim());
+
+  return blocks
+    .map((block) => {
+      const lines = block.split('\n');
+
+      if (lines.every((line) => BULLET.test(line))) {
+        const items = lines.map(
+          (line) => `<li>${inlineMarkdownToHtml(line.replace(BULLET, ''))}</li>`
+        );
+        return `<ul>${items.join('')}</ul>`;
+      }
+      if (lines.every((line) => NUMBERED.test(line))) {
+        const items = lines.map(
+          (line) =>
+            `<li>${inlineMarkdownToHtml(line.replace(NUMBERED, ''))}</li>`
+        );
+        return `<ol>${items.join('')}</ol>`;
+      }
+
+      return `<p>${lines.map(inlineMarkdownToHtml).join('<br>')}</p>`;
+    })
+    .join('');
+}
+
+/**
+ * Strip markdown syntax, leaving the text an editor should end up showing
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToPlainText(markdown) {
+  return (markdown || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map((line) =>
+      line
+        .replace(BULLET, '')
+        .replace(NUMBERED, '')
+        .replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1')
+        .replace(/\*\*([^*]+)\*\*/g, '$1')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1')
+    )
+    .join('\n');
+}
+
+/**
+ * Check that an editor shows the text we meant to enter.
+ * Whitespace is ignored, since editors render line breaks differently.
+ * @param {string} expectedMarkdown - The value we filled in
+ * @param {string} actualText - The editor's innerText afterwards
+ * @returns {boolean}
+ */
+export function editorContentMatches(expectedMarkdown, actualText) {
+  const squash = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const expected = squash(markdownToPlainText(expectedMarkdown));
+  const actual = squash(actualText);
+
+  return expected.length > 0 && actual.includes(expected);
+}
@@ -0,0 +1,115 @@
+import { appendFile, readFile, unlink } from 'fs/promises';
+
+/**
+ * Default location of the submission run journal
+ */
+export const JOURNAL_PATH = 'submission-journal.jsonl';
+
+/**
+ * Append one entry to the journal as a single JSON line.
+ * Each append is written straight to disk, so a crash loses at most the
+ * directory that was in flight.
+ * @param {Object} entry
+ * @param {string} [filePath]
+ */
+export async function appendJournalEntry(entry, filePath = JOURNAL_PATH) {
+  await appendFile(filePath, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Start a new run in the journal
+ * @param {Array<Object>} directories - Directories the run will process
+ * @param {string} [filePath]
+ */
+export async function startJournalRun(directories, filePath = JOURNAL_PATH) {
+  await appendJournalEntry(
+    { type: 'run-start', at: new Date().toISOString(), directories },
+    filePath
+  );
+}
+
+/**
+ * Record the final result for one directory
+ * @param {Object} resultEntry - Entry as produced by processDirectoriesWithConfigs
+ * @param {string} [filePath]
+ */
+export async function journalResult(resultEntry, filePath = JOURNAL_PATH) {
+  await appendJournalEntry({ type: 'result', ...resultEntry }, filePath);
+}
+
+/**
+ * Read the journal, skipping lines that cannot be parsed (a crash can cut
+ * the last line short)
+ * @param {string} [filePath]
+ * @returns {Promise<{entries: Array<Object>, skippedLines: number}>}
+ */
+export async function readJournal(filePath = JOURNAL_PATH) {
+  let content;
+  try {
+    content = await readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { entries: [], skippedLines: 0 };
+    }
+    throw new Error(`Failed to read journal: ${error.message}`);
+  }
+
+  const entries = [];
+  let skippedLines = 0;
+
+  content
+    .split('\n')
+    .filter((line) => line.trim())
+    .forEach((line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        skippedLines++;
+      }
+    });
+
+  return { entries, skippedLines };
+}
+
+/**
+ * Work out where an interrupted run stopped
+ * @param {Array<Object>} entries - Journal entries from readJournal
+ * @returns {{directories: Array<Object>, results: Array<Object>, remaining: Array<Object>, startedAt: string}|null}
+ *   The last run's state, or null if the journal holds no run
+ */
+export function getRunState(entries) {
+  const startIndex = entries.findLastIndex(
+    (entry) => entry.type === 'run-start'
+  );
+  if (startIndex === -1) {
+    return null;
+  }
+
+  const start = entries[startIndex];
+  const results = entries
+    .slice(startIndex + 1)
+    .filter((entry) => entry.type === 'result')
+    .map(({ type: _type, ...result }) => result);
+  const completed = new Set(results.map((result) => result.name));
+
+  return {
+    startedAt: start.at,
+    directories: start.directories,
+    results,
+    remaining: start.directories.filter((dir) => !completed.has(dir.name)),
+  };
+}
+
+/**
+ * Remove the journal once its results have been saved
+ * @param {string} [filePath]
+ */
+export async function clearJournal(filePath = JOURNAL_PATH) {
+  try {
+    await unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
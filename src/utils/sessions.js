@@ -0,0 +1,342 @@
+import { mkdir, readFile, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import { hostKey } from './page-pool.js';
+
+/**
+ * Default location of the local credential store
+ */
+export const CREDENTIALS_PATH = 'credentials.json';
+
+/**
+ * Default directory for saved browser sessions, one file per directory
+ */
+export const SESSIONS_DIR = 'sessions';
+
+/**
+ * URL paths that mean we were sent to a login page
+ */
+const LOGIN_URL_PATTERN =
+  /\/(log-?in|sign-?in|auth(?:enticate)?|session\/new|users\/sign_in)\b/i;
+
+/**
+ * Cookie properties kept in a saved session
+ */
+const COOKIE_FIELDS = [
+  'name',
+  'value',
+  'domain',
+  'path',
+  'expires',
+  'httpOnly',
+  'secure',
+  'sameSite',
+];
+
+/**
+ * Read the credential store. It maps directory names (or hosts) to logins:
+ * { "BetaList": { "username": "me@example.com", "password": "..." } }
+ * @param {string} [filePath]
+ * @returns {Promise<Object>} The store, or {} if the file does not exist
+ */
+export async function loadCredentials(filePath = CREDENTIALS_PATH) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read credentials: ${error.message}`);
+  }
+}
+
+/**
+ * Find the login for a directory, by name first and then by host
+ * @param {Object} credentials - From loadCredentials
+ * @param {{name: string, url?: string}} directory
+ * @returns {{username: string, password: string}|null}
+ */
+export function getCredentials(credentials, directory) {
+  const login =
+    credentials?.[directory.name] ?? credentials?.[hostKey(directory.url)];
+  return login?.username && login?.password ? login : null;
+}
+
+/**
+ * Path of the saved session for a directory
+ * @param {string} directoryName
+ * @param {string} [dir]
+ * @returns {string}
+ */
+export function getSessionPath(directoryName, dir = SESSIONS_DIR) {
+  const slug = directoryName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return path.join(dir, `${slug || 'directory'}.json`);
+}
+
+/**
+ * Read a directory's saved session
+ * @param {string} directoryName
+ * @param {string} [dir]
+ * @returns {Promise<Object|null>} Saved state, or null if there is none
+ */
+export async function loadSession(directoryName, dir = SESSIONS_DIR) {
+  try {
+    return JSON.parse(
+      await readFile(getSessionPath(directoryName, dir), 'utf-8')
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read session: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a saved session can still be used: it must have cookies,
+ * and not all of its persistent cookies may have expired
+ * @param {Object|null} state - From loadSession
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+export function isSessionUsable(state, now = Date.now()) {
+  const cookies = state?.cookies || [];
+  if (cookies.length === 0) {
+    return false;
+  }
+
+  // Session cookies (expires -1) never expire here; the site decides
+  const persistent = cookies.filter((cookie) => cookie.expires > 0);
+  return (
+    persistent.length === 0 ||
+    persistent.some((cookie) => cookie.expires * 1000 > now)
+  );
+}
+
+/**
+ * Work out from the page we landed on whether we still need to log in
+ * @param {Object} page
+ * @param {string} page.currentUrl - URL after navigating to the submit page
+ * @param {boolean} page.hasPasswordField - A visible password input exists
+ * @param {boolean} [page.hasFormFields] - Fields of the submission form
+ *   were found (some forms ask for a password to create an account)
+ * @param {string} [page.loginUrl] - The site config's login URL
+ * @param {boolean} [page.loggedInMarker] - The login's successSelector
+ *   matched, when one is configured
+ * @returns {string|null} Why we look logged out, or null if logged in
+ */
+export function detectLoginRequired({
+  currentUrl,
+  hasPasswordField,
+  hasFormFields = false,
+  loginUrl,
+  loggedInMarker,
+}) {
+  if (loggedInMarker === false) {
+    return 'logged-in marker missing';
+  }
+  if (loginUrl && stripQuery(currentUrl) === stripQuery(loginUrl)) {
+    return 'redirected to login page';
+  }
+  if (LOGIN_URL_PATTERN.test(new URL(currentUrl).pathname)) {
+    return 'redirected to login page';
+  }
+  if (hasPasswordField && !hasFormFields) {
+    return 'login form shown';
+  }
+  return null;
+}
+
+/**
+ * @param {string} url
+ * @returns {string} The URL without query string or hash
+ */
+function stripQuery(url) {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname}`.replace(/\/$/, '');
+}
+
+/**
+ * Build a login config from an inspected form holding a password field
+ * @param {Object} form - Form from SiteInspector.inspectSite
+ * @param {string} url - Page the form is on
+ * @returns {Object|null} login section for a site config, or null if the
+ *   form is not a login form
+ */
+export function buildLoginConfig(form, url) {
+  const fields = form?.fields || [];
+  const password = fields.find((field) => field.type === 'password');
+  // Sign-up forms ask for more than an account name and password
+  if (
+    !password ||
+    fields.filter((field) => field.type !== 'checkbox').length > 3
+  ) {
+    return null;
+  }
+
+  const selectorOf = (field) =>
+    field.selector || (field.id ? `#${field.id}` : `[name="${field.name}"]`);
+  const username = fields.find((field) =>
+    ['email', 'text'].includes(field.type)
+  );
+
+  return {
+    url,
+    usernameSelector: username ? selectorOf(username) : null,
+    passwordSelector: selectorOf(password),
+    submitSelector: form.submitButton?.selector || 'button[type="submit"]',
+  };
+}
+
+/**
+ * Check whether the browser sends a cookie to a host: its domain is the
+ * host itself or, for domain cookies (".example.com"), a parent of it
+ * @param {{domain: string}} cookie
+ * @param {string} host
+ * @returns {boolean}
+ */
+function cookieMatchesHost(cookie, host) {
+  const domain = (cookie.domain || '').replace(/^\./, '');
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Save the cookies and localStorage of a logged-in page. Only the cookies
+ * of the page's own site (and of urls) are kept, not those other
+ * directories open in the same browser have set.
+ * @param {import('puppeteer').Page} page
+ * @param {string} directoryName
+ * @param {string} [dir]
+ * @param {Array<string>} [urls] - Other pages of the directory whose
+ *   cookies belong to the session, e.g. a login page on another host
+ * @returns {Promise<string>} Path of the saved session
+ */
+export async function saveSession(
+  page,
+  directoryName,
+  dir = SESSIONS_DIR,
+  urls = []
+) {
+  const pageUrls = [page.url(), ...urls.filter(Boolean)];
+  const cookies = await page.cookies(...pageUrls);
+
+  const state = {
+    savedAt: new Date().toISOString(),
+    origin: new URL(page.url()).origin,
+    origins: [...new Set(pageUrls.map((url) => new URL(url).origin))],
+    // Only what setCookie accepts back
+    cookies: cookies.map((cookie) =>
+      Object.fromEntries(COOKIE_FIELDS.map((field) => [field, cookie[field]]))
+    ),
+    localStorage: await page.evaluate(() => Object.entries(localStorage)),
+  };
+
+  const filePath = getSessionPath(directoryName, dir);
+  await mkdir(dir, { recursive: true });
+  await writeFile(filePath, JSON.stringify(state, null, 2));
+  return filePath;
+}
+
+/**
+ * Put a saved session back into the browser. Cookies are set straight
+ * away; localStorage is written when the session's origin next loads.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} state - From loadSession
+ * @returns {Promise<() => Promise<void>>} Call after navigating to stop
+ *   writing localStorage on later page loads
+ */
+export async function restoreSession(page, state) {
+  const hosts = (state.origins || []).map((origin) => new URL(origin).hostname);
+  const cookies = (state.cookies || []).filter((cookie) =>
+    hosts.some((host) => cookieMatchesHost(cookie, host))
+  );
+  if (cookies.length > 0) {
+    await page.setCookie(...cookies);
+  }
+  if (!state.localStorage?.length) {
+    return async () => {};
+  }
+
+  const { identifier } = await page.evaluateOnNewDocument(
+    (origin, entries) => {
+      if (window.location.origin === origin) {
+        entries.forEach(([key, value]) => localStorage.setItem(key, value));
+      }
+    },
+    state.origin,
+    state.localStorage
+  );
+  return async () => {
+    await page.removeScriptToEvaluateOnNewDocument(identifier);
+  };
+}
+
+/**
+ * Site config sections written by hand, which inspection cannot produce
+ */
+const HAND_WRITTEN_SECTIONS = ['login', 'register', 'recipe', 'values'];
+
+/**
+ * Copy hand-written sections (login, register, recipe and values) from the
+ * site configs on disk into freshly generated ones, so they survive
+ * re-inspection (once logged in, inspection sees the submit form rather
+ * than the login form)
+ * @param {Object} configs - Newly generated site configs
+ * @param {string} [filePath] - Existing site configs
+ * @returns {Promise<Object>} configs, with hand-written sections carried over
+ */
+export async function keepHandWrittenSteps(
+  configs,
+  filePath = 'site-configs.json'
+) {
+  let previous;
+  try {
+    previous = JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch {
+    return configs;
+  }
+
+  Object.entries(configs).forEach(([name, config]) => {
+    HAND_WRITTEN_SECTIONS.forEach((section) => {
+      if (!config[section] && previous[name]?.[section]) {
+        config[section] = previous[name][section];
+      }
+    });
+  });
+  return configs;
+}
+
+/**
+ * Strip the site configs on disk down to their hand-written sections, so a
+ * reset clears what inspection generated without losing what cannot be
+ * generated again. Removes the file when nothing hand-written is left.
+ * @param {string} [filePath] - Existing site configs
+ * @returns {Promise<Object>} The configs kept, by directory name
+ */
+export async function keepOnlyHandWrittenSteps(filePath = 'site-configs.json') {
+  let previous;
+  try {
+    previous = JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch {
+    await unlink(filePath).catch(() => {});
+    return {};
+  }
+
+  const kept = {};
+  Object.entries(previous).forEach(([name, config]) => {
+    HAND_WRITTEN_SECTIONS.forEach((section) => {
+      if (config?.[section]) {
+        kept[name] = { ...kept[name], [section]: config[section] };
+      }
+    });
+  });
+
+  if (Object.keys(kept).length === 0) {
+    await unlink(filePath).catch(() => {});
+  } else {
+    await writeFile(filePath, JSON.stringify(kept, null, 2));
+  }
+  return kept;
+}
@@ -0,0 +1,225 @@
+import { readFile, writeFile } from 'fs/promises';
+
+/**
+ * Every state a directory submission can be in, in lifecycle order
+ */
+export const SUBMISSION_STATUSES = [
+  'pending',
+  'in-progress',
+  'submitted',
+  'awaiting-email-confirmation',
+  'approved',
+  'live',
+  'rejected',
+  'manual-required',
+  'paid-only',
+  'dead',
+];
+
+/**
+ * Statuses that count as a completed submission for progress reporting
+ */
+export const COMPLETED_STATUSES = [
+  'submitted',
+  'awaiting-email-confirmation',
+  'approved',
+  'live',
+];
+
+/**
+ * Allowed transitions from each status
+ */
+const STATUS_TRANSITIONS = {
+  pending: [
+    'in-progress',
+    'submitted',
+    'awaiting-email-confirmation',
+    'manual-required',
+    'paid-only',
+    'rejected',
+    'dead',
+  ],
+  'in-progress': [
+    'pending',
+    'submitted',
+    'awaiting-email-confirmation',
+    'manual-required',
+    'paid-only',
+    'rejected',
+    'dead',
+  ],
+  submitted: [
+    'awaiting-email-confirmation',
+    'approved',
+    'live',
+    'rejected',
+    'dead',
+  ],
+  'awaiting-email-confirmation': [
+    'submitted',
+    'approved',
+    'live',
+    'rejected',
+    'dead',
+  ],
+  approved: ['live', 'rejected', 'dead'],
+  live: ['dead'],
+  rejected: ['pending'],
+  'manual-required': [
+    'pending',
+    'in-progress',
+    'submitted',
+    'awaiting-email-confirmation',
+    'paid-only',
+    'dead',
+  ],
+  'paid-only': ['pending', 'in-progress', 'submitted', 'dead'],
+  dead: ['pending'],
+};
+
+/**
+ * Default location of the status history file
+ */
+export const STATUS_HISTORY_PATH = 'submission-status.json';
+
+/**
+ * Normalize a status as written in the CSV.
+ * A blank status is the legacy spelling of "pending".
+ * @param {string} status
+ * @returns {string}
+ */
+export function normalizeStatus(status) {
+  const normalized = (status || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-');
+  return normalized || 'pending';
+}
+
+/**
+ * Check whether a status is part of the lifecycle
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isValidStatus(status) {
+  return SUBMISSION_STATUSES.includes(normalizeStatus(status));
+}
+
+/**
+ * Check whether a directory may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  const current = normalizeStatus(from);
+  const next = normalizeStatus(to);
+
+  if (current === next) return true;
+  if (!isValidStatus(current)) return isValidStatus(next);
+
+  return STATUS_TRANSITIONS[current].includes(next);
+}
+
+/**
+ * Move a directory to a new status, recording the change in its history
+ * @param {Object} directory - Directory object (mutated)
+ * @param {string} to - Target status
+ * @param {Object} [options]
+ * @param {Object} [options.history] - History map to append the transition to
+ * @param {string} [options.at] - ISO timestamp of the transition
+ * @param {string} [options.note] - Free-text reason for the change
+ * @returns {Object|null} The recorded transition, or null if unchanged
+ */
+export function transitionStatus(directory, to, options = {}) {
+  const from = normalizeStatus(directory.status);
+  const next = normalizeStatus(to);
+
+  if (!isValidStatus(next)) {
+    throw new Error(`Unknown status: ${to}`);
+  }
+  if (!canTransition(from, next)) {
+    throw new Error(`Invalid status transition from ${from} to ${next}`);
+  }
+  if (from === next) {
+    return null;
+  }
+
+  const transition = {
+    from,
+    to: next,
+    at: options.at || new Date().toISOString(),
+  };
+  if (options.note) {
+    transition.note = options.note;
+  }
+
+  directory.status = next;
+  directory.updated_at = transition.at;
+
+  if (options.history) {
+    recordTransition(options.history, directory.name, transition);
+  }
+
+  return transition;
+}
+
+/**
+ * Append a transition to a directory's history
+ * @param {Object} history - Map of directory name to transitions
+ * @param {string} name - Directory name
+ * @param {{from: string, to: string, at: string, note?: string}} transition
+ */
+export function recordTransition(history, name, transition) {
+  if (!history[name]) {
+    history[name] = [];
+  }
+  history[name].push(transition);
+}
+
+/**
+ * Load the status history file
+ * @param {string} [filePath]
+ * @returns {Promise<Object>} Map of directory name to transitions
+ */
+export async function loadStatusHistory(filePath = STATUS_HISTORY_PATH) {
+  try {
+    const content = await readFile(filePath, 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to load status history: ${error.message}`);
+  }
+}
+
+/**
+ * Save the status history file
+ * @param {Object} history - Map of directory name to transitions
+ * @param {string} [filePath]
+ */
+export async function saveStatusHistory(
+  history,
+  filePath = STATUS_HISTORY_PATH
+) {
+  await writeFile(filePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Count directories per status
+ * @param {Array<{status: string}>} directories
+ * @returns {Object} Map of status to count (lifecycle statuses always present)
+ */
+export function countByStatus(directories) {
+  const counts = Object.fromEntries(
+    SUBMISSION_STATUSES.map((status) => [status, 0])
+  );
+
+  directories.forEach((dir) => {
+    const status = normalizeStatus(dir.status);
+    counts[status] = (counts[status] || 0) + 1;
+  });
+
+  return counts;
+}
@@ -1,5 +1,7 @@
 import puppeteer from 'puppeteer';
 import { writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { ASSETS_DIR } from './utils/assets.js';
 
 /**
  * Value Generator - Auto-generates values from website metadata
@@ -9,6 +11,7 @@ export class ValueGenerator {
     this.config = {
       headless: config.headless ?? false,
       timeout: config.timeout ?? 30000,
+      assetsDir: config.assetsDir ?? ASSETS_DIR,
       ...config,
     };
     this.browser = null;
@@ -107,8 +110,11 @@ export class ValueGenerator {
       });
 
       // Generate screenshot
-      await mkdir('generated-assets', { recursive: true });
-      const screenshotPath = `generated-assets/screenshot-${Date.now()}.png`;
+      await mkdir(this.config.assetsDir, { recursive: true });
+      const screenshotPath = path.join(
+        this.config.assetsDir,
+        `screenshot-${Date.now()}.png`
+      );
       await this.page.screenshot({
         path: screenshotPath,
         fullPage: false,
@@ -0,0 +1,151 @@
+import { expect } from 'chai';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import {
+  checkAsset,
+  findLocalAssets,
+  getAssetKey,
+  getMimeType,
+  matchesAccept,
+  parseSizeLimit,
+} from '../src/utils/assets.js';
+
+describe('Assets', () => {
+  const assetsDir = './test-assets';
+
+  before(async () => {
+    await mkdir(assetsDir, { recursive: true });
+    await writeFile(join(assetsDir, 'logo.png'), Buffer.alloc(2048));
+    await writeFile(join(assetsDir, 'screenshot-1700000000000.png'), 'old');
+    await writeFile(join(assetsDir, 'screenshot-1800000000000.png'), 'new');
+  });
+
+  after(async () => {
+    await rm(assetsDir, { recursive: true, force: true });
+  });
+
+  describe('getAssetKey', () => {
+    it('should pick the asset from the field name or label', () => {
+      expect(getAssetKey({ name: 'app_screenshot' })).to.equal('screenshot');
+      expect(getAssetKey({ id: 'demo-video' })).to.equal('video');
+      expect(getAssetKey({ name: 'icon', label: 'Your logo' })).to.equal(
+        'logo'
+      );
+    });
+
+    it('should default to logo', () => {
+      expect(getAssetKey({ name: 'file' })).to.equal('logo');
+    });
+  });
+
+  describe('matchesAccept', () => {
+    it('should accept anything without an accept attribute', () => {
+      expect(matchesAccept('logo.png', '')).to.be.true;
+      expect(matchesAccept('logo.png', undefined)).to.be.true;
+    });
+
+    it('should match extensions, exact types and wildcards', () => {
+      expect(matchesAccept('logo.PNG', '.png,.jpg')).to.be.true;
+      expect(matchesAccept('logo.jpeg', '.jpg')).to.be.true;
+      expect(matchesAccept('logo.png', 'image/png, image/jpeg')).to.be.true;
+      expect(matchesAccept('logo.webp', 'image/*')).to.be.true;
+    });
+
+    it('should reject files the input does not accept', () => {
+      expect(matchesAccept('logo.svg', 'image/png')).to.be.false;
+      expect(matchesAccept('demo.mp4', 'image/*')).to.be.false;
+      expect(matchesAccept('notes.xyz', 'image/*')).to.be.false;
+    });
+  });
+
+  describe('getMimeType', () => {
+    it('should look up types by extension', () => {
+      expect(getMimeType('a/b/logo.jpg')).to.equal('image/jpeg');
+      expect(getMimeType('demo.mp4')).to.equal('video/mp4');
+      expect(getMimeType('notes.xyz')).to.be.null;
+    });
+  });
+
+  describe('parseSizeLimit', () => {
+    it('should read sizes from help text', () => {
+      expect(parseSizeLimit('Max file size: 2MB')).to.equal(2 * 1024 * 1024);
+      expect(parseSizeLimit('up to 500 KB')).to.equal(500 * 1024);
+      expect(parseSizeLimit('1.5 MiB')).to.equal(1.5 * 1024 * 1024);
+    });
+
+    it('should accept byte counts', () => {
+      expect(parseSizeLimit(4096)).to.equal(4096);
+      expect(parseSizeLimit('4096')).to.equal(4096);
+    });
+
+    it('should return null when there is no limit', () => {
+      expect(parseSizeLimit('')).to.be.null;
+      expect(parseSizeLimit(undefined)).to.be.null;
+      expect(parseSizeLimit('PNG or JPG')).to.be.null;
+    });
+  });
+
+  describe('checkAsset', () => {
+    const logoPath = join(assetsDir, 'logo.png');
+
+    it('should pass files within the limits', async () => {
+      const check = await checkAsset(logoPath, {
+        accept: 'image/*',
+        maxSize: 4096,
+      });
+
+      expect(check).to.deep.equal({
+        ok: true,
+        size: 2048,
+        mimeType: 'image/png',
+      });
+    });
+
+    it('should report missing files', async () => {
+      const check = await checkAsset(join(assetsDir, 'missing.png'));
+
+      expect(check.ok).to.be.false;
+      expect(check.problem).to.include('File not found');
+    });
+
+    it('should report unaccepted types and oversized files', async () => {
+      const wrongType = await checkAsset(logoPath, { accept: '.jpg' });
+      const tooBig = await checkAsset(logoPath, { maxSize: 1024 });
+
+      expect(wrongType.ok).to.be.false;
+      expect(wrongType.problem).to.include('not accepted');
+      expect(tooBig.ok).to.be.false;
+      expect(tooBig.problem).to.equal('File is 2048 bytes, limit is 1024');
+    });
+  });
+
+  describe('findLocalAssets', () => {
+    it('should find the logo and newest screenshot', async () => {
+      const assets = await findLocalAssets({}, assetsDir);
+
+      expect(assets).to.deep.equal({
+        logo: join(assetsDir, 'logo.png'),
+        screenshot: join(assetsDir, 'screenshot-1800000000000.png'),
+      });
+    });
+
+    it('should let explicit paths win', async () => {
+      const assets = await findLocalAssets(
+        { logo: './brand/logo.svg', video: null },
+        assetsDir
+      );
+
+      expect(assets.logo).to.equal('./brand/logo.svg');
+      expect(assets).to.not.have.property('video');
+    });
+
+    it('should return overrides only when the folder is missing', async () => {
+      const assets = await findLocalAssets(
+        { logo: 'logo.png' },
+        './no-such-dir'
+      );
+
+      expect(assets).to.deep.equal({ logo: 'logo.png' });
+    });
+  });
+});
@@ -0,0 +1,291 @@
+import { expect } from 'chai';
+import {
+  CAPTCHA_WIDGETS,
+  CHALLENGE_QUESTION_PATTERN,
+  classifyChallenge,
+  describeChallenge,
+  pickChallenge,
+  summarizeCaptchaState,
+  waitForCaptcha,
+} from '../src/utils/captcha.js';
+
+/**
+ * Page whose CAPTCHA state follows a script, one entry per check; the last
+ * entry repeats
+ */
+const scriptedPage = (states) => {
+  let checks = 0;
+  return {
+    get checks() {
+      return checks;
+    },
+    evaluate: async () => states[Math.min(checks++, states.length - 1)],
+  };
+};
+
+const unsolved = [{ name: 'recaptcha', solved: false }];
+const solved = [{ name: 'recaptcha', solved: true }];
+
+describe('CAPTCHA', () => {
+  describe('CAPTCHA_WIDGETS', () => {
+    it('should describe each widget and its response field', () => {
+      CAPTCHA_WIDGETS.forEach((widget) => {
+        expect(widget.name).to.be.a('string');
+        expect(widget.widgetSelector).to.be.a('string');
+        expect(widget.responseSelector).to.match(/response/);
+      });
+    });
+  });
+
+  describe('summarizeCaptchaState', () => {
+    it('should be solved only when every widget has a token', () => {
+      expect(summarizeCaptchaState(solved)).to.deep.equal({
+        provider: 'recaptcha',
+        solved: true,
+      });
+      expect(
+        summarizeCaptchaState([...solved, { name: 'turnstile', solved: false }])
+      ).to.deep.equal({ provider: 'recaptcha+turnstile', solved: false });
+    });
+
+    it('should report no provider when no widget is present', () => {
+      expect(summarizeCaptchaState([])).to.deep.equal({
+        provider: null,
+        solved: false,
+      });
+    });
+  });
+
+  describe('waitForCaptcha', () => {
+    it('should finish once the response token appears', async () => {
+      const page = scriptedPage([unsolved, unsolved, solved]);
+
+      const result = await waitForCaptcha(page, { interval: 1 });
+
+      expect(result.outcome).to.equal('solved');
+      expect(result.provider).to.equal('recaptcha');
+      expect(result.waitedMs).to.be.a('number');
+      expect(page.checks).to.equal(3);
+    });
+
+    it('should time out while the widget stays unsolved', async () => {
+      const result = await waitForCaptcha(scriptedPage([unsolved]), {
+        timeout: 20,
+        interval: 5,
+      });
+
+      expect(result.outcome).to.equal('timeout');
+      expect(result.provider).to.equal('recaptcha');
+    });
+
+    it('should give up after the grace time when no widget shows', async () => {
+      const result = await waitForCaptcha(scriptedPage([[]]), {
+        timeout: 1000,
+        graceTime: 10,
+        interval: 5,
+      });
+
+      expect(result.outcome).to.equal('not-found');
+      expect(result.provider).to.be.null;
+      expect(result.waitedMs).to.be.below(1000);
+    });
+
+    it('should keep polling when the page is between navigations', async () => {
+      let checks = 0;
+      const page = {
+        evaluate: async () => {
+          checks++;
+          if (checks === 2) {
+            throw new Error('Execution context was destroyed');
+          }
+          return checks < 3 ? unsolved : solved;
+        },
+      };
+
+      const result = await waitForCaptcha(page, { interval: 1 });
+
+      expect(result.outcome).to.equal('solved');
+    });
+
+    it('should take the answer from the prompt when it comes first', async () => {
+      const answers = { solved: 'confirmed', skip: 'skipped' };
+
+      for (const [answer, outcome] of Object.entries(answers)) {
+        let signal;
+        const result = await waitForCaptcha(scriptedPage([unsolved]), {
+          interval: 5,
+          onPrompt: async (prompt) => {
+            ({ signal } = prompt);
+            expect(prompt.provider).to.equal('recaptcha');
+            return answer;
+          },
+        });
+
+        expect(result.outcome).to.equal(outcome);
+        expect(signal.aborted).to.be.true;
+      }
+    });
+
+    it('should withdraw the prompt once the token appears', async () => {
+      let signal;
+
+      const result = await waitForCaptcha(
+        scriptedPage([unsolved, unsolved, solved]),
+        {
+          interval: 1,
+          onPrompt: (prompt) => {
+            ({ signal } = prompt);
+            return new Promise(() => {});
+          },
+        }
+      );
+
+      expect(result.outcome).to.equal('solved');
+      expect(signal.aborted).to.be.true;
+    });
+
+    it('should not prompt when the CAPTCHA is already solved', async () => {
+      let prompted = false;
+
+      const result = await waitForCaptcha(scriptedPage([solved]), {
+        onPrompt: async () => {
+          prompted = true;
+          return 'solved';
+        },
+      });
+
+      expect(result.outcome).to.equal('solved');
+      expect(prompted).to.be.false;
+    });
+  });
+
+  describe('CHALLENGE_QUESTION_PATTERN', () => {
+    it('should match math and anti-spam questions', () => {
+      [
+        'What is 3 + 4?',
+        "What's 7 plus 2",
+        '5 × 3 =',
+        'Anti-spam: type the word above',
+        'Are you a human?',
+        'captcha',
+      ].forEach((text) => {
+        expect(CHALLENGE_QUESTION_PATTERN.test(text), text).to.be.true;
+      });
+    });
+
+    it('should not match ordinary field labels', () => {
+      ['Website URL', 'Founded in 2020', 'Team size (1-10)'].forEach((text) => {
+        expect(CHALLENGE_QUESTION_PATTERN.test(text), text).to.be.false;
+      });
+    });
+  });
+
+  describe('classifyChallenge', () => {
+    const none = {
+      title: 'Submit your tool',
+      widgets: [],
+      invisibleRecaptcha: false,
+      friendlyCaptcha: false,
+      interstitial: false,
+      questions: [],
+    };
+
+    it('should return null when nothing is in the way', () => {
+      expect(classifyChallenge(none)).to.be.null;
+    });
+
+    it('should detect challenge pages by element or title', () => {
+      expect(classifyChallenge({ ...none, interstitial: true })).to.deep.equal({
+        type: 'interstitial',
+        provider: 'cloudflare',
+        requiresHuman: true,
+      });
+      expect(
+        classifyChallenge({ ...none, title: 'DDoS-Guard' }).provider
+      ).to.equal('ddos-guard');
+      expect(
+        classifyChallenge({ ...none, title: 'Checking your browser...' })
+      ).to.include({ type: 'interstitial', provider: null });
+    });
+
+    it('should report visible CAPTCHA widgets', () => {
+      expect(
+        classifyChallenge({ ...none, widgets: ['turnstile'] })
+      ).to.deep.equal({
+        type: 'captcha',
+        provider: 'turnstile',
+        requiresHuman: true,
+      });
+    });
+
+    it('should report challenge questions with their input', () => {
+      expect(
+        classifyChallenge({
+          ...none,
+          questions: [{ text: 'What is 2 + 3?', selector: '#math' }],
+        })
+      ).to.deep.equal({
+        type: 'question',
+        provider: null,
+        requiresHuman: true,
+        question: 'What is 2 + 3?',
+        selector: '#math',
+      });
+    });
+
+    it('should not need a person for invisible challenges', () => {
+      expect(
+        classifyChallenge({ ...none, invisibleRecaptcha: true })
+      ).to.deep.equal({
+        type: 'invisible',
+        provider: 'recaptcha-v3',
+        requiresHuman: false,
+      });
+      expect(
+        classifyChallenge({ ...none, friendlyCaptcha: true })
+      ).to.deep.equal({
+        type: 'proof-of-work',
+        provider: 'friendly-captcha',
+        requiresHuman: false,
+      });
+    });
+
+    it('should prefer a visible widget over an invisible one', () => {
+      expect(
+        classifyChallenge({
+          ...none,
+          widgets: ['hcaptcha'],
+          invisibleRecaptcha: true,
+        }).type
+      ).to.equal('captcha');
+    });
+  });
+
+  describe('pickChallenge', () => {
+    it('should pick the most pressing challenge', () => {
+      const invisible = { type: 'invisible', provider: 'recaptcha-v3' };
+      const captcha = { type: 'captcha', provider: 'hcaptcha' };
+
+      expect(pickChallenge([invisible, null, captcha])).to.equal(captcha);
+      expect(pickChallenge([null, null])).to.be.null;
+    });
+  });
+
+  describe('describeChallenge', () => {
+    it('should name the challenge for summaries', () => {
+      expect(
+        describeChallenge({ type: 'captcha', provider: 'turnstile' })
+      ).to.equal('Cloudflare Turnstile CAPTCHA');
+      expect(
+        describeChallenge({ type: 'interstitial', provider: null })
+      ).to.equal('challenge page');
+      expect(
+        describeChallenge({ type: 'question', question: 'What is 2 + 3?' })
+      ).to.equal('challenge question "What is 2 + 3?"');
+      expect(
+        describeChallenge({ type: 'invisible', provider: 'recaptcha-v3' })
+      ).to.equal('reCAPTCHA v3 (solves itself)');
+      expect(describeChallenge(null)).to.equal('none');
+    });
+  });
+});
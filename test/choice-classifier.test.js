@@ -0,0 +1,221 @@
+import { expect } from 'chai';
+import {
+  buildChoiceMappings,
+  classifyChoice,
+  getChoicePolicy,
+  resolveChoice,
+  DEFAULT_CHOICE_POLICY,
+} from '../src/utils/choice-classifier.js';
+
+describe('Choice Classifier', () => {
+  describe('classifyChoice', () => {
+    it('should recognise consent boxes', () => {
+      expect(
+        classifyChoice({
+          name: 'tos',
+          label: 'I agree to the Terms of Service',
+        })
+      ).to.equal('consent');
+      expect(classifyChoice({ id: 'privacy-policy' })).to.equal('consent');
+    });
+
+    it('should treat marketing opt-ins as newsletter, not consent', () => {
+      expect(
+        classifyChoice({
+          name: 'optin',
+          label: 'I agree to receive product updates',
+        })
+      ).to.equal('newsletter');
+    });
+
+    it('should classify groups from their options', () => {
+      expect(
+        classifyChoice({
+          name: 'model',
+          options: [{ label: 'Free' }, { label: 'Paid' }],
+        })
+      ).to.equal('pricing-tier');
+      expect(
+        classifyChoice({
+          groupLabel: 'Available on',
+          options: [{ label: 'iOS' }, { label: 'Android' }],
+        })
+      ).to.equal('platform');
+    });
+
+    it('should fall back to other', () => {
+      expect(classifyChoice({ name: 'featured' })).to.equal('other');
+    });
+  });
+
+  describe('buildChoiceMappings', () => {
+    const fields = [
+      { type: 'text', name: 'name' },
+      {
+        type: 'checkbox',
+        name: 'terms',
+        id: 'terms',
+        label: 'I accept the terms',
+        required: true,
+      },
+      { type: 'checkbox', name: 'news', label: 'Subscribe to our newsletter' },
+      { type: 'radio', name: 'pricing', value: 'free', label: 'Free' },
+      { type: 'radio', name: 'pricing', value: 'paid', label: 'Paid' },
+      { type: 'checkbox', name: 'platforms[]', value: 'web', label: 'Web' },
+      { type: 'checkbox', name: 'platforms[]', value: 'ios', label: 'iOS' },
+    ];
+
+    it('should map single boxes and group inputs sharing a name', () => {
+      const mapping = buildChoiceMappings(fields);
+
+      expect(Object.keys(mapping)).to.deep.equal([
+        'consent',
+        'newsletter',
+        'pricingTier',
+        'platform',
+      ]);
+      expect(mapping.consent).to.deep.equal({
+        selector: '#terms',
+        type: 'checkbox',
+        label: 'I accept the terms',
+        required: true,
+        kind: 'consent',
+      });
+      expect(mapping.pricingTier.type).to.equal('radio');
+      expect(mapping.pricingTier.options[1]).to.deep.equal({
+        value: 'paid',
+        label: 'Paid',
+        selector: 'input[name="pricing"][value="paid"]',
+      });
+      expect(mapping.platform.type).to.equal('checkbox-group');
+    });
+
+    it('should number repeated kinds', () => {
+      const mapping = buildChoiceMappings([
+        { type: 'checkbox', name: 'terms', label: 'I agree to the terms' },
+        {
+          type: 'checkbox',
+          name: 'privacy',
+          label: 'I accept the privacy policy',
+        },
+      ]);
+
+      expect(Object.keys(mapping)).to.deep.equal(['consent', 'consent2']);
+    });
+  });
+
+  describe('getChoicePolicy', () => {
+    it('should use the defaults', () => {
+      expect(getChoicePolicy({})).to.deep.equal(DEFAULT_CHOICE_POLICY);
+    });
+
+    it('should take pricing and explicit choices from the profile', () => {
+      const policy = getChoicePolicy({
+        pricing: 'Freemium',
+        choices: { newsletter: true, platforms: ['ios', 'android'] },
+      });
+
+      expect(policy).to.deep.equal({
+        consent: true,
+        newsletter: true,
+        pricingTier: 'Freemium',
+        platforms: ['ios', 'android'],
+      });
+    });
+  });
+
+  describe('resolveChoice', () => {
+    const policy = DEFAULT_CHOICE_POLICY;
+
+    it('should tick consent and untick newsletter boxes', () => {
+      expect(
+        resolveChoice(
+          {
+            type: 'checkbox',
+            kind: 'consent',
+            selector: '#tos',
+            label: 'Terms',
+          },
+          policy
+        )
+      ).to.deep.include({ check: ['#tos'], uncheck: [] });
+      expect(
+        resolveChoice(
+          { type: 'checkbox', kind: 'newsletter', selector: '#news' },
+          policy
+        )
+      ).to.deep.include({ check: [], uncheck: ['#news'] });
+    });
+
+    it('should pick the matching radio option', () => {
+      const entry = {
+        type: 'radio',
+        kind: 'pricing-tier',
+        options: [
+          { value: 'freemium', label: 'Freemium', selector: '#freemium' },
+          { value: 'free', label: 'Free', selector: '#free' },
+        ],
+      };
+
+      const result = resolveChoice(entry, policy);
+      expect(result.check).to.deep.equal(['#free']);
+      expect(result.chosen).to.deep.equal(['Free']);
+    });
+
+    it('should answer required radio groups even without a match', () => {
+      const result = resolveChoice(
+        {
+          type: 'radio',
+          kind: 'other',
+          required: true,
+          options: [
+            { label: 'Yes', selector: '#yes' },
+            { label: 'No', selector: '#no' },
+          ],
+        },
+        policy
+      );
+
+      expect(result.check).to.deep.equal(['#yes']);
+    });
+
+    it('should check wanted platforms and uncheck the rest', () => {
+      const result = resolveChoice(
+        {
+          type: 'checkbox-group',
+          kind: 'platform',
+          options: [
+            { label: 'Web', selector: '#web' },
+            { label: 'iOS', selector: '#ios' },
+            { label: 'Android', selector: '#android' },
+          ],
+        },
+        { ...policy, platforms: ['web', 'android'] }
+      );
+
+      expect(result.check).to.deep.equal(['#web', '#android']);
+      expect(result.uncheck).to.deep.equal(['#ios']);
+    });
+
+    it('should classify older mappings without a kind from their key', () => {
+      const result = resolveChoice(
+        { type: 'checkbox', selector: '[name="agree"]' },
+        policy,
+        'agree'
+      );
+
+      expect(result.kind).to.equal('consent');
+      expect(result.check).to.deep.equal(['[name="agree"]']);
+    });
+
+    it('should leave unknown optional boxes alone', () => {
+      const result = resolveChoice(
+        { type: 'checkbox', kind: 'other', selector: '#featured' },
+        policy
+      );
+
+      expect(result.check).to.deep.equal([]);
+      expect(result.uncheck).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { expect } from 'chai';
+import {
+  getComboboxKey,
+  normalizeOptionText,
+  scoreOption,
+} from '../src/utils/combobox.js';
+
+describe('Combobox', () => {
+  describe('normalizeOptionText', () => {
+    it('should lowercase and strip punctuation', () => {
+      expect(normalizeOptionText('  Developer Tools / APIs ')).to.equal(
+        'developer tools apis'
+      );
+      expect(normalizeOptionText('Design & UX')).to.equal('design and ux');
+      expect(normalizeOptionText(undefined)).to.equal('');
+    });
+  });
+
+  describe('scoreOption', () => {
+    it('should rank exact, contained and overlapping labels', () => {
+      expect(scoreOption('Productivity', 'productivity')).to.equal(1);
+      expect(scoreOption('Productivity Tools', 'Productivity')).to.equal(0.8);
+      expect(scoreOption('Marketing Automation', 'Sales Automation')).to.equal(
+        1 / 3
+      );
+      expect(scoreOption('Finance', 'Gaming')).to.equal(0);
+      expect(scoreOption('', 'Gaming')).to.equal(0);
+    });
+  });
+
+  describe('getComboboxKey', () => {
+    it('should map dropdowns from their label, name or id', () => {
+      expect(getComboboxKey({ label: 'Select a category' })).to.equal(
+        'category'
+      );
+      expect(getComboboxKey({ id: 'product-tags' })).to.equal('tags');
+      expect(getComboboxKey({ name: 'pricing_model' })).to.equal('pricing');
+      expect(getComboboxKey({ label: 'Country' })).to.be.null;
+    });
+  });
+});
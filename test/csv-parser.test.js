@@ -1,16 +1,22 @@
 import { expect } from 'chai';
-import { writeFile, unlink } from 'fs/promises';
+import { writeFile, readFile, unlink } from 'fs/promises';
 import {
+  parseCSV,
   parseDirectoriesCSV,
   filterByStatus,
   getUnsubmittedDirectories,
+  serializeDirectoriesCSV,
+  writeDirectoriesCSV,
+  updateDirectoryStatuses,
+  getEntryStatus,
 } from '../src/utils/csv-parser.js';
 
 describe('CSV Parser', () => {
   const testCsvPath = './test-directories.csv';
 
   // Sample CSV content for testing
-  const sampleCSV = `AI Tool Directory,https://example.com/ai,submitted
+  const sampleCSV = `name,url,status
+AI Tool Directory,https://example.com/ai,submitted
 Another Directory,https://example.com/another,
 Third Directory,https://example.com/third,submitted
 Fourth Directory,https://example.com/fourth,`;
@@ -77,6 +83,89 @@ Fourth Directory,https://example.com/fourth,`;
     });
   });
 
+  describe('parseCSV', () => {
+    it('should unescape doubled quotes inside quoted fields', () => {
+      const [record] = parseCSV('a,"<b class=""btn"">Go</b>",c');
+
+      expect(record.fields).to.deep.equal(['a', '<b class="btn">Go</b>', 'c']);
+    });
+
+    it('should handle CRLF line endings', () => {
+      const records = parseCSV(
+        'name,url,status\r\nA,https://a.test,submitted\r\n'
+      );
+
+      expect(records).to.have.lengthOf(2);
+      expect(records[1].fields[2]).to.equal('submitted');
+    });
+
+    it('should keep line breaks inside quoted fields', () => {
+      const records = parseCSV('a,"line one\nline two"\nb,c');
+
+      expect(records).to.have.lengthOf(2);
+      expect(records[0].fields[1]).to.equal('line one\nline two');
+      expect(records[1].line).to.equal(3);
+    });
+
+    it('should skip blank lines', () => {
+      const records = parseCSV('a,b\n\nc,d\n');
+
+      expect(records.map((r) => r.line)).to.deep.equal([1, 3]);
+    });
+
+    it('should report unterminated quotes with their position', () => {
+      expect(() => parseCSV('a,b\nc,"open')).to.throw(
+        'Invalid CSV format at line 2, column 3: unterminated quoted field'
+      );
+    });
+
+    it('should report stray characters after a closing quote', () => {
+      expect(() => parseCSV('"a"b,c')).to.throw(
+        'Invalid CSV format at line 1, column 4'
+      );
+    });
+  });
+
+  describe('parseDirectoriesCSV header mapping', () => {
+    const headerCsvPath = './test-directories-headers.csv';
+
+    afterEach(async () => {
+      try {
+        await unlink(headerCsvPath);
+      } catch (error) {
+        // Ignore if file doesn't exist
+      }
+    });
+
+    it('should map columns by header name in any order', async () => {
+      await writeFile(
+        headerCsvPath,
+        'Status,Homepage,Name\r\nsubmitted,https://a.test,Alpha\r\n'
+      );
+
+      const [directory] = await parseDirectoriesCSV(headerCsvPath);
+
+      expect(directory).to.include({
+        name: 'Alpha',
+        url: 'https://a.test',
+        status: 'submitted',
+        submit_url: '',
+      });
+    });
+
+    it('should report rows with too many columns', async () => {
+      await writeFile(headerCsvPath, 'name,url\nA,https://a.test\nB,b,extra');
+
+      try {
+        await parseDirectoriesCSV(headerCsvPath);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('line 3');
+        expect(error.cause.line).to.equal(3);
+      }
+    });
+  });
+
   describe('filterByStatus', () => {
     let directories;
 
@@ -100,6 +189,16 @@ Fourth Directory,https://example.com/fourth,`;
       expect(unsubmitted.every((dir) => dir.status === '')).to.be.true;
     });
 
+    it('should treat pending and empty status as the same', () => {
+      expect(filterByStatus(directories, 'pending')).to.have.lengthOf(2);
+    });
+
+    it('should filter by several statuses at once', () => {
+      const result = filterByStatus(directories, ['submitted', 'pending']);
+
+      expect(result).to.have.lengthOf(4);
+    });
+
     it('should return empty array for non-matching status', () => {
       const result = filterByStatus(directories, 'nonexistent');
 
@@ -131,4 +230,268 @@ Fourth Directory,https://example.com/fourth,`;
       expect(names).to.include('Fourth Directory');
     });
   });
+
+  describe('writeDirectoriesCSV', () => {
+    const roundTripPath = './test-directories-write.csv';
+    const roundTripCSV = `name,homepage,submit_url,submit_button,status
+Waildworld,https://waildworld.com/,,"<button class=""header__btn"" data-modal=""submit-tool"">Submit a tool</button>",
+FutureTools,https://www.futuretools.io/,https://www.futuretools.io/submit-a-tool,,submitted
+`;
+
+    beforeEach(async () => {
+      await writeFile(roundTripPath, roundTripCSV);
+    });
+
+    afterEach(async () => {
+      try {
+        await unlink(roundTripPath);
+      } catch (error) {
+        // Ignore if file doesn't exist
+      }
+    });
+
+    it('should quote fields containing quotes and commas', () => {
+      const csv = serializeDirectoriesCSV([
+        {
+          name: 'Acme, Inc',
+          url: 'https://acme.test',
+          submit_button: '<a class="btn">Go</a>',
+        },
+      ]);
+
+      expect(csv).to.include('"Acme, Inc"');
+      expect(csv).to.include('"<a class=""btn"">Go</a>"');
+    });
+
+    it('should write columns it does not know in the given header order', () => {
+      const csv = serializeDirectoriesCSV(
+        [{ name: 'Acme', url: 'https://acme.test', Notes: 'Paid, $9' }],
+        ['URL', 'Notes', 'name']
+      );
+
+      expect(csv.split('\n')).to.deep.equal([
+        'URL,Notes,name,submit_url,submit_button,status,updated_at',
+        'https://acme.test,"Paid, $9",Acme,,,,',
+        '',
+      ]);
+    });
+
+    it('should round-trip quoted submit_button HTML', async () => {
+      const directories = await parseDirectoriesCSV(roundTripPath);
+      await writeDirectoriesCSV(roundTripPath, directories);
+      const reparsed = await parseDirectoriesCSV(roundTripPath);
+
+      expect(reparsed[0].submit_button).to.equal(
+        '<button class="header__btn" data-modal="submit-tool">Submit a tool</button>'
+      );
+      expect(reparsed).to.deep.equal(directories);
+    });
+
+    it('should update status and timestamp from results', async () => {
+      const timestamp = '2025-01-01T00:00:00.000Z';
+      const updated = await updateDirectoryStatuses(roundTripPath, [
+        {
+          name: 'Waildworld',
+          result: { success: true, submitted: true },
+          timestamp,
+        },
+      ]);
+
+      const directories = await parseDirectoriesCSV(roundTripPath);
+      const content = await readFile(roundTripPath, 'utf-8');
+
+      expect(updated).to.equal(1);
+      expect(directories[0].status).to.equal('submitted');
+      expect(directories[0].updated_at).to.equal(timestamp);
+      expect(directories[1].status).to.equal('submitted');
+      expect(directories[1].updated_at).to.equal('');
+      expect(content.split('\n')[0]).to.equal(
+        'name,homepage,submit_url,submit_button,status,updated_at'
+      );
+    });
+
+    it('should append transitions to the status history', async () => {
+      const historyPath = './test-directories-history.json';
+
+      try {
+        await updateDirectoryStatuses(
+          roundTripPath,
+          [
+            {
+              name: 'Waildworld',
+              result: { requiresManual: true, message: 'Manual submission' },
+              timestamp: '2025-01-01T00:00:00.000Z',
+            },
+          ],
+          { historyPath }
+        );
+
+        const history = JSON.parse(await readFile(historyPath, 'utf-8'));
+        expect(history.Waildworld).to.deep.equal([
+          {
+            from: 'pending',
+            to: 'manual-required',
+            at: '2025-01-01T00:00:00.000Z',
+            note: 'Manual submission',
+          },
+        ]);
+      } finally {
+        await unlink(historyPath);
+      }
+    });
+
+    it('should mark paid listings skipped over budget as paid-only', async () => {
+      await updateDirectoryStatuses(roundTripPath, [
+        {
+          name: 'Waildworld',
+          result: { success: false, failureReason: 'paid-only' },
+        },
+      ]);
+
+      const directories = await parseDirectoriesCSV(roundTripPath);
+
+      expect(directories[0].status).to.equal('paid-only');
+    });
+
+    it('should leave paid listings to pay for as manual-required', async () => {
+      await updateDirectoryStatuses(roundTripPath, [
+        {
+          name: 'Waildworld',
+          result: {
+            success: true,
+            submitted: true,
+            paymentRequired: true,
+          },
+        },
+      ]);
+
+      const directories = await parseDirectoriesCSV(roundTripPath);
+
+      expect(directories[0].status).to.equal('manual-required');
+    });
+
+    it('should keep the columns, headers and order of the file', async () => {
+      await writeFile(
+        roundTripPath,
+        `Website,Notes,Name,Status
+https://waildworld.com/,"Asked for a logo, 512px",Waildworld,
+`
+      );
+
+      await updateDirectoryStatuses(roundTripPath, [
+        {
+          name: 'Waildworld',
+          result: { requiresManual: true },
+          timestamp: '2025-01-01T00:00:00.000Z',
+        },
+      ]);
+
+      expect(await readFile(roundTripPath, 'utf-8')).to.equal(
+        `Website,Notes,Name,Status,submit_url,submit_button,updated_at
+https://waildworld.com/,"Asked for a logo, 512px",Waildworld,manual-required,,,2025-01-01T00:00:00.000Z
+`
+      );
+    });
+
+    it('should not mark unverified successes as submitted', async () => {
+      await updateDirectoryStatuses(roundTripPath, [
+        {
+          name: 'Waildworld',
+          result: { success: true, message: 'Successfully visited Waildworld' },
+        },
+      ]);
+
+      const directories = await parseDirectoriesCSV(roundTripPath);
+
+      expect(directories[0].status).to.equal('');
+    });
+
+    it('should set statuses chosen by hand, with their note', async () => {
+      const historyPath = './test-directories-history.json';
+
+      try {
+        await updateDirectoryStatuses(
+          roundTripPath,
+          [{ name: 'FutureTools', status: 'live', note: 'Listed on page 2' }],
+          { historyPath }
+        );
+
+        const directories = await parseDirectoriesCSV(roundTripPath);
+        const history = JSON.parse(await readFile(historyPath, 'utf-8'));
+
+        expect(directories[1].status).to.equal('live');
+        expect(history.FutureTools[0]).to.include({
+          from: 'submitted',
+          to: 'live',
+          note: 'Listed on page 2',
+        });
+      } finally {
+        await unlink(historyPath);
+      }
+    });
+
+    it('should put unfinished in-progress rows back to pending', async () => {
+      await updateDirectoryStatuses(roundTripPath, [
+        { name: 'Waildworld', status: 'in-progress' },
+      ]);
+      await updateDirectoryStatuses(roundTripPath, [
+        { name: 'Waildworld' },
+        { name: 'FutureTools' },
+      ]);
+
+      const directories = await parseDirectoriesCSV(roundTripPath);
+
+      expect(directories[0].status).to.equal('pending');
+      expect(directories[1].status).to.equal('submitted');
+      expect(directories[1].updated_at).to.equal('');
+    });
+
+    it('should leave status unchanged for failed attempts', async () => {
+      await updateDirectoryStatuses(roundTripPath, [
+        {
+          name: 'Waildworld',
+          result: { success: false, message: 'Timeout' },
+          timestamp: '2025-01-01T00:00:00.000Z',
+        },
+      ]);
+
+      const directories = await parseDirectoriesCSV(roundTripPath);
+
+      expect(directories[0].status).to.equal('');
+      expect(directories[0].updated_at).to.equal('2025-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('getEntryStatus', () => {
+    it('should follow the result, or the status set by hand', () => {
+      expect(
+        getEntryStatus(
+          { result: { success: true, submitted: true } },
+          'in-progress'
+        )
+      ).to.equal('submitted');
+      expect(
+        getEntryStatus(
+          {
+            result: {
+              success: true,
+              submitted: true,
+              awaitingEmailConfirmation: true,
+            },
+          },
+          'in-progress'
+        )
+      ).to.equal('awaiting-email-confirmation');
+      expect(getEntryStatus({ status: 'approved' }, 'submitted')).to.equal(
+        'approved'
+      );
+    });
+
+    it('should undo in-progress when the attempt changed nothing', () => {
+      const failed = { result: { success: false, message: 'Timeout' } };
+
+      expect(getEntryStatus(failed, 'in-progress')).to.equal('pending');
+      expect(getEntryStatus(failed, 'manual-required')).to.be.null;
+    });
+  });
 });
@@ -0,0 +1,233 @@
+import { expect } from 'chai';
+import {
+  adaptValue,
+  checkValue,
+  describeConstraints,
+  findVariants,
+  getFieldConstraints,
+  hasConstraints,
+  truncateAtWord,
+} from '../src/utils/field-constraints.js';
+
+describe('Field Constraints', () => {
+  const description =
+    'Writes release notes from your commits. Connects to GitHub in a minute and posts to Slack.';
+
+  describe('getFieldConstraints', () => {
+    it('should prefer the attributes on the page', () => {
+      expect(
+        getFieldConstraints(
+          { maxLength: 200, minLength: 10 },
+          { maxLength: 120, minLength: -1, pattern: '' }
+        )
+      ).to.deep.equal({ minLength: 10, maxLength: 120, pattern: null });
+    });
+
+    it('should treat -1 and 0 as no limit', () => {
+      const constraints = getFieldConstraints(
+        { maxLength: -1, minLength: 0 },
+        { maxLength: -1 }
+      );
+
+      expect(constraints.maxLength).to.be.null;
+      expect(hasConstraints(constraints)).to.equal(false);
+    });
+
+    it('should read the pattern from either source', () => {
+      expect(getFieldConstraints({ pattern: '[a-z]+' }).pattern).to.equal(
+        '[a-z]+'
+      );
+      expect(hasConstraints(getFieldConstraints({ pattern: '[a-z]+' }))).to.be
+        .true;
+    });
+  });
+
+  describe('checkValue', () => {
+    it('should find values that are too long or too short', () => {
+      expect(checkValue('abcdef', { maxLength: 5 })).to.deep.equal([
+        'too-long',
+      ]);
+      expect(checkValue('ab', { minLength: 5 })).to.deep.equal(['too-short']);
+      expect(checkValue('abcde', { minLength: 5, maxLength: 5 })).to.deep.equal(
+        []
+      );
+    });
+
+    it('should match patterns against the whole value', () => {
+      expect(checkValue('my-tool', { pattern: '[a-z-]+' })).to.deep.equal([]);
+      expect(checkValue('My Tool', { pattern: '[a-z-]+' })).to.deep.equal([
+        'pattern-mismatch',
+      ]);
+      expect(checkValue('a|b', { pattern: 'a|b' })).to.deep.equal([
+        'pattern-mismatch',
+      ]);
+    });
+
+    it('should ignore patterns that do not compile and empty values', () => {
+      expect(checkValue('x', { pattern: '(' })).to.deep.equal([]);
+      expect(checkValue('', { pattern: '[a-z]+' })).to.deep.equal([]);
+    });
+  });
+
+  describe('describeConstraints', () => {
+    it('should describe limits and patterns', () => {
+      expect(describeConstraints({ minLength: 20, maxLength: 120 })).to.equal(
+        '20-120 characters'
+      );
+      expect(
+        describeConstraints({ maxLength: 120, pattern: '[A-Za-z ]+' })
+      ).to.equal('at most 120 characters, matching [A-Za-z ]+');
+      expect(describeConstraints({ minLength: 50 })).to.equal(
+        'at least 50 characters'
+      );
+    });
+  });
+
+  describe('truncateAtWord', () => {
+    it('should leave short text alone', () => {
+      expect(truncateAtWord('Short', 10)).to.equal('Short');
+    });
+
+    it('should not cut words in half', () => {
+      const text = truncateAtWord('Writes release notes from commits', 17);
+
+      expect(text).to.equal('Writes release');
+    });
+
+    it('should keep a word ending right at the limit', () => {
+      expect(truncateAtWord('Writes release notes', 14)).to.equal(
+        'Writes release'
+      );
+    });
+
+    it('should end at a sentence when that keeps most of the text', () => {
+      const text = truncateAtWord(description, 60);
+
+      expect(text).to.equal('Writes release notes from your commits.');
+    });
+
+    it('should drop trailing punctuation', () => {
+      expect(truncateAtWord('Notes, commits, and more', 16)).to.equal(
+        'Notes, commits'
+      );
+    });
+
+    it('should cut a single long word at the limit', () => {
+      expect(truncateAtWord('Supercalifragilistic', 5)).to.equal('Super');
+    });
+  });
+
+  describe('findVariants', () => {
+    const data = {
+      description,
+      shortDescription: 'Release notes from commits',
+      long_description: `${description} And more.`,
+      metaDescription: 'Release notes',
+      description_long: 'Not a variant',
+      tagline: 'Ship notes',
+      tags: ['a'],
+    };
+
+    it('should find the short and long versions of the field', () => {
+      expect(
+        findVariants('description', data).map(({ key }) => key)
+      ).to.deep.equal(['shortDescription', 'long_description']);
+    });
+
+    it('should not take other keys containing the field name', () => {
+      expect(
+        findVariants('url', {
+          url: 'https://example.com',
+          logoUrl: 'https://example.com/logo.png',
+          screenshotUrl: 'https://example.com/shot.png',
+        })
+      ).to.deep.equal([]);
+      expect(
+        findVariants('name', { username: 'me', companyName: 'Acme' })
+      ).to.deep.equal([]);
+    });
+
+    it('should use the keys a mapping entry lists', () => {
+      expect(
+        findVariants('description', data, ['tagline', 'tags'])
+      ).to.deep.equal([{ key: 'tagline', value: 'Ship notes' }]);
+    });
+  });
+
+  describe('adaptValue', () => {
+    it('should keep values that fit', async () => {
+      expect(await adaptValue('My Tool', { maxLength: 20 })).to.deep.equal({
+        value: 'My Tool',
+        adaptation: null,
+      });
+    });
+
+    it('should pick the longest variant that fits', async () => {
+      const { value, adaptation } = await adaptValue(
+        description,
+        { maxLength: 40 },
+        {
+          variants: [
+            { key: 'tagline', value: 'Ship notes' },
+            { key: 'shortDescription', value: 'Release notes from commits' },
+          ],
+          rewrite: () => 'never asked',
+        }
+      );
+
+      expect(value).to.equal('Release notes from commits');
+      expect(adaptation).to.include({
+        method: 'variant',
+        variant: 'shortDescription',
+        from: description,
+        to: value,
+      });
+      expect(adaptation.problems).to.deep.equal(['too-long']);
+    });
+
+    it('should ask for a rewrite when no variant fits', async () => {
+      const asked = [];
+      const { value, adaptation } = await adaptValue(
+        description,
+        { maxLength: 40 },
+        {
+          rewrite: (text, constraints) => {
+            asked.push([text, constraints]);
+            return Promise.resolve('Release notes from your commits');
+          },
+        }
+      );
+
+      expect(value).to.equal('Release notes from your commits');
+      expect(adaptation.method).to.equal('rewrite');
+      expect(asked).to.deep.equal([[description, { maxLength: 40 }]]);
+    });
+
+    it('should truncate when the rewrite fails or does not fit', async () => {
+      const failing = await adaptValue(
+        description,
+        { maxLength: 40 },
+        { rewrite: () => Promise.reject(new Error('quota')) }
+      );
+      const tooLong = await adaptValue(
+        description,
+        { maxLength: 40 },
+        { rewrite: () => description }
+      );
+
+      expect(failing.value).to.equal('Writes release notes from your commits.');
+      expect(failing.adaptation.method).to.equal('truncate');
+      expect(tooLong.adaptation.method).to.equal('truncate');
+    });
+
+    it('should use values it cannot fix as they are', async () => {
+      const { value, adaptation } = await adaptValue('My Tool', {
+        pattern: '[a-z]+',
+      });
+
+      expect(value).to.equal('My Tool');
+      expect(adaptation).to.include({ method: 'none', to: 'My Tool' });
+      expect(adaptation.problems).to.deep.equal(['pattern-mismatch']);
+    });
+  });
+});
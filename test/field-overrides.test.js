@@ -0,0 +1,229 @@
+import { expect } from 'chai';
+import { unlink, writeFile } from 'fs/promises';
+import {
+  describeOverride,
+  getOverrideLayers,
+  loadFieldOverrides,
+  renderTemplate,
+  resolveSubmissionData,
+} from '../src/utils/field-overrides.js';
+
+describe('Field Overrides', () => {
+  const profile = {
+    name: 'My Tool',
+    description: 'A long description of everything My Tool does for you',
+    category: 'SaaS',
+    tags: ['ai', 'writing'],
+  };
+
+  describe('loadFieldOverrides', () => {
+    const testFile = './test-field-overrides.json';
+
+    afterEach(async () => {
+      await unlink(testFile).catch(() => {});
+    });
+
+    it('should return no overrides when the file is missing', async () => {
+      expect(await loadFieldOverrides(testFile)).to.deep.equal({});
+    });
+
+    it('should read the overrides file', async () => {
+      await writeFile(testFile, JSON.stringify({ A: { category: 'AI' } }));
+
+      expect(await loadFieldOverrides(testFile)).to.deep.equal({
+        A: { category: 'AI' },
+      });
+    });
+
+    it('should reject invalid JSON', async () => {
+      await writeFile(testFile, '{');
+
+      try {
+        await loadFieldOverrides(testFile);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to read field overrides');
+      }
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill in placeholders', () => {
+      expect(
+        renderTemplate('{{ name }} - {{category}}', profile)
+      ).to.deep.equal({ text: 'My Tool - SaaS', missing: [] });
+    });
+
+    it('should join lists with commas', () => {
+      expect(renderTemplate('Tags: {{tags}}', profile).text).to.equal(
+        'Tags: ai, writing'
+      );
+    });
+
+    it('should leave unknown placeholders empty and report them', () => {
+      expect(renderTemplate('{{name}} {{tagline}}', profile)).to.deep.equal({
+        text: 'My Tool',
+        missing: ['tagline'],
+      });
+    });
+
+    it('should use text without placeholders as it is', () => {
+      expect(renderTemplate('Twitter', profile).text).to.equal('Twitter');
+    });
+  });
+
+  describe('getOverrideLayers', () => {
+    const overrides = {
+      '*': { shortDescription: 'Short' },
+      'example.com': { category: 'AI' },
+      Example: { category: 'Writing' },
+      Other: { category: 'Other' },
+    };
+
+    it('should order layers from least to most specific', () => {
+      const layers = getOverrideLayers(
+        overrides,
+        { name: 'Example', url: 'https://www.example.com/submit' },
+        { values: { tags: ['ai'] } }
+      );
+
+      expect(layers.map(({ source }) => source)).to.deep.equal([
+        '*',
+        'site config',
+        'example.com',
+        'Example',
+      ]);
+    });
+
+    it('should prefer the submit URL host', () => {
+      const layers = getOverrideLayers(overrides, {
+        name: 'Elsewhere',
+        url: 'https://elsewhere.test',
+        submit_url: 'https://example.com/new',
+      });
+
+      expect(layers.map(({ source }) => source)).to.deep.equal([
+        '*',
+        'example.com',
+      ]);
+    });
+
+    it('should skip missing layers', () => {
+      expect(
+        getOverrideLayers({}, { name: 'A', url: 'https://a.test' }, null)
+      ).to.deep.equal([]);
+    });
+  });
+
+  describe('resolveSubmissionData', () => {
+    it('should return the profile when nothing is overridden', () => {
+      expect(resolveSubmissionData(profile, [])).to.deep.equal({
+        data: profile,
+        overridden: [],
+      });
+    });
+
+    it('should let later layers win', () => {
+      const { data, overridden } = resolveSubmissionData(profile, [
+        { source: 'site config', values: { category: 'AI' } },
+        { source: 'Example', values: { category: 'Writing' } },
+      ]);
+
+      expect(data.category).to.equal('Writing');
+      expect(overridden).to.deep.equal([
+        { field: 'category', value: 'Writing', source: 'Example', missing: [] },
+      ]);
+    });
+
+    it('should let templates use variants and profile values', () => {
+      const { data, overridden } = resolveSubmissionData(profile, [
+        { source: '*', values: { shortDescription: 'Writes release notes' } },
+        {
+          source: 'Example',
+          values: {
+            description: '{{shortDescription}}',
+            tagline: '{{name}}: {{shortDescription}}',
+          },
+        },
+      ]);
+
+      expect(data).to.include({
+        description: 'Writes release notes',
+        tagline: 'My Tool: Writes release notes',
+      });
+      // Variants are not overrides in themselves
+      expect(overridden.map(({ field }) => field)).to.deep.equal([
+        'description',
+        'tagline',
+      ]);
+    });
+
+    it('should fill templates from the data before their own layer', () => {
+      const { data } = resolveSubmissionData(profile, [
+        {
+          source: 'Example',
+          values: { name: 'Renamed', tagline: '{{name}}!' },
+        },
+      ]);
+
+      expect(data.tagline).to.equal('My Tool!');
+    });
+
+    it('should keep constants as they are and drop null fields', () => {
+      const { data, overridden } = resolveSubmissionData(profile, [
+        {
+          source: 'Example',
+          values: { tags: ['ai'], agreeToTerms: false, category: null },
+        },
+      ]);
+
+      expect(data.tags).to.deep.equal(['ai']);
+      expect(data.agreeToTerms).to.equal(false);
+      expect(data).to.not.have.property('category');
+      expect(overridden.find(({ field }) => field === 'category').value).to.be
+        .null;
+    });
+
+    it('should not list values equal to the profile', () => {
+      const { overridden } = resolveSubmissionData(profile, [
+        {
+          source: 'Example',
+          values: { category: 'SaaS', tags: ['ai', 'writing'] },
+        },
+      ]);
+
+      expect(overridden).to.deep.equal([]);
+    });
+
+    it('should report placeholders without a value', () => {
+      const { overridden } = resolveSubmissionData(profile, [
+        { source: 'Example', values: { tagline: '{{slogan}}' } },
+      ]);
+
+      expect(overridden[0].missing).to.deep.equal(['slogan']);
+    });
+  });
+
+  describe('describeOverride', () => {
+    it('should show the field and its value', () => {
+      expect(describeOverride({ field: 'category', value: 'AI' })).to.equal(
+        'category: AI'
+      );
+      expect(describeOverride({ field: 'tags', value: ['a', 'b'] })).to.equal(
+        'tags: a, b'
+      );
+      expect(describeOverride({ field: 'tags', value: null })).to.equal(
+        'tags: (left empty)'
+      );
+    });
+
+    it('should cut long values short', () => {
+      const text = describeOverride(
+        { field: 'description', value: 'x'.repeat(100) },
+        20
+      );
+
+      expect(text).to.equal(`description: ${'x'.repeat(19)}…`);
+    });
+  });
+});
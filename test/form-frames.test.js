@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import {
+  detectFormProvider,
+  frameAsPage,
+  frameUrlKey,
+  getFormProvider,
+  isFormFrameCandidate,
+  pickFormFrame,
+} from '../src/utils/form-frames.js';
+
+describe('Form Frames', () => {
+  describe('detectFormProvider', () => {
+    it('should recognise hosted form builders by URL', () => {
+      expect(detectFormProvider('https://tally.so/embed/wMdk4E').name).to.equal(
+        'tally'
+      );
+      expect(
+        detectFormProvider('https://acme.typeform.com/to/abc123').name
+      ).to.equal('typeform');
+      expect(
+        detectFormProvider('https://form.jotform.com/230123456789').name
+      ).to.equal('jotform');
+    });
+
+    it('should check the path for Google Forms', () => {
+      expect(
+        detectFormProvider('https://docs.google.com/forms/d/e/1FAIpQL/viewform')
+          .name
+      ).to.equal('google-forms');
+      expect(detectFormProvider('https://docs.google.com/document/d/1')).to.be
+        .null;
+    });
+
+    it('should return null for other URLs', () => {
+      expect(detectFormProvider('https://example.com/submit')).to.be.null;
+      expect(detectFormProvider('https://nottally.so/form')).to.be.null;
+      expect(detectFormProvider('about:blank')).to.be.null;
+    });
+  });
+
+  describe('getFormProvider', () => {
+    it('should look providers up by name', () => {
+      expect(getFormProvider('airtable').hosts).to.deep.equal(['airtable.com']);
+      expect(getFormProvider('unknown')).to.be.null;
+      expect(getFormProvider(undefined)).to.be.null;
+    });
+  });
+
+  describe('frameUrlKey', () => {
+    it('should drop the query string and hash', () => {
+      expect(
+        frameUrlKey('https://tally.so/embed/wMdk4E?alignLeft=1&t=99#top')
+      ).to.equal('https://tally.so/embed/wMdk4E');
+    });
+
+    it('should return null for non-http frames', () => {
+      expect(frameUrlKey('about:blank')).to.be.null;
+      expect(frameUrlKey('')).to.be.null;
+    });
+  });
+
+  describe('isFormFrameCandidate', () => {
+    it('should skip CAPTCHA, video and payment embeds', () => {
+      expect(
+        isFormFrameCandidate('https://www.google.com/recaptcha/api2/anchor?k=1')
+      ).to.be.false;
+      expect(isFormFrameCandidate('https://www.youtube.com/embed/xyz')).to.be
+        .false;
+      expect(isFormFrameCandidate('about:blank')).to.be.false;
+      expect(isFormFrameCandidate('https://forms.example.com/f/1')).to.be.true;
+    });
+  });
+
+  describe('pickFormFrame', () => {
+    it('should pick the frame with the most fields', () => {
+      expect(
+        pickFormFrame([
+          { name: 'newsletter' },
+          { frame: 'https://tally.so/embed/a' },
+          { frame: 'https://tally.so/embed/a' },
+        ])
+      ).to.equal('https://tally.so/embed/a');
+    });
+
+    it('should prefer the top document on a tie', () => {
+      expect(pickFormFrame([{ name: 'email' }, { frame: 'https://x.test/f' }]))
+        .to.be.null;
+      expect(pickFormFrame([])).to.be.null;
+    });
+  });
+
+  describe('frameAsPage', () => {
+    it('should use frame methods and fall back to the page', () => {
+      const page = {
+        keyboard: { press: () => 'key' },
+        url: () => 'https://example.com',
+      };
+      const frame = {
+        name: 'frame',
+        url() {
+          return `https://tally.so/${this.name}`;
+        },
+      };
+      const framePage = frameAsPage(page, frame);
+
+      expect(framePage.url()).to.equal('https://tally.so/frame');
+      expect(framePage.keyboard.press()).to.equal('key');
+    });
+  });
+});
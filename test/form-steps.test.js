@@ -0,0 +1,101 @@
+import { expect } from 'chai';
+import { getFormSteps, validateFormSteps } from '../src/utils/form-steps.js';
+
+describe('Form Steps', () => {
+  const wizard = {
+    steps: [
+      {
+        name: 'Basics',
+        fields: { name: { selector: '#name' } },
+        advanceButton: { selector: '.next' },
+        waitFor: { selector: '#description' },
+      },
+      {
+        fields: { description: { selector: '#description' } },
+      },
+    ],
+    submitButton: { selector: 'button[type=submit]' },
+  };
+
+  describe('getFormSteps', () => {
+    it('should treat a single-page form as one step', () => {
+      const steps = getFormSteps({
+        fields: { email: { selector: '#email' } },
+        submitButton: { selector: '#send' },
+      });
+
+      expect(steps).to.have.lengthOf(1);
+      expect(steps[0]).to.deep.equal({
+        name: 'Step 1',
+        fields: { email: { selector: '#email' } },
+        advanceButton: null,
+        waitFor: null,
+        submitButton: { selector: '#send' },
+      });
+    });
+
+    it('should keep wizard steps in order', () => {
+      const steps = getFormSteps(wizard);
+
+      expect(steps.map((step) => step.name)).to.deep.equal([
+        'Basics',
+        'Step 2',
+      ]);
+      expect(steps[0].advanceButton).to.deep.equal({ selector: '.next' });
+      expect(steps[0].submitButton).to.be.null;
+      expect(steps[1].submitButton).to.deep.equal({
+        selector: 'button[type=submit]',
+      });
+    });
+
+    it('should prefer the last step submit button over the form one', () => {
+      const steps = getFormSteps({
+        ...wizard,
+        steps: [wizard.steps[0], { submitButton: { selector: '#finish' } }],
+      });
+
+      expect(steps[1].submitButton).to.deep.equal({ selector: '#finish' });
+      expect(steps[1].fields).to.deep.equal({});
+    });
+
+    it('should return no steps without a form', () => {
+      expect(getFormSteps(null)).to.deep.equal([]);
+    });
+  });
+
+  describe('validateFormSteps', () => {
+    it('should accept valid wizards and forms without steps', () => {
+      expect(validateFormSteps(wizard)).to.deep.equal([]);
+      expect(validateFormSteps({ fields: {} })).to.deep.equal([]);
+      expect(validateFormSteps(undefined)).to.deep.equal([]);
+    });
+
+    it('should require advance buttons on every step but the last', () => {
+      const errors = validateFormSteps({
+        ...wizard,
+        steps: [{ name: 'Basics', fields: {} }, wizard.steps[1]],
+      });
+
+      expect(errors).to.deep.equal([
+        'Step 1 (Basics): advanceButton.selector is required',
+      ]);
+    });
+
+    it('should report empty steps, bad waits and a missing submit button', () => {
+      expect(validateFormSteps({ steps: [] })).to.deep.equal([
+        'steps must be a non-empty array',
+      ]);
+
+      const errors = validateFormSteps({
+        steps: [
+          { fields: {}, advanceButton: { selector: '.next' }, waitFor: {} },
+          { fields: {} },
+        ],
+      });
+      expect(errors).to.deep.equal([
+        'Step 1: waitFor needs a selector, navigation or delay',
+        'Last step has no submitButton',
+      ]);
+    });
+  });
+});
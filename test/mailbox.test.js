@@ -0,0 +1,182 @@
+import { expect } from 'chai';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import {
+  decodeHeader,
+  extractLinks,
+  findVerificationLink,
+  parseMessage,
+  readMailbox,
+  splitMbox,
+  waitForVerificationLink,
+} from '../src/utils/mailbox.js';
+
+const verificationEmail = [
+  'From: BetaList <hello@betalist.com>',
+  'To: me@example.com',
+  'Subject: =?UTF-8?B?Q29uZmlybSB5b3VyIGVtYWlsIOKckw==?=',
+  'Date: Mon, 05 Jan 2026 10:00:00 +0000',
+  'Content-Type: multipart/alternative; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Welcome! Confirm here: https://betalist.com/users/confirmation?confirmation_t=',
+  'oken=3Dabc123',
+  'Unsubscribe: https://betalist.com/unsubscribe?u=1',
+  '--b1',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<a href="https://betalist.com/users/confirmation?confirmation_token=abc123&amp;x=1">Confirm</a>',
+  '--b1--',
+  '',
+].join('\n');
+
+describe('Mailbox', () => {
+  describe('parseMessage', () => {
+    it('should decode headers and multipart bodies', () => {
+      const message = parseMessage(verificationEmail);
+
+      expect(message.from).to.equal('BetaList <hello@betalist.com>');
+      expect(message.subject).to.equal('Confirm your email ✓');
+      expect(message.date.toISOString()).to.equal('2026-01-05T10:00:00.000Z');
+      expect(message.body).to.include(
+        'https://betalist.com/users/confirmation?confirmation_token=abc123'
+      );
+    });
+
+    it('should decode base64 bodies and tolerate a missing date', () => {
+      const message = parseMessage(
+        [
+          'Subject: Hi',
+          'Content-Transfer-Encoding: base64',
+          '',
+          Buffer.from('Hello there').toString('base64'),
+        ].join('\r\n')
+      );
+
+      expect(message.body).to.equal('Hello there');
+      expect(message.date).to.be.null;
+    });
+  });
+
+  describe('decodeHeader', () => {
+    it('should decode Q-encoded words', () => {
+      expect(decodeHeader('=?utf-8?Q?Caf=C3=A9_list?=')).to.equal('Café list');
+      expect(decodeHeader(undefined)).to.equal('');
+    });
+  });
+
+  describe('splitMbox', () => {
+    it('should split messages and unescape From lines', () => {
+      const messages = splitMbox(
+        'From a@x Mon Jan  5 10:00:00 2026\nSubject: One\n\n>From here\nFrom b@x Mon Jan  5 11:00:00 2026\nSubject: Two\n\nBody\n'
+      );
+
+      expect(messages).to.have.length(2);
+      expect(messages[0]).to.include('\nFrom here');
+    });
+  });
+
+  describe('extractLinks', () => {
+    it('should find unique links and unescape HTML entities', () => {
+      expect(
+        extractLinks(
+          'Go to https://a.test/x). Or <a href="https://a.test/y?a=1&amp;b=2">y</a> https://a.test/x'
+        )
+      ).to.deep.equal(['https://a.test/x', 'https://a.test/y?a=1&b=2']);
+    });
+  });
+
+  describe('findVerificationLink', () => {
+    const messages = [
+      parseMessage(verificationEmail),
+      {
+        from: 'news@other.test',
+        subject: 'Verify your account',
+        body: 'https://other.test/verify?t=1',
+        date: new Date('2026-01-05T11:00:00Z'),
+      },
+    ];
+
+    it('should pick the verification link from the directory email', () => {
+      const found = findVerificationLink(messages, {
+        host: 'betalist.com',
+        name: 'BetaList',
+      });
+
+      expect(found.link).to.equal(
+        'https://betalist.com/users/confirmation?confirmation_token=abc123'
+      );
+      expect(found.message.subject).to.equal('Confirm your email ✓');
+    });
+
+    it('should ignore messages from before the registration', () => {
+      expect(
+        findVerificationLink(messages, {
+          host: 'betalist.com',
+          since: new Date('2026-01-06T00:00:00Z'),
+        })
+      ).to.be.null;
+    });
+
+    it('should return null when no message has a verification link', () => {
+      expect(
+        findVerificationLink(
+          [{ from: 'x@y.test', subject: 'Hi', body: 'https://y.test/blog' }],
+          { host: 'y.test' }
+        )
+      ).to.be.null;
+    });
+  });
+
+  describe('readMailbox', () => {
+    const maildir = './test-maildir';
+    const mbox = './test-mailbox.mbox';
+
+    after(async () => {
+      await rm(maildir, { recursive: true, force: true });
+      await rm(mbox, { force: true });
+    });
+
+    it('should read new and cur messages from a Maildir', async () => {
+      await mkdir(`${maildir}/new`, { recursive: true });
+      await mkdir(`${maildir}/cur`, { recursive: true });
+      await writeFile(`${maildir}/new/1.eml`, verificationEmail);
+      await writeFile(`${maildir}/cur/2.eml`, 'Subject: Old\n\nHello');
+
+      const messages = await readMailbox(maildir);
+
+      expect(messages.map((message) => message.subject)).to.have.members([
+        'Confirm your email ✓',
+        'Old',
+      ]);
+      // Messages without a Date header get the file time
+      expect(messages.every((message) => message.date instanceof Date)).to.be
+        .true;
+    });
+
+    it('should read an mbox file', async () => {
+      await writeFile(
+        mbox,
+        `From hello@betalist.com Mon Jan  5 10:00:00 2026\n${verificationEmail}`
+      );
+
+      const found = await waitForVerificationLink(
+        mbox,
+        { host: 'betalist.com' },
+        { timeout: 0 }
+      );
+      expect(found.link).to.include('confirmation_token=abc123');
+    });
+
+    it('should reject a missing mailbox', async () => {
+      try {
+        await readMailbox('./no-such-mailbox');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to read mailbox');
+      }
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { expect } from 'chai';
+import { unlink, writeFile } from 'fs/promises';
+import {
+  findSynonyms,
+  getMappedValue,
+  loadOptionMappings,
+  matchOption,
+} from '../src/utils/option-matcher.js';
+
+describe('Option Matcher', () => {
+  const options = [
+    { value: '', text: 'Choose a category' },
+    { value: '3', text: 'Software' },
+    { value: '7', text: 'Artificial Intelligence' },
+    { value: '9', text: 'Developer Tools' },
+    { value: '12', text: 'Other' },
+  ];
+
+  describe('matchOption', () => {
+    it('should match labels and values exactly', () => {
+      expect(matchOption(options, 'developer tools')).to.include({
+        value: '9',
+        text: 'Developer Tools',
+        reason: 'exact',
+        score: 1,
+      });
+      expect(matchOption(options, '7')).to.include({ reason: 'exact' });
+    });
+
+    it('should match similar labels', () => {
+      expect(matchOption(options, 'Developer')).to.include({
+        value: '9',
+        reason: 'similar',
+      });
+    });
+
+    it('should match through synonyms', () => {
+      const match = matchOption(options, 'SaaS');
+
+      expect(match).to.include({
+        text: 'Software',
+        reason: 'synonym',
+        term: 'software',
+      });
+      expect(match.score).to.be.below(1);
+      expect(matchOption(options, 'AI Tools').text).to.equal(
+        'Artificial Intelligence'
+      );
+    });
+
+    it('should prefer the mapping table, host entries first', () => {
+      const mappings = {
+        '*': { SaaS: 'Developer Tools' },
+        'example.com': { saas: 'Other' },
+      };
+
+      expect(matchOption(options, 'SaaS', { mappings })).to.include({
+        text: 'Developer Tools',
+        reason: 'mapping',
+      });
+      expect(
+        matchOption(options, 'SaaS', { mappings, host: 'example.com' })
+      ).to.include({ text: 'Other', reason: 'mapping' });
+    });
+
+    it('should ignore mappings to options the directory does not have', () => {
+      const mappings = { '*': { SaaS: 'Cloud' } };
+
+      expect(matchOption(options, 'SaaS', { mappings }).reason).to.equal(
+        'synonym'
+      );
+    });
+
+    it('should fall back to Other, and never pick the placeholder', () => {
+      expect(matchOption(options, 'Gardening')).to.include({
+        text: 'Other',
+        reason: 'fallback',
+      });
+      expect(matchOption(options.slice(0, 4), 'Gardening')).to.be.null;
+      expect(matchOption(options, 'Choose a category').reason).to.equal(
+        'fallback'
+      );
+    });
+
+    it('should accept plain option labels', () => {
+      expect(matchOption(['Design', 'Marketing'], 'UX')).to.include({
+        text: 'Design',
+        index: 0,
+        reason: 'synonym',
+      });
+    });
+  });
+
+  describe('findSynonyms', () => {
+    it('should return the other terms in the value group', () => {
+      expect(findSynonyms('Open Source')).to.deep.equal([
+        'oss',
+        'free software',
+      ]);
+      expect(findSynonyms('Gardening')).to.deep.equal([]);
+    });
+
+    it('should accept custom synonym groups', () => {
+      expect(
+        findSynonyms('mobile', [['mobile', 'ios', 'android']])
+      ).to.deep.equal(['ios', 'android']);
+    });
+  });
+
+  describe('getMappedValue', () => {
+    it('should return null for values without a mapping', () => {
+      expect(getMappedValue({ '*': { SaaS: 'Software' } }, null, 'AI')).to.be
+        .null;
+      expect(getMappedValue(undefined, 'example.com', 'AI')).to.be.null;
+    });
+  });
+
+  describe('loadOptionMappings', () => {
+    const testFile = './test-option-mappings.json';
+
+    afterEach(async () => {
+      await unlink(testFile).catch(() => {});
+    });
+
+    it('should return an empty table when the file is missing', async () => {
+      expect(await loadOptionMappings(testFile)).to.deep.equal({});
+    });
+
+    it('should read the table', async () => {
+      await writeFile(testFile, '{"*": {"SaaS": "Software"}}');
+
+      expect(await loadOptionMappings(testFile)).to.deep.equal({
+        '*': { SaaS: 'Software' },
+      });
+    });
+
+    it('should reject invalid JSON', async () => {
+      await writeFile(testFile, '{"*": ');
+
+      try {
+        await loadOptionMappings(testFile);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to read option mappings');
+      }
+    });
+  });
+});
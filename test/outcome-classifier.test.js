@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+import {
+  asksForEmailConfirmation,
+  classifySubmissionOutcome,
+  matchNewPatterns,
+  matchPatterns,
+  SUCCESS_PATTERNS,
+} from '../src/utils/outcome-classifier.js';
+
+describe('Outcome Classifier', () => {
+  describe('matchPatterns', () => {
+    it('should match phrases case-insensitively', () => {
+      expect(
+        matchPatterns('THANK YOU for your submission!', SUCCESS_PATTERNS)
+      ).to.include('thank you');
+    });
+
+    it('should handle missing text', () => {
+      expect(matchPatterns(undefined, SUCCESS_PATTERNS)).to.deep.equal([]);
+    });
+  });
+
+  describe('matchNewPatterns', () => {
+    const copy = 'Submit your tool. Listings are under review for a week.';
+
+    it('should ignore phrases already in the page copy', () => {
+      expect(
+        matchNewPatterns(copy, `${copy} Name is required.`, SUCCESS_PATTERNS)
+      ).to.deep.equal([]);
+    });
+
+    it('should find phrases that appeared or were repeated', () => {
+      expect(
+        matchNewPatterns(
+          copy,
+          `Thank you! ${copy} Your tool is under review.`,
+          SUCCESS_PATTERNS
+        )
+      ).to.deep.equal(['thank you', 'under review']);
+    });
+
+    it('should match the whole text when nothing was read before', () => {
+      expect(
+        matchNewPatterns(undefined, 'Thank you', SUCCESS_PATTERNS)
+      ).to.deep.equal(['thank you']);
+    });
+  });
+
+  describe('classifySubmissionOutcome', () => {
+    it('should confirm when success text is shown', () => {
+      const { outcome } = classifySubmissionOutcome({
+        successText: ['thank you'],
+        responseStatus: 200,
+      });
+
+      expect(outcome).to.equal('confirmed');
+    });
+
+    it('should confirm from a success toast', () => {
+      const { outcome } = classifySubmissionOutcome({
+        toasts: ['Submission received!'],
+      });
+
+      expect(outcome).to.equal('confirmed');
+    });
+
+    it('should reject when fields are marked invalid', () => {
+      const { outcome, reasons } = classifySubmissionOutcome({
+        urlBefore: 'https://a.test/submit',
+        urlAfter: 'https://a.test/submit',
+        invalidFields: ['email'],
+      });
+
+      expect(outcome).to.equal('rejected-by-validation');
+      expect(reasons[0]).to.include('1 field(s)');
+    });
+
+    it('should reject on visible error messages and error toasts', () => {
+      expect(
+        classifySubmissionOutcome({ errorMessages: ['URL is required'] })
+          .outcome
+      ).to.equal('rejected-by-validation');
+      expect(
+        classifySubmissionOutcome({ toasts: ['Please enter a valid URL'] })
+          .outcome
+      ).to.equal('rejected-by-validation');
+    });
+
+    it('should reject on a 4xx form response', () => {
+      const { outcome } = classifySubmissionOutcome({ responseStatus: 422 });
+
+      expect(outcome).to.equal('rejected-by-validation');
+    });
+
+    it('should treat a URL change as probable success', () => {
+      const { outcome } = classifySubmissionOutcome({
+        urlBefore: 'https://a.test/submit',
+        urlAfter: 'https://a.test/submitted',
+      });
+
+      expect(outcome).to.equal('probable');
+    });
+
+    it('should treat a 2xx POST that removed the form as probable', () => {
+      const { outcome } = classifySubmissionOutcome({
+        responseStatus: 201,
+        formStillPresent: false,
+      });
+
+      expect(outcome).to.equal('probable');
+    });
+
+    it('should be unknown on server errors', () => {
+      const { outcome } = classifySubmissionOutcome({ responseStatus: 503 });
+
+      expect(outcome).to.equal('unknown');
+    });
+
+    it('should be unknown without any signals', () => {
+      const { outcome } = classifySubmissionOutcome({
+        urlBefore: 'https://a.test/submit',
+        urlAfter: 'https://a.test/submit',
+        formStillPresent: true,
+      });
+
+      expect(outcome).to.equal('unknown');
+    });
+  });
+
+  describe('asksForEmailConfirmation', () => {
+    it('should spot pages asking to confirm by email', () => {
+      expect(asksForEmailConfirmation({ successText: ['thank you'] })).to.equal(
+        false
+      );
+      expect(
+        asksForEmailConfirmation({
+          successText: ['thank you'],
+          toasts: ['Almost done! Check your email to confirm your listing'],
+        })
+      ).to.equal(true);
+      expect(asksForEmailConfirmation()).to.equal(false);
+    });
+  });
+});
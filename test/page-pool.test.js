@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+import { hostKey, runPool, scopeToPage } from '../src/utils/page-pool.js';
+
+const tick = (ms = 5) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Page Pool', () => {
+  describe('hostKey', () => {
+    it('should key URLs by hostname without www', () => {
+      expect(hostKey('https://www.example.com/submit')).to.equal('example.com');
+      expect(hostKey('https://example.com/')).to.equal('example.com');
+    });
+
+    it('should return null for invalid URLs', () => {
+      expect(hostKey('not a url')).to.be.null;
+    });
+  });
+
+  describe('runPool', () => {
+    it('should return results in item order', async () => {
+      const results = await runPool(
+        [30, 10, 20],
+        async (ms) => {
+          await tick(ms);
+          return ms * 2;
+        },
+        { concurrency: 3 }
+      );
+
+      expect(results).to.deep.equal([60, 20, 40]);
+    });
+
+    it('should never exceed the concurrency limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await runPool(
+        [1, 2, 3, 4, 5, 6],
+        async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await tick();
+          running--;
+        },
+        { concurrency: 2 }
+      );
+
+      expect(maxRunning).to.equal(2);
+    });
+
+    it('should serialize items that share a key', async () => {
+      const items = [
+        { name: 'A1', host: 'a' },
+        { name: 'A2', host: 'a' },
+        { name: 'B1', host: 'b' },
+        { name: 'A3', host: 'a' },
+      ];
+      const runningHosts = new Set();
+      let overlapped = false;
+      const order = [];
+
+      await runPool(
+        items,
+        async (item) => {
+          if (runningHosts.has(item.host)) overlapped = true;
+          runningHosts.add(item.host);
+          order.push(item.name);
+          await tick();
+          runningHosts.delete(item.host);
+        },
+        { concurrency: 3, keyOf: (item) => item.host }
+      );
+
+      expect(overlapped).to.be.false;
+      expect(order.slice(0, 2)).to.deep.equal(['A1', 'B1']);
+      expect(order).to.have.lengthOf(4);
+    });
+
+    it('should report progress as items finish', async () => {
+      const progress = [];
+
+      await runPool(['a', 'b', 'c'], async (item) => item.toUpperCase(), {
+        concurrency: 2,
+        onProgress: ({ completed, total, result }) =>
+          progress.push(`${completed}/${total}:${result}`),
+      });
+
+      expect(progress).to.have.lengthOf(3);
+      expect(progress[2]).to.match(/^3\/3:/);
+    });
+
+    it('should pass each worker its index', async () => {
+      const workers = new Set();
+
+      await runPool(
+        [1, 2, 3, 4],
+        async (_item, workerIndex) => {
+          workers.add(workerIndex);
+          await tick();
+        },
+        { concurrency: 2 }
+      );
+
+      expect([...workers].sort()).to.deep.equal([0, 1]);
+    });
+
+    it('should reject when a task throws', async () => {
+      try {
+        await runPool(
+          [1, 2],
+          async (item) => {
+            if (item === 2) throw new Error('boom');
+          },
+          { concurrency: 1 }
+        );
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('boom');
+      }
+    });
+
+    it('should handle an empty list', async () => {
+      expect(
+        await runPool([], async () => 1, { concurrency: 4 })
+      ).to.deep.equal([]);
+    });
+  });
+
+  describe('scopeToPage', () => {
+    it('should give the scoped object its own page and share the rest', () => {
+      const instance = {
+        page: 'main',
+        config: { timeout: 1000 },
+        currentPage() {
+          return this.page;
+        },
+      };
+      const scoped = scopeToPage(instance, 'worker');
+
+      expect(scoped.currentPage()).to.equal('worker');
+      expect(scoped.config).to.equal(instance.config);
+      expect(instance.currentPage()).to.equal('main');
+    });
+  });
+});
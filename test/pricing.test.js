@@ -0,0 +1,224 @@
+import { expect } from 'chai';
+import {
+  checkBudget,
+  classifyPricing,
+  describePrice,
+  describePricing,
+  findCheckoutProviders,
+  parsePrices,
+} from '../src/utils/pricing.js';
+
+describe('Pricing', () => {
+  // The submit_button of aitoolfor.org in directories.csv
+  const stripeButton =
+    '<a data-stripe-product-id="" data-stripe-mode="payment" href="/#other-01-638181"><span>Submit AI Tool</span></a>';
+
+  describe('findCheckoutProviders', () => {
+    it('should recognise checkout links and buttons', () => {
+      expect(findCheckoutProviders(stripeButton)).to.deep.equal(['stripe']);
+      expect(
+        findCheckoutProviders('https://buy.stripe.com/14k5nQ0lX')
+      ).to.deep.equal(['stripe']);
+      expect(
+        findCheckoutProviders('https://acme.lemonsqueezy.com/checkout/buy/1')
+      ).to.deep.equal(['lemon-squeezy']);
+      expect(findCheckoutProviders('https://gum.co/listing')).to.deep.equal([
+        'gumroad',
+      ]);
+    });
+
+    it('should ignore other links', () => {
+      expect(findCheckoutProviders('https://example.com/submit')).to.deep.equal(
+        []
+      );
+      expect(findCheckoutProviders(undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe('parsePrices', () => {
+    it('should read amounts, currencies and periods', () => {
+      expect(
+        parsePrices('Featured: $49 one-time, or €9.99/mo, or 190 EUR per year')
+      ).to.deep.equal([
+        { amount: 49, currency: 'USD', period: null },
+        { amount: 9.99, currency: 'EUR', period: 'month' },
+        { amount: 190, currency: 'EUR', period: 'year' },
+      ]);
+    });
+
+    it('should tell thousands separators from decimal commas', () => {
+      expect(
+        parsePrices('US$ 1,000').map(({ amount }) => amount)
+      ).to.deep.equal([1000]);
+      expect(parsePrices('9,99 €').map(({ amount }) => amount)).to.deep.equal([
+        9.99,
+      ]);
+    });
+
+    it('should find nothing in text without prices', () => {
+      expect(parsePrices('Submit your tool in 5 minutes')).to.deep.equal([]);
+    });
+  });
+
+  describe('classifyPricing', () => {
+    it('should treat a checkout in the submit button as paid', () => {
+      expect(classifyPricing({ checkouts: [stripeButton] })).to.deep.equal({
+        model: 'paid',
+        price: null,
+        prices: [],
+        providers: ['stripe'],
+        evidence: ['stripe checkout'],
+      });
+    });
+
+    it('should find the cheapest listing price', () => {
+      const pricing = classifyPricing({
+        snippets: ['Standard listing $29', 'Featured listing $99'],
+      });
+
+      expect(pricing.model).to.equal('paid');
+      expect(pricing.price).to.deep.equal({
+        amount: 29,
+        currency: 'USD',
+        period: null,
+      });
+    });
+
+    it('should prefer prices in the budget currency', () => {
+      const signals = {
+        snippets: ['Featured listing $49', 'Featured listing €45'],
+      };
+
+      expect(classifyPricing(signals).price).to.deep.equal({
+        amount: 49,
+        currency: 'USD',
+        period: null,
+      });
+      expect(classifyPricing(signals, 'EUR').price.amount).to.equal(45);
+      expect(classifyPricing(signals, 'GBP').price.amount).to.equal(45);
+      expect(
+        classifyPricing(signals).prices.map(({ currency }) => currency)
+      ).to.deep.equal(['EUR', 'USD']);
+    });
+
+    it('should call a free listing with paid upgrades freemium', () => {
+      const pricing = classifyPricing({
+        snippets: ['Free listing', 'Skip the queue for $19'],
+      });
+
+      expect(pricing.model).to.equal('freemium');
+      expect(pricing.price.amount).to.equal(19);
+    });
+
+    it('should ignore prices of the tools a directory lists', () => {
+      expect(classifyPricing({ snippets: ['Notion AI - $10/mo'] })).to.be.null;
+    });
+
+    it('should recognise free listings', () => {
+      expect(
+        classifyPricing({ snippets: ['Submit your tool for free'] }).model
+      ).to.equal('free');
+      expect(classifyPricing({ snippets: ['Basic plan $0'] }).model).to.equal(
+        'free'
+      );
+    });
+
+    it('should return null when nothing is said about pricing', () => {
+      expect(classifyPricing({})).to.be.null;
+    });
+  });
+
+  describe('describePricing', () => {
+    it('should describe each model', () => {
+      expect(
+        describePricing({
+          model: 'paid',
+          price: { amount: 49, currency: 'USD', period: null },
+          providers: ['stripe'],
+        })
+      ).to.equal('paid ($49 via stripe)');
+      expect(
+        describePricing({
+          model: 'freemium',
+          price: { amount: 9, currency: 'EUR', period: 'month' },
+          providers: [],
+        })
+      ).to.equal('free, or €9/month for more');
+      expect(describePricing({ model: 'free', providers: [] })).to.equal(
+        'free'
+      );
+      expect(describePricing(null)).to.equal('unknown');
+    });
+
+    it('should spell out currencies without a symbol', () => {
+      expect(
+        describePrice({ amount: 120, currency: 'CHF', period: null })
+      ).to.equal('120 CHF');
+    });
+  });
+
+  describe('checkBudget', () => {
+    const paid = (amount) => ({
+      model: 'paid',
+      price: amount === null ? null : { amount, currency: 'USD', period: null },
+      providers: [],
+    });
+
+    it('should submit to free and freemium directories', () => {
+      expect(checkBudget(null, 0).action).to.equal('submit');
+      expect(checkBudget({ model: 'free' }, 0).action).to.equal('submit');
+      expect(
+        checkBudget({ ...paid(19), model: 'freemium' }, 0).action
+      ).to.equal('submit');
+    });
+
+    it('should skip paid directories over the budget', () => {
+      expect(checkBudget(paid(49), 20)).to.deep.equal({
+        action: 'skip',
+        reason: 'Paid listing ($49) over budget (20)',
+      });
+      expect(checkBudget(paid(null), 20).action).to.equal('skip');
+    });
+
+    it('should flag paid directories within the budget', () => {
+      expect(checkBudget(paid(19), 20)).to.deep.equal({
+        action: 'flag',
+        reason: 'Paid listing ($19) within budget',
+      });
+      expect(checkBudget(paid(null), null).action).to.equal('flag');
+    });
+
+    it('should skip prices in another currency than the budget', () => {
+      const euros = {
+        model: 'paid',
+        price: { amount: 49, currency: 'EUR', period: null },
+        providers: [],
+      };
+
+      expect(checkBudget(euros, 50)).to.deep.equal({
+        action: 'skip',
+        reason: "Paid listing (€49) not in USD, the budget's currency",
+      });
+      expect(checkBudget(euros, 50, 'eur').action).to.equal('flag');
+      expect(checkBudget(paid(49), 50, 'EUR').action).to.equal('skip');
+      expect(checkBudget(euros, null).action).to.equal('flag');
+    });
+
+    it('should check the price in the budget currency when there is one', () => {
+      const pricing = classifyPricing(
+        {
+          snippets: ['Featured listing $49 or €45'],
+        },
+        'EUR'
+      );
+
+      expect(checkBudget(pricing, 50)).to.deep.equal({
+        action: 'flag',
+        reason: 'Paid listing ($49) within budget',
+      });
+      expect(checkBudget(pricing, 40, 'EUR').reason).to.equal(
+        'Paid listing (€45) over budget (40)'
+      );
+    });
+  });
+});
@@ -0,0 +1,237 @@
+import { expect } from 'chai';
+import { mkdir, readFile, rm, unlink, writeFile } from 'fs/promises';
+import {
+  DEFAULT_PROFILE,
+  applyProfileStatuses,
+  cloneProfile,
+  createProfile,
+  createStatusRecorder,
+  getProfilePaths,
+  loadProfiles,
+  readProfileValues,
+  saveProfiles,
+  switchProfile,
+  updateProfileStatuses,
+} from '../src/utils/profiles.js';
+
+describe('Profiles', () => {
+  describe('loadProfiles', () => {
+    const testFile = './test-profiles.json';
+
+    afterEach(async () => {
+      await unlink(testFile).catch(() => {});
+    });
+
+    it('should start with the default profile', async () => {
+      expect(await loadProfiles(testFile)).to.deep.equal({
+        active: DEFAULT_PROFILE,
+        profiles: { [DEFAULT_PROFILE]: {} },
+      });
+    });
+
+    it('should read saved profiles', async () => {
+      const store = await loadProfiles(testFile);
+      createProfile(store, 'acme', { at: '2026-01-01T00:00:00.000Z' });
+      switchProfile(store, 'acme');
+      await saveProfiles(store, testFile);
+
+      expect(await loadProfiles(testFile)).to.deep.equal({
+        active: 'acme',
+        profiles: {
+          [DEFAULT_PROFILE]: {},
+          acme: { createdAt: '2026-01-01T00:00:00.000Z' },
+        },
+      });
+    });
+
+    it('should reject invalid JSON', async () => {
+      await writeFile(testFile, '{');
+
+      try {
+        await loadProfiles(testFile);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to read profiles');
+      }
+    });
+  });
+
+  describe('createProfile', () => {
+    it('should reject names that cannot be folder names', () => {
+      const store = { profiles: { default: {} } };
+
+      expect(() => createProfile(store, '../acme')).to.throw(
+        'Invalid profile name'
+      );
+      expect(() => createProfile(store, '')).to.throw('Invalid profile name');
+    });
+
+    it('should reject names that differ only in case', () => {
+      const store = { profiles: { default: {}, acme: {} } };
+
+      expect(() => createProfile(store, 'Acme')).to.throw(
+        'Profile already exists: acme'
+      );
+    });
+  });
+
+  describe('switchProfile', () => {
+    it('should only switch to existing profiles', () => {
+      const store = { active: 'default', profiles: { default: {} } };
+
+      expect(() => switchProfile(store, 'acme')).to.throw('Unknown profile');
+      expect(store.active).to.equal('default');
+    });
+  });
+
+  describe('getProfilePaths', () => {
+    it('should keep the default profile in the project root', () => {
+      const paths = getProfilePaths(DEFAULT_PROFILE);
+
+      expect(paths.values).to.equal('generated-values.json');
+      expect(paths.credentials).to.equal('credentials.json');
+      expect(paths.statuses).to.be.null;
+    });
+
+    it('should keep other profiles in their own folder', () => {
+      const paths = getProfilePaths('acme');
+
+      expect(paths.values).to.equal('profiles/acme/generated-values.json');
+      expect(paths.assets).to.equal('profiles/acme/generated-assets');
+      expect(paths.statuses).to.equal('profiles/acme/directory-status.json');
+    });
+  });
+
+  describe('cloneProfile', () => {
+    const testDir = './test-profiles';
+
+    afterEach(async () => {
+      await rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should copy values, assets and credentials but not statuses', async () => {
+      const store = { profiles: { default: {}, acme: {} } };
+      const source = getProfilePaths('acme', testDir);
+      await mkdir(source.assets, { recursive: true });
+      await writeFile(
+        source.values,
+        JSON.stringify({ smartValues: { name: 'Acme' } })
+      );
+      await writeFile(`${source.assets}/logo.png`, 'png');
+      await writeFile(source.statuses, '{}');
+
+      const profile = await cloneProfile(store, 'acme', 'acme-eu', testDir);
+      const target = getProfilePaths('acme-eu', testDir);
+
+      expect(profile.clonedFrom).to.equal('acme');
+      expect(store.profiles).to.have.property('acme-eu');
+      expect(await readProfileValues(target)).to.deep.equal({ name: 'Acme' });
+      expect(await readFile(`${target.assets}/logo.png`, 'utf-8')).to.equal(
+        'png'
+      );
+      await readFile(target.statuses).then(
+        () => expect.fail('Statuses should not be copied'),
+        (error) => expect(error.code).to.equal('ENOENT')
+      );
+    });
+
+    it('should reject unknown profiles', async () => {
+      try {
+        await cloneProfile({ profiles: {} }, 'acme', 'acme-eu', testDir);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Unknown profile: acme');
+      }
+    });
+  });
+
+  describe('readProfileValues', () => {
+    it('should return null when the profile has no values yet', async () => {
+      expect(await readProfileValues({ values: './test-missing-values.json' }))
+        .to.be.null;
+    });
+  });
+
+  describe('applyProfileStatuses', () => {
+    const directories = [
+      { name: 'A', status: 'live', updated_at: '2026-01-01' },
+      { name: 'B', status: 'submitted', updated_at: '2026-01-02' },
+      { name: 'C', status: 'dead', updated_at: '2026-01-03' },
+    ];
+
+    it('should use the profile status and treat the rest as pending', () => {
+      const result = applyProfileStatuses(directories, {
+        A: { status: 'rejected', updated_at: '2026-02-01' },
+      });
+
+      expect(result.map(({ status }) => status)).to.deep.equal([
+        'rejected',
+        'pending',
+        'dead',
+      ]);
+      expect(result[1].updated_at).to.equal('');
+      expect(directories[0].status).to.equal('live');
+    });
+  });
+
+  describe('updateProfileStatuses', () => {
+    const testDir = './test-profile-statuses';
+    const statusesPath = `${testDir}/directory-status.json`;
+    const historyPath = `${testDir}/submission-status.json`;
+
+    afterEach(async () => {
+      await rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should record results and their history in the profile', async () => {
+      const updated = await updateProfileStatuses(
+        statusesPath,
+        [
+          {
+            name: 'A',
+            result: { success: true, submitted: true, message: 'Thanks!' },
+            timestamp: '2026-03-01T00:00:00.000Z',
+          },
+        ],
+        { historyPath }
+      );
+      const statuses = JSON.parse(await readFile(statusesPath, 'utf-8'));
+      const history = JSON.parse(await readFile(historyPath, 'utf-8'));
+
+      expect(updated).to.equal(1);
+      expect(statuses).to.deep.equal({
+        A: { status: 'submitted', updated_at: '2026-03-01T00:00:00.000Z' },
+      });
+      expect(history.A.at(-1)).to.include({
+        from: 'pending',
+        to: 'submitted',
+        note: 'Thanks!',
+      });
+    });
+  });
+
+  describe('createStatusRecorder', () => {
+    const testDir = './test-profile-recorder';
+
+    afterEach(async () => {
+      await rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should not lose statuses recorded side by side', async () => {
+      const paths = {
+        statuses: `${testDir}/directory-status.json`,
+        history: `${testDir}/submission-status.json`,
+      };
+      const recordStatuses = createStatusRecorder('./unused.csv', paths);
+
+      await Promise.all(
+        ['A', 'B', 'C'].map((name) =>
+          recordStatuses([{ name, status: 'in-progress' }])
+        )
+      );
+      const statuses = JSON.parse(await readFile(paths.statuses, 'utf-8'));
+
+      expect(Object.keys(statuses)).to.deep.equal(['A', 'B', 'C']);
+    });
+  });
+});
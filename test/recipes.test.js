@@ -0,0 +1,117 @@
+import { expect } from 'chai';
+import {
+  RECIPE_ACTIONS,
+  describeRecipeStep,
+  toRecipeSelector,
+  validateRecipe,
+} from '../src/utils/recipes.js';
+
+describe('Recipes', () => {
+  describe('toRecipeSelector', () => {
+    it('should prefer a CSS selector', () => {
+      expect(
+        toRecipeSelector({ selector: '#submit', text: 'Submit' })
+      ).to.equal('#submit');
+    });
+
+    it('should find elements by role and accessible name', () => {
+      expect(toRecipeSelector({ role: 'button', name: 'Next' })).to.equal(
+        '::-p-aria([name="Next"][role="button"])'
+      );
+      expect(toRecipeSelector({ role: 'checkbox' })).to.equal(
+        '::-p-aria([role="checkbox"])'
+      );
+    });
+
+    it('should find elements by text', () => {
+      expect(toRecipeSelector({ text: 'Add "your" tool' })).to.equal(
+        '::-p-text("Add \\"your\\" tool")'
+      );
+    });
+
+    it('should return null without a target', () => {
+      expect(toRecipeSelector({ action: 'scroll' })).to.be.null;
+    });
+  });
+
+  describe('describeRecipeStep', () => {
+    it('should name the action, target and value', () => {
+      expect(
+        describeRecipeStep({ action: 'fill', selector: '#name', field: 'name' })
+      ).to.equal('fill #name ← name');
+      expect(
+        describeRecipeStep({ action: 'click', role: 'button', name: 'Next' })
+      ).to.equal('click button "Next"');
+      expect(describeRecipeStep({ action: 'wait-for', delay: 500 })).to.equal(
+        'wait-for 500ms'
+      );
+      expect(describeRecipeStep({ action: 'scroll' })).to.equal('scroll');
+    });
+  });
+
+  describe('validateRecipe', () => {
+    const submit = { action: 'click', text: 'Submit', submit: true };
+
+    it('should accept a recipe using every action', () => {
+      const recipe = [
+        { action: 'goto', url: '/submit' },
+        { action: 'click', role: 'button', name: 'Add' },
+        { action: 'fill', selector: '#name', field: 'name' },
+        { action: 'select', selector: '#category', value: 'SaaS' },
+        { action: 'upload', selector: 'input[type=file]', asset: 'logo' },
+        { action: 'check', selector: '#terms' },
+        { action: 'wait-for', navigation: true },
+        { action: 'scroll' },
+        { action: 'switch-frame', frame: 'https://tally.so/embed/abc' },
+        { action: 'switch-frame', top: true },
+        submit,
+        { action: 'assert-text', text: 'Thanks' },
+      ];
+
+      expect(recipe.map((step) => step.action)).to.include.members(
+        Object.keys(RECIPE_ACTIONS)
+      );
+      expect(validateRecipe(recipe)).to.deep.equal([]);
+    });
+
+    it('should accept configs without a recipe', () => {
+      expect(validateRecipe(undefined)).to.deep.equal([]);
+    });
+
+    it('should reject an empty recipe', () => {
+      expect(validateRecipe([])).to.deep.equal([
+        'recipe must be a non-empty array',
+      ]);
+    });
+
+    it('should report unknown actions and missing keys', () => {
+      expect(
+        validateRecipe([
+          { action: 'hover', selector: '#x' },
+          { action: 'fill', selector: '#name' },
+          { action: 'upload', asset: 'logo' },
+          submit,
+        ])
+      ).to.deep.equal([
+        'Recipe step 1: unknown action "hover"',
+        'Recipe step 2 (fill): needs field or value',
+        'Recipe step 3 (upload): needs selector',
+      ]);
+    });
+
+    it('should need exactly one submit click', () => {
+      expect(validateRecipe([{ action: 'click', text: 'Next' }])).to.deep.equal(
+        ['recipe needs exactly one click marked "submit": true (found 0)']
+      );
+      expect(
+        validateRecipe([
+          { action: 'fill', selector: '#a', value: 'x', submit: true },
+          submit,
+        ])
+      ).to.deep.equal([
+        'Recipe step 1 (fill): only a click can be the submit',
+        'recipe needs exactly one click marked "submit": true (found 2)',
+      ]);
+    });
+  });
+});
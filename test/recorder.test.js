@@ -0,0 +1,322 @@
+import { expect } from 'chai';
+import { readFile, unlink, writeFile } from 'fs/promises';
+import {
+  buildRecipeFromEvents,
+  findSubmissionField,
+} from '../src/utils/recorder.js';
+import { validateRecipe } from '../src/utils/recipes.js';
+import {
+  keepHandWrittenSteps,
+  keepOnlyHandWrittenSteps,
+} from '../src/utils/sessions.js';
+
+const URL = 'https://example.com/submit';
+
+// A recorded event as the page script reports it
+const event = (type, fields = {}) => ({
+  type,
+  selector: '#name',
+  stable: true,
+  tag: 'input',
+  inputType: 'text',
+  text: '',
+  editable: false,
+  frame: null,
+  url: URL,
+  ...fields,
+});
+
+const submissionData = {
+  name: 'My Tool',
+  email: 'hello@mytool.com',
+  category: 'Productivity',
+};
+
+describe('Recorder', () => {
+  describe('findSubmissionField', () => {
+    it('should find the field holding a typed value', () => {
+      expect(findSubmissionField('hello@mytool.com', submissionData)).to.equal(
+        'email'
+      );
+    });
+
+    it('should ignore case and extra whitespace', () => {
+      expect(findSubmissionField('  my   TOOL ', submissionData)).to.equal(
+        'name'
+      );
+    });
+
+    it('should return null for values not in the submission data', () => {
+      expect(findSubmissionField('Something else', submissionData)).to.be.null;
+      expect(findSubmissionField('', submissionData)).to.be.null;
+    });
+  });
+
+  describe('buildRecipeFromEvents', () => {
+    it('should map typed values to submission fields', () => {
+      const recipe = buildRecipeFromEvents(
+        [
+          event('fill', { value: 'My Tool' }),
+          event('fill', { selector: '#referral', value: 'A friend' }),
+          event('click', {
+            selector: 'form > button',
+            stable: false,
+            tag: 'button',
+            inputType: 'submit',
+            text: 'Submit',
+          }),
+        ],
+        submissionData
+      );
+
+      expect(recipe).to.deep.equal([
+        { action: 'fill', selector: '#name', field: 'name' },
+        { action: 'fill', selector: '#referral', value: 'A friend' },
+        { action: 'click', text: 'Submit', submit: true },
+      ]);
+      expect(validateRecipe(recipe)).to.deep.equal([]);
+    });
+
+    it('should never store passwords', () => {
+      const recipe = buildRecipeFromEvents([
+        event('fill', {
+          selector: '#password',
+          inputType: 'password',
+          value: 'hunter2',
+        }),
+      ]);
+
+      expect(recipe).to.deep.equal([
+        {
+          action: 'fill',
+          selector: '#password',
+          field: 'password',
+          type: 'password',
+        },
+      ]);
+    });
+
+    it('should save typed logins as references to the credentials', () => {
+      const recipe = buildRecipeFromEvents(
+        [
+          event('fill', { selector: '#login', value: 'me@example.com' }),
+          event('fill', { selector: '#secret', value: 'hunter2' }),
+          event('fill', { value: 'My Tool' }),
+        ],
+        submissionData,
+        { credentials: { username: 'me@example.com', password: 'hunter2' } }
+      );
+
+      expect(recipe).to.deep.equal([
+        { action: 'fill', selector: '#login', field: 'username' },
+        {
+          action: 'fill',
+          selector: '#secret',
+          field: 'password',
+          type: 'password',
+        },
+        { action: 'fill', selector: '#name', field: 'name' },
+      ]);
+      expect(JSON.stringify(recipe)).to.not.include('me@example.com');
+    });
+
+    it('should keep only the last value typed into a field', () => {
+      const recipe = buildRecipeFromEvents(
+        [
+          event('fill', { value: 'typo' }),
+          event('fill', { selector: '#email', value: 'hello@mytool.com' }),
+          event('fill', { value: 'My Tool' }),
+        ],
+        submissionData
+      );
+
+      expect(recipe).to.deep.equal([
+        { action: 'fill', selector: '#name', field: 'name' },
+        { action: 'fill', selector: '#email', field: 'email' },
+      ]);
+    });
+
+    it('should mark editors and text areas', () => {
+      const recipe = buildRecipeFromEvents([
+        event('fill', { selector: '#pitch', tag: 'div', editable: true }),
+        event('fill', { selector: '#notes', tag: 'textarea', value: 'Hi' }),
+      ]);
+
+      expect(recipe.map((step) => step.type)).to.deep.equal([
+        'richtext',
+        'textarea',
+      ]);
+    });
+
+    it('should skip clicks on fields and keep clicks on buttons', () => {
+      const recipe = buildRecipeFromEvents([
+        event('click', { tag: 'input' }),
+        event('click', { tag: 'label', selector: 'label' }),
+        event('click', {
+          selector: '#open-form',
+          tag: 'a',
+          inputType: '',
+          text: 'Add your product',
+        }),
+      ]);
+
+      expect(recipe).to.deep.equal([
+        { action: 'click', selector: '#open-form', submit: true },
+      ]);
+    });
+
+    it('should mark clicks that loaded another page', () => {
+      const recipe = buildRecipeFromEvents([
+        event('click', { selector: '#start', tag: 'a', inputType: '' }),
+        event('fill', { url: 'https://example.com/form', value: 'x' }),
+        event('click', {
+          selector: '#send',
+          tag: 'button',
+          url: 'https://example.com/form',
+        }),
+      ]);
+
+      expect(recipe[0]).to.deep.equal({
+        action: 'click',
+        selector: '#start',
+        navigation: true,
+      });
+      expect(recipe[2]).to.include({ selector: '#send', submit: true });
+    });
+
+    it('should drop what happened after the submit', () => {
+      const recipe = buildRecipeFromEvents([
+        event('fill', { value: 'x' }),
+        event('click', { selector: '#send', tag: 'button' }),
+        event('submit', { selector: '#form', tag: 'form' }),
+        event('click', { selector: '#dashboard', tag: 'a' }),
+      ]);
+
+      expect(recipe.map((step) => step.selector)).to.deep.equal([
+        '#name',
+        '#send',
+      ]);
+      expect(validateRecipe(recipe)).to.deep.equal([]);
+    });
+
+    it('should click the form submit button for forms sent with Enter', () => {
+      const recipe = buildRecipeFromEvents([
+        event('click', { selector: '#open', tag: 'button' }),
+        event('fill', { value: 'x' }),
+        event('submit', { selector: '#form', tag: 'form' }),
+      ]);
+
+      expect(recipe).to.have.length(3);
+      expect(recipe[1]).to.not.have.property('submit');
+      expect(recipe[2]).to.deep.equal({
+        action: 'click',
+        selector: '#form [type="submit"], #form button:not([type])',
+        submit: true,
+      });
+      expect(validateRecipe(recipe)).to.deep.equal([]);
+    });
+
+    it('should switch frames when events come from an iframe', () => {
+      const frame = 'https://forms.example.net/embed';
+      const recipe = buildRecipeFromEvents([
+        event('fill', { frame, value: 'x' }),
+        event('click', { frame, selector: '#send', tag: 'button' }),
+      ]);
+
+      expect(recipe.map((step) => step.action)).to.deep.equal([
+        'switch-frame',
+        'fill',
+        'click',
+      ]);
+      expect(recipe[0]).to.deep.equal({ action: 'switch-frame', frame });
+    });
+
+    it('should return to the page after leaving a frame', () => {
+      const frame = 'https://forms.example.net/embed';
+      const recipe = buildRecipeFromEvents([
+        event('fill', { frame, value: 'x' }),
+        event('fill', { selector: '#email', value: 'y' }),
+      ]);
+
+      expect(recipe[2]).to.deep.equal({ action: 'switch-frame', top: true });
+    });
+
+    it('should record selects, checkboxes and uploads', () => {
+      const recipe = buildRecipeFromEvents(
+        [
+          event('select', {
+            selector: '#category',
+            tag: 'select',
+            value: 'Productivity',
+          }),
+          event('check', {
+            selector: '#terms',
+            inputType: 'checkbox',
+            checked: true,
+          }),
+          event('upload', {
+            selector: 'input[name="image"]',
+            inputType: 'file',
+            name: 'image',
+            files: ['icon.png'],
+          }),
+        ],
+        submissionData,
+        { assets: { logo: './assets/icon.png' } }
+      );
+
+      expect(recipe).to.deep.equal([
+        { action: 'select', selector: '#category', field: 'category' },
+        { action: 'check', selector: '#terms', checked: true },
+        { action: 'upload', selector: 'input[name="image"]', asset: 'logo' },
+      ]);
+    });
+
+    it('should guess the asset of unknown files from the input', () => {
+      const [step] = buildRecipeFromEvents([
+        event('upload', {
+          selector: '#shots',
+          inputType: 'file',
+          name: 'screenshot',
+          files: ['capture.png'],
+        }),
+      ]);
+
+      expect(step.asset).to.equal('screenshot');
+    });
+  });
+
+  describe('saved recipes', () => {
+    const testFile = './test-site-configs.json';
+
+    afterEach(async () => {
+      await unlink(testFile).catch(() => {});
+    });
+
+    it('should survive the reset and save of the next analysis', async () => {
+      const recipe = buildRecipeFromEvents(
+        [
+          event('fill', { value: 'My Tool' }),
+          event('click', { selector: '#send', tag: 'button' }),
+        ],
+        submissionData
+      );
+      await writeFile(
+        testFile,
+        JSON.stringify({ Example: { hasForm: true, recipe } })
+      );
+
+      await keepOnlyHandWrittenSteps(testFile);
+      await writeFile(
+        testFile,
+        JSON.stringify(
+          await keepHandWrittenSteps({ Example: { hasForm: true } }, testFile)
+        )
+      );
+
+      expect(JSON.parse(await readFile(testFile, 'utf-8'))).to.deep.equal({
+        Example: { hasForm: true, recipe },
+      });
+    });
+  });
+});
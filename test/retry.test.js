@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import {
+  classifyFailure,
+  computeBackoffDelay,
+  shouldRetry,
+} from '../src/utils/retry.js';
+
+describe('Retry', () => {
+  describe('classifyFailure', () => {
+    it('should classify navigation timeouts', () => {
+      expect(
+        classifyFailure(new Error('Navigation timeout of 30000 ms exceeded'))
+      ).to.equal('navigation-timeout');
+    });
+
+    it('should classify DNS and SSL errors', () => {
+      expect(
+        classifyFailure('net::ERR_NAME_NOT_RESOLVED at https://gone.test')
+      ).to.equal('dns-ssl-error');
+      expect(
+        classifyFailure('net::ERR_CERT_DATE_INVALID at https://old.test')
+      ).to.equal('dns-ssl-error');
+    });
+
+    it('should classify missing selectors', () => {
+      expect(
+        classifyFailure(
+          'Waiting for selector `#email` failed: 30000ms exceeded'
+        )
+      ).to.equal('selector-missing');
+    });
+
+    it('should classify blocked pages and CAPTCHAs', () => {
+      expect(classifyFailure('Blocked: HTTP 429')).to.equal('blocked');
+      expect(classifyFailure('CAPTCHA was not solved')).to.equal('captcha');
+    });
+
+    it('should use validation verification and explicit reasons', () => {
+      expect(
+        classifyFailure({
+          message: 'Submission not confirmed',
+          verification: { outcome: 'rejected-by-validation' },
+        })
+      ).to.equal('validation-error');
+      expect(
+        classifyFailure({ message: 'whatever', failureReason: 'captcha' })
+      ).to.equal('captcha');
+    });
+
+    it('should fall back to unknown', () => {
+      expect(classifyFailure(new Error('Something odd'))).to.equal('unknown');
+      expect(classifyFailure(undefined)).to.equal('unknown');
+    });
+  });
+
+  describe('computeBackoffDelay', () => {
+    it('should grow exponentially', () => {
+      const options = { baseDelay: 1000, factor: 2, maxDelay: 60000 };
+
+      expect(computeBackoffDelay(1, options)).to.equal(1000);
+      expect(computeBackoffDelay(2, options)).to.equal(2000);
+      expect(computeBackoffDelay(3, options)).to.equal(4000);
+    });
+
+    it('should cap the delay at maxDelay', () => {
+      expect(
+        computeBackoffDelay(10, { baseDelay: 1000, factor: 2, maxDelay: 5000 })
+      ).to.equal(5000);
+    });
+  });
+
+  describe('shouldRetry', () => {
+    it('should retry transient failures until maxAttempts', () => {
+      expect(shouldRetry('navigation-timeout', 1, { maxAttempts: 3 })).to.be
+        .true;
+      expect(shouldRetry('navigation-timeout', 3, { maxAttempts: 3 })).to.be
+        .false;
+    });
+
+    it('should not retry permanent failures', () => {
+      expect(shouldRetry('validation-error', 1)).to.be.false;
+      expect(shouldRetry('captcha', 1)).to.be.false;
+    });
+
+    it('should respect a custom retryOn list', () => {
+      expect(shouldRetry('blocked', 1, { retryOn: ['blocked'] })).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { expect } from 'chai';
+import {
+  editorContentMatches,
+  escapeHtml,
+  markdownToHtml,
+  markdownToPlainText,
+} from '../src/utils/rich-text.js';
+
+describe('Rich Text', () => {
+  describe('markdownToHtml', () => {
+    it('should turn blank-line blocks into paragraphs and newlines into breaks', () => {
+      expect(
+        markdownToHtml('First line\nsecond line\n\nNext paragraph')
+      ).to.equal('<p>First line<br>second line</p><p>Next paragraph</p>');
+    });
+
+    it('should convert bold, italic, code and links', () => {
+      expect(
+        markdownToHtml(
+          '**Fast** and *simple* `npm i` - see [docs](https://example.com/docs)'
+        )
+      ).to.equal(
+        '<p><strong>Fast</strong> and <em>simple</em> <code>npm i</code> - see <a href="https://example.com/docs">docs</a></p>'
+      );
+    });
+
+    it('should convert bullet and numbered lists', () => {
+      expect(markdownToHtml('- One\n- Two')).to.equal(
+        '<ul><li>One</li><li>Two</li></ul>'
+      );
+      expect(markdownToHtml('1. One\n2. Two')).to.equal(
+        '<ol><li>One</li><li>Two</li></ol>'
+      );
+    });
+
+    it('should escape HTML in the text', () => {
+      expect(markdownToHtml('Use <script> & "quotes"')).to.equal(
+        '<p>Use &lt;script&gt; &amp; &quot;quotes&quot;</p>'
+      );
+      expect(escapeHtml(undefined)).to.equal('');
+    });
+
+    it('should return an empty string for empty input', () => {
+      expect(markdownToHtml('')).to.equal('');
+      expect(markdownToHtml(null)).to.equal('');
+    });
+  });
+
+  describe('markdownToPlainText', () => {
+    it('should strip markdown syntax and keep line breaks', () => {
+      expect(
+        markdownToPlainText('**Fast** [docs](https://x.test)\n- one\n- two')
+      ).to.equal('Fast docs\none\ntwo');
+    });
+  });
+
+  describe('editorContentMatches', () => {
+    it('should ignore whitespace differences', () => {
+      expect(
+        editorContentMatches(
+          '**Fast** tool\n\n- one\n- two',
+          'Fast tool\n\none\ntwo\n'
+        )
+      ).to.be.true;
+    });
+
+    it('should fail when text is missing or different', () => {
+      expect(editorContentMatches('Fast tool', 'Fast')).to.be.false;
+      expect(editorContentMatches('Fast tool', '')).to.be.false;
+      expect(editorContentMatches('', '')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { appendFile } from 'fs/promises';
+import {
+  startJournalRun,
+  journalResult,
+  readJournal,
+  getRunState,
+  clearJournal,
+} from '../src/utils/run-journal.js';
+
+describe('Run Journal', () => {
+  const journalPath = './test-journal.jsonl';
+  const directories = [
+    { name: 'Alpha', url: 'https://a.test' },
+    { name: 'Beta', url: 'https://b.test' },
+    { name: 'Gamma', url: 'https://c.test' },
+  ];
+
+  beforeEach(async () => {
+    await clearJournal(journalPath);
+  });
+
+  after(async () => {
+    await clearJournal(journalPath);
+  });
+
+  it('should return no entries when the journal is missing', async () => {
+    const { entries } = await readJournal(journalPath);
+
+    expect(entries).to.deep.equal([]);
+    expect(getRunState(entries)).to.be.null;
+  });
+
+  it('should report finished and remaining directories', async () => {
+    await startJournalRun(directories, journalPath);
+    await journalResult(
+      { name: 'Alpha', url: 'https://a.test', result: { success: true } },
+      journalPath
+    );
+
+    const { entries } = await readJournal(journalPath);
+    const run = getRunState(entries);
+
+    expect(run.results).to.deep.equal([
+      { name: 'Alpha', url: 'https://a.test', result: { success: true } },
+    ]);
+    expect(run.remaining.map((dir) => dir.name)).to.deep.equal([
+      'Beta',
+      'Gamma',
+    ]);
+  });
+
+  it('should skip a line cut short by a crash', async () => {
+    await startJournalRun(directories, journalPath);
+    await journalResult({ name: 'Alpha', result: {} }, journalPath);
+    await appendFile(journalPath, '{"type":"result","name":"Be');
+
+    const { entries, skippedLines } = await readJournal(journalPath);
+
+    expect(skippedLines).to.equal(1);
+    expect(getRunState(entries).remaining).to.have.lengthOf(2);
+  });
+
+  it('should only consider the latest run', async () => {
+    await startJournalRun(directories, journalPath);
+    await journalResult({ name: 'Alpha', result: {} }, journalPath);
+    await startJournalRun(directories.slice(1), journalPath);
+
+    const { entries } = await readJournal(journalPath);
+    const run = getRunState(entries);
+
+    expect(run.results).to.have.lengthOf(0);
+    expect(run.remaining).to.have.lengthOf(2);
+  });
+
+  it('should clear the journal', async () => {
+    await startJournalRun(directories, journalPath);
+    await clearJournal(journalPath);
+
+    const { entries } = await readJournal(journalPath);
+    expect(entries).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,360 @@
+import { expect } from 'chai';
+import { readFile, rm, unlink, writeFile } from 'fs/promises';
+import {
+  buildLoginConfig,
+  detectLoginRequired,
+  getCredentials,
+  getSessionPath,
+  isSessionUsable,
+  keepHandWrittenSteps,
+  keepOnlyHandWrittenSteps,
+  loadCredentials,
+  loadSession,
+  restoreSession,
+  saveSession,
+} from '../src/utils/sessions.js';
+
+describe('Sessions', () => {
+  describe('loadCredentials', () => {
+    const testFile = './test-credentials.json';
+
+    afterEach(async () => {
+      await unlink(testFile).catch(() => {});
+    });
+
+    it('should return an empty store when the file is missing', async () => {
+      expect(await loadCredentials(testFile)).to.deep.equal({});
+    });
+
+    it('should reject invalid JSON', async () => {
+      await writeFile(testFile, '{');
+
+      try {
+        await loadCredentials(testFile);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to read credentials');
+      }
+    });
+  });
+
+  describe('getCredentials', () => {
+    const credentials = {
+      BetaList: { username: 'me@example.com', password: 'secret' },
+      'example.com': { username: 'me', password: 'hunter2' },
+      Broken: { username: 'me' },
+    };
+
+    it('should look logins up by name, then by host', () => {
+      expect(
+        getCredentials(credentials, { name: 'BetaList', url: 'https://x.test' })
+          .password
+      ).to.equal('secret');
+      expect(
+        getCredentials(credentials, {
+          name: 'Example',
+          url: 'https://www.example.com/submit',
+        }).username
+      ).to.equal('me');
+    });
+
+    it('should ignore incomplete or missing logins', () => {
+      expect(getCredentials(credentials, { name: 'Broken' })).to.be.null;
+      expect(getCredentials({}, { name: 'Other', url: 'https://o.test' })).to.be
+        .null;
+    });
+  });
+
+  describe('getSessionPath', () => {
+    it('should turn the directory name into a file name', () => {
+      expect(getSessionPath('Product Hunt!', 'sessions')).to.equal(
+        'sessions/product-hunt.json'
+      );
+    });
+  });
+
+  describe('loadSession', () => {
+    const dir = './test-sessions';
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should return null when there is no saved session', async () => {
+      expect(await loadSession('Nowhere', dir)).to.be.null;
+    });
+  });
+
+  describe('saveSession', () => {
+    const dir = './test-sessions';
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it("should save only the cookies of the directory's pages", async () => {
+      let requested;
+      const page = {
+        url: () => 'https://www.example.com/submit',
+        cookies: async (...urls) => {
+          requested = urls;
+          return [{ name: 'sid', value: '1', domain: '.example.com' }];
+        },
+        evaluate: async () => [['token', 'abc']],
+      };
+
+      await saveSession(page, 'Example', dir, [
+        'https://auth.example.org/login',
+        undefined,
+      ]);
+      const session = await loadSession('Example', dir);
+
+      expect(requested).to.deep.equal([
+        'https://www.example.com/submit',
+        'https://auth.example.org/login',
+      ]);
+      expect(session.origins).to.deep.equal([
+        'https://www.example.com',
+        'https://auth.example.org',
+      ]);
+      expect(session.cookies.map(({ name }) => name)).to.deep.equal(['sid']);
+    });
+  });
+
+  describe('restoreSession', () => {
+    it("should only put back cookies for the session's sites", async () => {
+      let restored;
+      const page = {
+        setCookie: async (...cookies) => {
+          restored = cookies;
+        },
+      };
+
+      await restoreSession(page, {
+        origin: 'https://www.example.com',
+        origins: ['https://www.example.com'],
+        cookies: [
+          { name: 'sid', domain: '.example.com' },
+          { name: 'host', domain: 'www.example.com' },
+          { name: 'other', domain: '.other-directory.com' },
+          { name: 'lookalike', domain: 'notexample.com' },
+        ],
+      });
+
+      expect(restored.map(({ name }) => name)).to.deep.equal(['sid', 'host']);
+    });
+  });
+
+  describe('isSessionUsable', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const at = (iso) => Date.parse(iso) / 1000;
+
+    it('should accept sessions with an unexpired cookie', () => {
+      expect(
+        isSessionUsable(
+          {
+            cookies: [
+              { name: 'old', expires: at('2025-01-01T00:00:00Z') },
+              { name: 'auth', expires: at('2026-02-01T00:00:00Z') },
+            ],
+          },
+          now
+        )
+      ).to.be.true;
+    });
+
+    it('should reject sessions whose cookies have all expired', () => {
+      expect(
+        isSessionUsable(
+          { cookies: [{ name: 'auth', expires: at('2025-12-31T00:00:00Z') }] },
+          now
+        )
+      ).to.be.false;
+    });
+
+    it('should leave session-only cookies for the site to judge', () => {
+      expect(isSessionUsable({ cookies: [{ name: 'sid', expires: -1 }] }, now))
+        .to.be.true;
+    });
+
+    it('should reject missing or empty sessions', () => {
+      expect(isSessionUsable(null)).to.be.false;
+      expect(isSessionUsable({ cookies: [] })).to.be.false;
+    });
+  });
+
+  describe('detectLoginRequired', () => {
+    it('should spot redirects to the login page', () => {
+      expect(
+        detectLoginRequired({
+          currentUrl: 'https://example.com/account/login?next=/submit',
+          hasPasswordField: true,
+        })
+      ).to.equal('redirected to login page');
+      expect(
+        detectLoginRequired({
+          currentUrl: 'https://example.com/enter/',
+          loginUrl: 'https://example.com/enter',
+          hasPasswordField: false,
+        })
+      ).to.equal('redirected to login page');
+    });
+
+    it('should spot a login form shown in place of the submit form', () => {
+      const page = {
+        currentUrl: 'https://example.com/submit',
+        hasPasswordField: true,
+      };
+
+      expect(detectLoginRequired(page)).to.equal('login form shown');
+      expect(detectLoginRequired({ ...page, hasFormFields: true })).to.be.null;
+    });
+
+    it('should use the logged-in marker when one is configured', () => {
+      expect(
+        detectLoginRequired({
+          currentUrl: 'https://example.com/submit',
+          hasPasswordField: false,
+          loggedInMarker: false,
+        })
+      ).to.equal('logged-in marker missing');
+      expect(
+        detectLoginRequired({
+          currentUrl: 'https://example.com/submit',
+          hasPasswordField: false,
+          loggedInMarker: true,
+        })
+      ).to.be.null;
+    });
+  });
+
+  describe('buildLoginConfig', () => {
+    it('should build a login step from a login form', () => {
+      const form = {
+        fields: [
+          { type: 'email', name: 'email', id: '' },
+          { type: 'password', name: 'password', id: 'pw' },
+          { type: 'checkbox', name: 'remember', id: '' },
+        ],
+        submitButton: { selector: '.login-button' },
+      };
+
+      expect(buildLoginConfig(form, 'https://example.com/login')).to.deep.equal(
+        {
+          url: 'https://example.com/login',
+          usernameSelector: '[name="email"]',
+          passwordSelector: '#pw',
+          submitSelector: '.login-button',
+        }
+      );
+    });
+
+    it('should ignore sign-up and other forms', () => {
+      const signUp = {
+        fields: ['name', 'email', 'url', 'password'].map((name) => ({
+          type: name === 'password' ? 'password' : 'text',
+          name,
+        })),
+      };
+
+      expect(buildLoginConfig(signUp, 'https://example.com')).to.be.null;
+      expect(
+        buildLoginConfig({ fields: [{ type: 'email', name: 'email' }] }, '')
+      ).to.be.null;
+      expect(buildLoginConfig(undefined, '')).to.be.null;
+    });
+  });
+
+  describe('keepHandWrittenSteps', () => {
+    const testFile = './test-site-configs.json';
+
+    afterEach(async () => {
+      await unlink(testFile).catch(() => {});
+    });
+
+    it('should carry login sections over from the previous configs', async () => {
+      const login = { url: 'https://a.test/login' };
+      await writeFile(
+        testFile,
+        JSON.stringify({ A: { login }, B: { login: { url: 'old' } } })
+      );
+
+      const configs = await keepHandWrittenSteps(
+        { A: { hasForm: true }, B: { login: { url: 'new' } }, C: {} },
+        testFile
+      );
+
+      expect(configs.A.login).to.deep.equal(login);
+      expect(configs.B.login.url).to.equal('new');
+      expect(configs.C).to.deep.equal({});
+    });
+
+    it('should carry register, recipe and values sections over too', async () => {
+      const recipe = [{ action: 'click', text: 'Submit', submit: true }];
+      const register = { url: 'https://a.test/join' };
+      const values = { description: 'Short' };
+      await writeFile(
+        testFile,
+        JSON.stringify({ A: { recipe, register, values } })
+      );
+
+      const configs = await keepHandWrittenSteps({ A: {} }, testFile);
+
+      expect(configs.A).to.deep.equal({ recipe, register, values });
+    });
+
+    it('should leave configs alone when there is no previous file', async () => {
+      expect(await keepHandWrittenSteps({ A: {} }, testFile)).to.deep.equal({
+        A: {},
+      });
+    });
+  });
+
+  describe('keepOnlyHandWrittenSteps', () => {
+    const testFile = './test-site-configs.json';
+
+    afterEach(async () => {
+      await unlink(testFile).catch(() => {});
+    });
+
+    it('should keep hand-written sections through a reset and the next save', async () => {
+      const login = { url: 'https://a.test/login' };
+      const recipe = [{ action: 'click', text: 'Submit', submit: true }];
+      await writeFile(
+        testFile,
+        JSON.stringify({
+          A: { hasForm: true, form: { fields: {} }, login, recipe },
+          B: { hasForm: true, values: { description: 'Short' } },
+          C: { hasForm: false },
+        })
+      );
+
+      await keepOnlyHandWrittenSteps(testFile);
+      const configs = await keepHandWrittenSteps(
+        { A: { hasForm: true }, B: { hasForm: true }, C: { hasForm: true } },
+        testFile
+      );
+
+      expect(configs).to.deep.equal({
+        A: { hasForm: true, login, recipe },
+        B: { hasForm: true, values: { description: 'Short' } },
+        C: { hasForm: true },
+      });
+    });
+
+    it('should remove the file when nothing was written by hand', async () => {
+      await writeFile(testFile, JSON.stringify({ A: { hasForm: true } }));
+
+      expect(await keepOnlyHandWrittenSteps(testFile)).to.deep.equal({});
+      expect(await keepHandWrittenSteps({ A: {} }, testFile)).to.deep.equal({
+        A: {},
+      });
+      try {
+        await readFile(testFile);
+        expect.fail('Should have removed the file');
+      } catch (error) {
+        expect(error.code).to.equal('ENOENT');
+      }
+    });
+  });
+});
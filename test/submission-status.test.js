@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import { unlink } from 'fs/promises';
+import {
+  SUBMISSION_STATUSES,
+  normalizeStatus,
+  isValidStatus,
+  canTransition,
+  transitionStatus,
+  countByStatus,
+  loadStatusHistory,
+  saveStatusHistory,
+} from '../src/utils/submission-status.js';
+
+describe('Submission Status', () => {
+  describe('normalizeStatus', () => {
+    it('should treat a blank status as pending', () => {
+      expect(normalizeStatus('')).to.equal('pending');
+      expect(normalizeStatus(undefined)).to.equal('pending');
+    });
+
+    it('should normalize case, spaces and underscores', () => {
+      expect(normalizeStatus(' Manual Required ')).to.equal('manual-required');
+      expect(normalizeStatus('PAID_ONLY')).to.equal('paid-only');
+    });
+  });
+
+  describe('isValidStatus', () => {
+    it('should accept every lifecycle status', () => {
+      expect(SUBMISSION_STATUSES.every(isValidStatus)).to.be.true;
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(isValidStatus('done')).to.be.false;
+    });
+  });
+
+  describe('canTransition', () => {
+    it('should allow moving forward through the lifecycle', () => {
+      expect(canTransition('', 'submitted')).to.be.true;
+      expect(canTransition('submitted', 'approved')).to.be.true;
+      expect(canTransition('approved', 'live')).to.be.true;
+    });
+
+    it('should not allow going back from live to submitted', () => {
+      expect(canTransition('live', 'submitted')).to.be.false;
+    });
+  });
+
+  describe('transitionStatus', () => {
+    it('should update the directory and record history', () => {
+      const directory = { name: 'Alpha', status: '' };
+      const history = {};
+
+      const transition = transitionStatus(directory, 'submitted', {
+        history,
+        at: '2025-01-01T00:00:00.000Z',
+        note: 'Form submitted',
+      });
+
+      expect(directory.status).to.equal('submitted');
+      expect(directory.updated_at).to.equal('2025-01-01T00:00:00.000Z');
+      expect(transition).to.include({ from: 'pending', to: 'submitted' });
+      expect(history.Alpha).to.deep.equal([transition]);
+    });
+
+    it('should return null when the status does not change', () => {
+      const directory = { name: 'Alpha', status: 'pending' };
+
+      expect(transitionStatus(directory, '')).to.be.null;
+    });
+
+    it('should throw for disallowed transitions', () => {
+      const directory = { name: 'Alpha', status: 'live' };
+
+      expect(() => transitionStatus(directory, 'in-progress')).to.throw(
+        'Invalid status transition from live to in-progress'
+      );
+      expect(directory.status).to.equal('live');
+    });
+
+    it('should throw for unknown statuses', () => {
+      expect(() => transitionStatus({ status: '' }, 'done')).to.throw(
+        'Unknown status: done'
+      );
+    });
+  });
+
+  describe('countByStatus', () => {
+    it('should count every lifecycle status, including zeros', () => {
+      const counts = countByStatus([
+        { status: '' },
+        { status: 'pending' },
+        { status: 'live' },
+      ]);
+
+      expect(counts.pending).to.equal(2);
+      expect(counts.live).to.equal(1);
+      expect(counts.rejected).to.equal(0);
+    });
+  });
+
+  describe('status history file', () => {
+    const historyPath = './test-status-history.json';
+
+    after(async () => {
+      try {
+        await unlink(historyPath);
+      } catch (error) {
+        // Ignore if file doesn't exist
+      }
+    });
+
+    it('should return an empty history when the file is missing', async () => {
+      expect(await loadStatusHistory('./non-existent.json')).to.deep.equal({});
+    });
+
+    it('should round-trip saved history', async () => {
+      const history = {
+        Alpha: [{ from: 'pending', to: 'submitted', at: '2025-01-01' }],
+      };
+
+      await saveStatusHistory(history, historyPath);
+
+      expect(await loadStatusHistory(historyPath)).to.deep.equal(history);
+    });
+  });
+});